@@ -1,12 +1,23 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const storyblokService = require('../src/services/storyblokService');
+const storyblokClient = require('../src/services/storyblokClient');
+const storyIndex = require('../src/services/storyIndex');
+const metrics = require('../src/services/metrics');
+const raiselyService = require('../src/services/raiselyService');
 const Logger = require('../src/utils/logger');
+const LogContext = require('../src/utils/logContext');
+const FieldMapper = require('../src/utils/fieldMapper');
+const Currency = require('../src/utils/currency');
+const ProfileHierarchy = require('../src/utils/profileHierarchy');
 const { validateFundraiserData } = require('../src/types/fundraiser');
 
+const DEFAULT_CHECKPOINT_PATH = path.join(__dirname, '../data/bulk-import-checkpoint.json');
+
 class BulkImporter {
   constructor() {
     this.stats = {
@@ -18,13 +29,36 @@ class BulkImporter {
       errors: 0
     };
     this.errors = [];
+
+    // Campaigns already set up during this run
+    this.setupCampaigns = new Set();
   }
 
   /**
    * Check if profile is a team (GROUP type with isCampaignProfile: false)
    */
   isTeamProfile(profile) {
-    return profile.type === 'GROUP' && profile.isCampaignProfile === false;
+    return ProfileHierarchy.getKind(profile) === 'team';
+  }
+
+  /**
+   * Check if profile is a team or an organisation, both of which are synced as group stories
+   */
+  isGroupProfile(profile) {
+    return ProfileHierarchy.isGroup(profile);
+  }
+
+  /**
+   * Order group profiles so every group comes after the groups it sits under
+   * @returns {Object[][]} Groups split into levels, outermost first
+   */
+  groupLevels(groups) {
+    const levels = [];
+    for (const group of groups) {
+      const depth = ProfileHierarchy.getGroupAncestors(group).length;
+      (levels[depth] = levels[depth] || []).push(group);
+    }
+    return levels.filter(Boolean);
   }
 
   /**
@@ -43,27 +77,15 @@ class BulkImporter {
         return null;
       }
 
-      // Extract campaign information
-      let campaignName = 'Default Campaign';
-      
-      if (raiselyProfile.campaign) {
-        campaignName = raiselyProfile.campaign.name || raiselyProfile.campaign.title || raiselyProfile.campaign;
-      } else if (raiselyProfile.campaignName) {
-        campaignName = raiselyProfile.campaignName;
-      } else if (raiselyProfile.parent) {
-        // Find the actual campaign by traversing parent chain
-        campaignName = this.findCampaignFromParent(raiselyProfile.parent);
-      } else if (raiselyProfile.path) {
-        // Extract campaign from path if available
-        const pathParts = raiselyProfile.path.split('/');
-        if (pathParts.length > 1) {
-          campaignName = pathParts[0];
-        }
-      }
+      // Resolve the campaign from the payload or the profile's ancestors
+      const campaignName = ProfileHierarchy.getCampaignName(raiselyProfile);
+      const campaignId = ProfileHierarchy.getCampaignId(raiselyProfile);
 
       // Extract amounts (teams can also have goals and totals)
-      const targetAmount = this.normalizeAmount(raiselyProfile.goal || raiselyProfile.target || raiselyProfile.targetAmount || 0);
-      const raisedAmount = this.normalizeAmount(raiselyProfile.total || raiselyProfile.raisedAmount || 0);
+      const currency = raiselyProfile.currency || raiselyProfile.campaign?.currency || '';
+      const targetAmount = this.normalizeAmount(raiselyProfile.goal || raiselyProfile.target || raiselyProfile.targetAmount || 0, currency);
+      const raisedAmount = this.normalizeAmount(raiselyProfile.total || raiselyProfile.raisedAmount || 0, currency);
+      const campaignGoal = this.normalizeAmount(ProfileHierarchy.findAncestor(raiselyProfile, 'campaign')?.goal, currency) || null;
 
       // Build profile URL
       let profileUrl = '';
@@ -79,13 +101,19 @@ class BulkImporter {
       const extractedData = {
         name: raiselyProfile.name,
         campaign: campaignName,
+        campaignId,
         description: raiselyProfile.description || raiselyProfile.story || '',
         targetAmount,
         raisedAmount,
+        currency,
+        campaignGoal,
         profileUrl,
         raiselyId: raiselyProfile.uuid || raiselyProfile.id || '',
         path: raiselyProfile.path || '',
-        status: raiselyProfile.status || 'DRAFT'
+        status: raiselyProfile.status || 'DRAFT',
+        kind: ProfileHierarchy.getKind(raiselyProfile),
+        ancestors: ProfileHierarchy.getGroupAncestors(raiselyProfile),
+        fields: FieldMapper.mapProfile(raiselyProfile, 'team')
       };
 
       return extractedData;
@@ -112,27 +140,15 @@ class BulkImporter {
         return null;
       }
 
-      // Extract campaign information
-      let campaignName = 'Default Campaign';
-      
-      if (raiselyProfile.campaign) {
-        campaignName = raiselyProfile.campaign.name || raiselyProfile.campaign.title || raiselyProfile.campaign;
-      } else if (raiselyProfile.campaignName) {
-        campaignName = raiselyProfile.campaignName;
-      } else if (raiselyProfile.parent) {
-        // Find the actual campaign by traversing parent chain
-        campaignName = this.findCampaignFromParent(raiselyProfile.parent);
-      } else if (raiselyProfile.path) {
-        // Extract campaign from path if available
-        const pathParts = raiselyProfile.path.split('/');
-        if (pathParts.length > 1) {
-          campaignName = pathParts[0];
-        }
-      }
+      // Resolve the campaign from the payload or the profile's ancestors
+      const campaignName = ProfileHierarchy.getCampaignName(raiselyProfile);
+      const campaignId = ProfileHierarchy.getCampaignId(raiselyProfile);
 
       // Extract amounts (handle both cents and dollar amounts)
-      const targetAmount = this.normalizeAmount(raiselyProfile.goal || raiselyProfile.target || raiselyProfile.targetAmount || 0);
-      const raisedAmount = this.normalizeAmount(raiselyProfile.total || raiselyProfile.raisedAmount || 0);
+      const currency = raiselyProfile.currency || raiselyProfile.campaign?.currency || '';
+      const targetAmount = this.normalizeAmount(raiselyProfile.goal || raiselyProfile.target || raiselyProfile.targetAmount || 0, currency);
+      const raisedAmount = this.normalizeAmount(raiselyProfile.total || raiselyProfile.raisedAmount || 0, currency);
+      const campaignGoal = this.normalizeAmount(ProfileHierarchy.findAncestor(raiselyProfile, 'campaign')?.goal, currency) || null;
 
       // Build profile URL - prefer provided URL, otherwise construct from campaign URL if available
       let profileUrl = '';
@@ -150,13 +166,18 @@ class BulkImporter {
       const extractedData = {
         name: raiselyProfile.name,
         campaign: campaignName,
+        campaignId,
         description: raiselyProfile.description || raiselyProfile.story || '',
         targetAmount,
         raisedAmount,
+        currency,
+        campaignGoal,
         profileUrl,
         raiselyId: raiselyProfile.uuid || raiselyProfile.id || '',
         path: raiselyProfile.path || '',
-        status: raiselyProfile.status || 'DRAFT'
+        status: raiselyProfile.status || 'DRAFT',
+        ancestors: ProfileHierarchy.getGroupAncestors(raiselyProfile),
+        fields: FieldMapper.mapProfile(raiselyProfile, 'individual')
       };
 
       return extractedData;
@@ -167,51 +188,25 @@ class BulkImporter {
     }
   }
 
-  /**
-   * Find the actual campaign by traversing parent hierarchy
-   * Campaigns have isCampaignProfile: true, teams/groups have false
-   */
-  findCampaignFromParent(parent) {
-    if (!parent) {
-      return 'Default Campaign';
-    }
-    
-    // If this parent is the campaign profile, use its name
-    if (parent.isCampaignProfile === true) {
-      return parent.name;
-    }
-    
-    // If this parent has a parent, traverse up the chain
-    if (parent.parent) {
-      return this.findCampaignFromParent(parent.parent);
-    }
-    
-    // Fallback to the current parent name if we can't find a campaign
-    return parent.name || 'Default Campaign';
-  }
-
   /**
    * Normalize amount values (convert from pence/cents to main currency unit)
-   * Raisely stores amounts in the smallest currency unit (e.g., pence for GBP, cents for USD)
+   * Raisely stores amounts in the smallest currency unit (e.g., pence for GBP, cents for USD;
+   * zero-decimal currencies like JPY are already whole units)
    */
-  normalizeAmount(amount) {
-    if (!amount || isNaN(amount)) return 0;
-    
-    // Convert from pence/cents to main currency unit (e.g., 500 pence → £5.00)
-    return parseFloat((amount / 100).toFixed(2));
+  normalizeAmount(amount, currency) {
+    // Convert from pence/cents to main currency unit (e.g., 500 pence → £5.00, but 500 yen stays ¥500)
+    return Currency.fromMinorUnits(amount, currency);
   }
 
   /**
    * Load profiles from JSON file
    */
-  loadProfiles() {
-    const dataPath = path.join(__dirname, '../sync/all-data.json');
-    
+  loadProfiles(dataPath = path.join(__dirname, '../sync/all-data.json')) {
     if (!fs.existsSync(dataPath)) {
       throw new Error(`Data file not found: ${dataPath}`);
     }
 
-    Logger.info('Loading profiles from all-data.json...');
+    Logger.info(`Loading profiles from ${path.basename(dataPath)}...`);
     const rawData = fs.readFileSync(dataPath, 'utf8');
     const data = JSON.parse(rawData);
     
@@ -236,7 +231,7 @@ class BulkImporter {
     profiles.forEach(profile => {
       let campaignName = null;
       
-      if (this.isTeamProfile(profile)) {
+      if (this.isGroupProfile(profile)) {
         const teamData = this.extractTeamData(profile);
         campaignName = teamData ? teamData.campaign : null;
       } else {
@@ -249,7 +244,11 @@ class BulkImporter {
       }
     });
     
-    const uniqueCampaigns = Array.from(campaigns);
+    const uniqueCampaigns = Array.from(campaigns).filter(campaignName => !this.setupCampaigns.has(campaignName));
+    if (uniqueCampaigns.length === 0) {
+      return;
+    }
+
     Logger.info(`Found ${uniqueCampaigns.length} unique campaigns: ${uniqueCampaigns.join(', ')}`);
     Logger.space();
     
@@ -282,6 +281,7 @@ class BulkImporter {
         }
         
         Logger.success(`✓ Complete: ${campaignName} (Campaign ID: ${campaignFolder.id})`);
+        this.setupCampaigns.add(campaignName);
         
       } catch (error) {
         Logger.error(`✗ Error setting up ${campaignName}:`, error.message);
@@ -291,6 +291,112 @@ class BulkImporter {
     Logger.success(`Campaign setup complete`);
   }
 
+  /**
+   * Key used to track a profile in the checkpoint
+   */
+  getProfileKey(profile) {
+    return profile.uuid || profile.path || profile.name;
+  }
+
+  /**
+   * Start a checkpoint for this run, carrying over a previous one when resuming or retrying
+   */
+  initCheckpoint(checkpointPath, { resume = false, retryFailed = false, source = 'file' } = {}) {
+    this.checkpointPath = checkpointPath;
+    this.previousCheckpoint = null;
+
+    if ((resume || retryFailed) && fs.existsSync(checkpointPath)) {
+      this.previousCheckpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+      const outcomes = Object.values(this.previousCheckpoint.profiles || {});
+      const failed = outcomes.filter(outcome => outcome.status === 'error').length;
+      Logger.info(`Loaded checkpoint: ${outcomes.length} profiles (${failed} failed) from ${this.previousCheckpoint.updatedAt}`);
+    } else if (retryFailed) {
+      // Without a checkpoint there is no list of failures, and importing everything is not a retry
+      throw new Error(`No checkpoint found at ${checkpointPath}, nothing to retry`);
+    } else if (resume) {
+      Logger.warning(`No checkpoint found at ${checkpointPath}, starting from scratch`);
+    }
+
+    const now = new Date().toISOString();
+    this.checkpoint = {
+      startedAt: this.previousCheckpoint?.startedAt || now,
+      updatedAt: now,
+      source,
+      profiles: { ...(this.previousCheckpoint?.profiles || {}) },
+      errors: []
+    };
+    this.saveCheckpoint();
+  }
+
+  /**
+   * Drop profiles the checkpoint says are done (--resume), or keep only failed ones (--retry-failed)
+   */
+  applyCheckpointFilter(profiles) {
+    const previous = this.previousCheckpoint?.profiles;
+    if (!previous) {
+      return profiles;
+    }
+
+    const { resume = false, retryFailed = false } = this.options;
+    const before = profiles.length;
+    let filtered = profiles;
+
+    if (retryFailed) {
+      filtered = profiles.filter(profile => previous[this.getProfileKey(profile)]?.status === 'error');
+      Logger.info(`Retrying ${filtered.length} previously failed profiles`);
+    } else if (resume) {
+      filtered = profiles.filter(profile => {
+        const outcome = previous[this.getProfileKey(profile)];
+        return !outcome || outcome.status === 'error';
+      });
+      Logger.info(`Resuming: skipping ${before - filtered.length} completed profiles`);
+    }
+
+    return filtered;
+  }
+
+  /**
+   * Record a profile's outcome in the checkpoint
+   */
+  recordOutcome(profile, status, error = null) {
+    metrics.syncOutcomes.inc({
+      source: 'bulk_import',
+      kind: ProfileHierarchy.getKind(profile),
+      outcome: status === 'error' ? 'failed' : status
+    });
+
+    if (!this.checkpoint) {
+      return;
+    }
+
+    const key = this.getProfileKey(profile);
+    this.checkpoint.profiles[key] = {
+      name: profile.name || profile.path || 'Unknown',
+      status,
+      ...(error ? { error: error.message } : {}),
+      at: new Date().toISOString()
+    };
+
+    if (error) {
+      this.checkpoint.errors.push({ key, profile: profile.name || profile.path || 'Unknown', error: error.message });
+    }
+  }
+
+  /**
+   * Write the checkpoint to disk (atomically, so a crash mid-write can't corrupt it)
+   */
+  saveCheckpoint() {
+    if (!this.checkpoint) {
+      return;
+    }
+
+    this.checkpoint.updatedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(this.checkpointPath), { recursive: true });
+    const tempPath = `${this.checkpointPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.checkpoint, null, 2));
+    fs.renameSync(tempPath, this.checkpointPath);
+  }
+
   /**
    * Process a single profile
    */
@@ -298,9 +404,9 @@ class BulkImporter {
     const { dryRun = false, forceUpdate = false } = options;
     
     try {
-      // Check if this is a team profile
-      if (this.isTeamProfile(profile)) {
-        Logger.info(`Processing team: ${profile.name}`);
+      // Check if this is a team (or organisation) profile
+      if (this.isGroupProfile(profile)) {
+        Logger.info(`Processing ${ProfileHierarchy.getKind(profile)}: ${profile.name}`);
         
         // Extract team data
         const teamData = this.extractTeamData(profile);
@@ -308,11 +414,12 @@ class BulkImporter {
         if (!teamData) {
           Logger.warning(`Skipping team: ${profile.name || profile.path || 'Unknown'} - Could not extract data`);
           this.stats.skipped++;
+          this.recordOutcome(profile, 'skipped');
           return;
         }
 
         if (dryRun) {
-          Logger.info(`[DRY RUN] Would process team: ${teamData.name} → ${teamData.campaign}`);
+          Logger.info(`[DRY RUN] Would process ${teamData.kind}: ${teamData.name} → ${teamData.campaign}`);
           this.stats.processed++;
           return;
         }
@@ -321,14 +428,15 @@ class BulkImporter {
         const result = await storyblokService.syncTeam(teamData, 'profile.created');
 
         if (result.action === 'created') {
-          Logger.success(`✓ Created team: ${teamData.name}`);
+          Logger.success(`✓ Created team: ${teamData.name}`, { storyId: result.story?.id });
           this.stats.created++;
         } else if (result.action === 'updated') {
-          Logger.success(`✓ Updated team: ${teamData.name}`);
+          Logger.success(`✓ Updated team: ${teamData.name}`, { storyId: result.story?.id });
           this.stats.updated++;
         }
 
         this.stats.processed++;
+        this.recordOutcome(profile, result.action);
         return;
       }
       
@@ -338,6 +446,7 @@ class BulkImporter {
       if (!extractedData) {
         Logger.warning(`Skipping profile: ${profile.name || profile.path || 'Unknown'} - Could not extract data`);
         this.stats.skipped++;
+        this.recordOutcome(profile, 'skipped');
         return;
       }
 
@@ -346,22 +455,26 @@ class BulkImporter {
       if (!validatedData) {
         Logger.warning(`Skipping profile: ${extractedData.name} - Failed validation`);
         this.stats.skipped++;
+        this.recordOutcome(profile, 'skipped');
         return;
       }
 
       if (dryRun) {
-        const teamText = profile.parent && this.isTeamProfile(profile.parent) ? ` (Team: ${profile.parent.name})` : '';
+        const team = ProfileHierarchy.findAncestor(profile, 'team');
+        const teamText = team ? ` (Team: ${team.name})` : '';
         Logger.info(`[DRY RUN] Would process: ${extractedData.name} → ${extractedData.campaign}${teamText}`);
         this.stats.processed++;
         return;
       }
 
-      // Check if fundraiser is part of a team
+      // Check if fundraiser is part of a team (the nearest one, when teams are nested)
       let teamData = null;
-      if (profile.parent && this.isTeamProfile(profile.parent)) {
+      const team = ProfileHierarchy.findAncestor(profile, 'team');
+      if (team) {
         teamData = {
-          name: profile.parent.name,
-          path: profile.parent.path
+          name: team.name,
+          path: team.path,
+          raiselyId: team.uuid || team.id || ''
         };
         Logger.progress(`${extractedData.name} → ${extractedData.campaign} (Team: ${teamData.name})`);
       } else {
@@ -372,14 +485,15 @@ class BulkImporter {
       const result = await storyblokService.syncFundraiser(extractedData, 'profile.created', teamData, forceUpdate);
 
       if (result.action === 'created') {
-        Logger.success(`✓ Created: ${extractedData.name}`);
+        Logger.success(`✓ Created: ${extractedData.name}`, { storyId: result.story?.id });
         this.stats.created++;
       } else if (result.action === 'updated') {
-        Logger.success(`✓ Updated: ${extractedData.name}`);
+        Logger.success(`✓ Updated: ${extractedData.name}`, { storyId: result.story?.id });
         this.stats.updated++;
       }
 
       this.stats.processed++;
+      this.recordOutcome(profile, result.action);
 
     } catch (error) {
       Logger.error(`✗ Failed to process profile: ${profile.name || profile.path || 'Unknown'}`, error);
@@ -388,6 +502,7 @@ class BulkImporter {
         profile: profile.name || profile.path || 'Unknown',
         error: error.message
       });
+      this.recordOutcome(profile, 'error', error);
     }
   }
 
@@ -400,10 +515,10 @@ class BulkImporter {
     // Filter by type (individuals, teams, or both)
     if (filters.type) {
       if (filters.type === 'teams') {
-        filtered = filtered.filter(p => this.isTeamProfile(p));
-        Logger.info(`Filtered to teams only: ${filtered.length} profiles`);
+        filtered = filtered.filter(p => this.isGroupProfile(p));
+        Logger.info(`Filtered to teams and organisations only: ${filtered.length} profiles`);
       } else if (filters.type === 'individuals') {
-        filtered = filtered.filter(p => !this.isTeamProfile(p));
+        filtered = filtered.filter(p => !this.isGroupProfile(p));
         Logger.info(`Filtered to individuals only: ${filtered.length} profiles`);
       }
     }
@@ -417,7 +532,7 @@ class BulkImporter {
     // Filter by campaign
     if (filters.campaign) {
       filtered = filtered.filter(p => {
-        const campaignName = this.findCampaignFromParent(p.parent) || p.campaign?.name || '';
+        const campaignName = ProfileHierarchy.getCampaignName(p);
         return campaignName.toLowerCase().includes(filters.campaign.toLowerCase());
       });
       Logger.info(`Filtered by campaign '${filters.campaign}': ${filtered.length} profiles`);
@@ -440,7 +555,8 @@ class BulkImporter {
       dryRun = false, 
       batchSize = 5, 
       delay = 1000,
-      filters = {}
+      filters = {},
+      source = 'file'
     } = options;
 
     // Store options for access in other methods
@@ -451,14 +567,31 @@ class BulkImporter {
       
       if (dryRun) {
         Logger.warning('DRY RUN MODE - No changes will be made to Storyblok');
+      } else {
+        this.initCheckpoint(options.checkpointPath || DEFAULT_CHECKPOINT_PATH, {
+          resume: options.resume,
+          retryFailed: options.retryFailed,
+          source
+        });
+
+        // One paged listing up front saves a slug search per profile
+        await storyblokService.warmStoryIndex();
+      }
+
+      if (source === 'api') {
+        await this.runFromApi(options);
+        this.printSummary();
+        await this.writeMetrics();
+        return;
       }
 
       // Load and filter profiles
-      const allProfiles = this.loadProfiles();
-      let profiles = this.filterProfiles(allProfiles, filters);
+      const allProfiles = this.loadProfiles(options.file);
+      let profiles = this.applyCheckpointFilter(this.filterProfiles(allProfiles, filters));
       
       if (profiles.length === 0) {
         Logger.warning('No profiles to process after filtering');
+        await this.writeMetrics();
         return;
       }
 
@@ -466,9 +599,9 @@ class BulkImporter {
       if (!filters.type) {
         Logger.info('Processing teams first, then individuals for proper references');
         
-        // Separate teams and individuals
-        const teams = profiles.filter(p => this.isTeamProfile(p));
-        const individuals = profiles.filter(p => !this.isTeamProfile(p));
+        // Separate groups (teams and organisations) and individuals
+        const teams = profiles.filter(p => this.isGroupProfile(p));
+        const individuals = profiles.filter(p => !this.isGroupProfile(p));
         
         Logger.info(`Found ${teams.length} teams and ${individuals.length} individuals`);
         Logger.space();
@@ -483,7 +616,10 @@ class BulkImporter {
             Logger.space();
           }
           
-          await this.processBatch(teams, { dryRun, batchSize, delay });
+          // Outer groups first, so nested teams can reference them
+          for (const level of this.groupLevels(teams)) {
+            await this.processBatch(level, { dryRun, batchSize, delay });
+          }
           Logger.space();
         }
         
@@ -508,18 +644,114 @@ class BulkImporter {
           Logger.space();
         }
         
-        await this.processBatch(profiles, { dryRun, batchSize, delay });
+        const levels = filters.type === 'teams' ? this.groupLevels(profiles) : [profiles];
+        for (const level of levels) {
+          await this.processBatch(level, { dryRun, batchSize, delay });
+        }
       }
 
       // Final report
       this.printSummary();
+      await this.writeMetrics();
 
     } catch (error) {
       Logger.error('Bulk import failed', error);
+      this.saveCheckpoint();
+      await this.writeMetrics();
+      if (this.checkpoint) {
+        Logger.info(`Checkpoint saved: ${this.checkpointPath} (use --resume to continue)`);
+      }
       process.exit(1);
     }
   }
 
+  /**
+   * Stream profiles from the Raisely API, teams first, one page at a time
+   */
+  async runFromApi(options = {}) {
+    const { dryRun = false, batchSize = 5, delay = 1000, filters = {}, campaignUuid, since } = options;
+
+    Logger.info(`Fetching profiles from Raisely campaign ${campaignUuid}${since ? ` updated since ${since.toISOString()}` : ''}`);
+
+    // Per-page filters; type and limit are handled across the whole stream
+    const pageFilters = { status: filters.status, campaign: filters.campaign };
+    let remaining = filters.limit && filters.limit > 0 ? filters.limit : Infinity;
+
+    const processPage = async (page) => {
+      let profiles = this.applyCheckpointFilter(this.filterProfiles(page, pageFilters)).slice(0, remaining);
+      if (profiles.length === 0) {
+        return;
+      }
+
+      remaining -= profiles.length;
+      this.stats.total += profiles.length;
+
+      if (!dryRun) {
+        await this.setupCampaignFolders(profiles);
+      }
+      await this.processBatch(profiles, { dryRun, batchSize, delay });
+    };
+
+    // Groups are always loaded in full so individuals can be linked to their team and campaign
+    const groups = await raiselyService.loadGroups(campaignUuid);
+    Logger.success(`Loaded ${groups.length} groups`);
+
+    if (filters.type !== 'individuals') {
+      Logger.info('🏆 Processing Teams First');
+      const teams = groups.filter(profile =>
+        this.isGroupProfile(profile) && (!since || new Date(profile.updatedAt) >= since)
+      );
+      for (const level of this.groupLevels(teams)) {
+        await processPage(level);
+      }
+      Logger.space();
+    }
+
+    if (filters.type !== 'teams') {
+      Logger.info('👤 Processing Individuals');
+      for await (const page of raiselyService.iterateProfilePages(campaignUuid, { type: 'INDIVIDUAL', since })) {
+        if (remaining <= 0) {
+          break;
+        }
+        await processPage(page);
+      }
+    }
+  }
+
+  /**
+   * Process a profile under its own log context, apart from the parallel syncs in its batch
+   */
+  async processProfileInContext(profile, options) {
+    const endTimer = metrics.syncDuration.startTimer({ source: 'bulk_import', kind: ProfileHierarchy.getKind(profile) });
+
+    await LogContext.run({
+      correlationId: crypto.randomUUID(),
+      profileUuid: profile.uuid,
+      campaign: ProfileHierarchy.getCampaignName(profile)
+    }, () => this.processProfile(profile, options));
+
+    if (!options.dryRun) {
+      endTimer();
+    }
+  }
+
+  /**
+   * Write the run's metrics (sync outcomes and durations, Storyblok latency, retries and 429s)
+   * to the --metrics-file, if one was given
+   */
+  async writeMetrics() {
+    if (!this.options.metricsFile) {
+      return;
+    }
+
+    try {
+      await metrics.writeToFile(this.options.metricsFile);
+      Logger.info(`Metrics written to ${this.options.metricsFile}`);
+    } catch (error) {
+      Logger.warning(`Could not write metrics to ${this.options.metricsFile}`, error.message);
+    }
+  }
+
   /**
    * Process a batch of profiles
    */
@@ -536,36 +768,39 @@ class BulkImporter {
       
       Logger.section(`Batch ${batchNum}/${totalBatches}`);
       
-      // Group profiles by team to avoid race conditions when updating team members
-      const teamGroups = new Map();
-      const individualsWithoutTeams = [];
+      // Group individuals by their nearest team or organisation, so members of one group (which
+      // may create its story, or its ancestors', on first sync) never run side by side
+      const memberGroups = new Map();
+      const ungrouped = [];
       
       for (const profile of batch) {
-        if (!this.isTeamProfile(profile) && profile.parent && this.isTeamProfile(profile.parent)) {
-          // Individual with team
-          const teamKey = `${profile.parent.name}-${profile.parent.path}`;
-          if (!teamGroups.has(teamKey)) {
-            teamGroups.set(teamKey, []);
+        const group = this.isGroupProfile(profile)
+          ? null
+          : ProfileHierarchy.findAncestor(profile, ancestor => this.isGroupProfile(ancestor));
+        if (group) {
+          const groupKey = group.uuid || `${group.name}-${group.path}`;
+          if (!memberGroups.has(groupKey)) {
+            memberGroups.set(groupKey, { group, members: [] });
           }
-          teamGroups.get(teamKey).push(profile);
+          memberGroups.get(groupKey).members.push(profile);
         } else {
-          // Team or individual without team - can process in parallel
-          individualsWithoutTeams.push(profile);
+          // Group or individual without a group - can process in parallel
+          ungrouped.push(profile);
         }
       }
       
-      // Process teams and individuals without teams in parallel (safe)
-      if (individualsWithoutTeams.length > 0) {
+      // Process groups and individuals without a group in parallel (safe)
+      if (ungrouped.length > 0) {
         await Promise.all(
-          individualsWithoutTeams.map(profile => this.processProfile(profile, { dryRun, forceUpdate: this.options.forceUpdate }))
+          ungrouped.map(profile => this.processProfileInContext(profile, { dryRun, forceUpdate: this.options.forceUpdate }))
         );
       }
       
-      // Process each team's members sequentially to avoid race conditions
-      for (const [teamKey, teamMembers] of teamGroups) {
-        Logger.progress(`Processing ${teamMembers.length} members for team: ${teamMembers[0].parent.name}`);
-        for (const member of teamMembers) {
-          await this.processProfile(member, { dryRun, forceUpdate: this.options.forceUpdate });
+      // Process each group's members sequentially to avoid race conditions
+      for (const { group, members } of memberGroups.values()) {
+        Logger.progress(`Processing ${members.length} members for ${ProfileHierarchy.getKind(group)}: ${group.name}`);
+        for (const member of members) {
+          await this.processProfileInContext(member, { dryRun, forceUpdate: this.options.forceUpdate });
         }
       }
       
@@ -573,6 +808,7 @@ class BulkImporter {
       const processed = Math.min((batchNum * batchSize), profiles.length);
       const progress = Math.round((processed / profiles.length) * 100);
       Logger.summary(`Progress: ${processed}/${profiles.length} (${progress}%)`);
+      this.saveCheckpoint();
       
       // Delay between batches to avoid rate limits
       if (i + batchSize < profiles.length && delay > 0) {
@@ -603,6 +839,21 @@ class BulkImporter {
         Logger.error(`  • ${err.profile}: ${err.error}`);
       });
     }
+
+    const apiStats = storyblokClient.getStats();
+    if (apiStats.requests > 0) {
+      const indexStats = storyIndex.getStats();
+      Logger.info(`Storyblok API: ${apiStats.requests} requests, ${apiStats.retries} retries, ${apiStats.throttled} throttled`);
+      Logger.info(`Story index: ${indexStats.hits} hits, ${indexStats.misses} misses`);
+    }
+
+    if (this.checkpoint) {
+      this.saveCheckpoint();
+      Logger.summary(`Checkpoint written to ${this.checkpointPath}`);
+      if (this.stats.errors > 0) {
+        Logger.info('Re-run only the failed profiles with --retry-failed');
+      }
+    }
     
     Logger.space();
   }
@@ -619,9 +870,16 @@ async function main() {
     process.env.VERBOSE = 'true';
   }
 
+  const checkpointOption = args.find(arg => arg.startsWith('--checkpoint='))?.split('=')[1];
+  const metricsOption = args.find(arg => arg.startsWith('--metrics-file='))?.split('=')[1];
+
   const options = {
     dryRun: args.includes('--dry-run') || args.includes('-n'),
     forceUpdate: args.includes('--force-update') || args.includes('-f'),
+    resume: args.includes('--resume'),
+    retryFailed: args.includes('--retry-failed'),
+    checkpointPath: checkpointOption ? path.resolve(checkpointOption) : DEFAULT_CHECKPOINT_PATH,
+    metricsFile: metricsOption || process.env.METRICS_FILE ? path.resolve(metricsOption || process.env.METRICS_FILE) : null,
     batchSize: parseInt(args.find(arg => arg.startsWith('--batch-size='))?.split('=')[1]) || 5,
     delay: parseInt(args.find(arg => arg.startsWith('--delay='))?.split('=')[1]) || 1000,
     filters: {}
@@ -639,23 +897,60 @@ async function main() {
   
   const limitFilter = parseInt(args.find(arg => arg.startsWith('--limit='))?.split('=')[1]);
   if (limitFilter) options.filters.limit = limitFilter;
+
+  // Profile source: a local export file, or the Raisely API for a campaign
+  const fileOption = args.find(arg => arg.startsWith('--file='))?.split('=')[1];
+  if (fileOption) options.file = path.resolve(fileOption);
+
+  options.campaignUuid = args.find(arg => arg.startsWith('--campaign-uuid='))?.split('=')[1];
+  options.source = args.find(arg => arg.startsWith('--source='))?.split('=')[1] ||
+    (options.campaignUuid ? 'api' : 'file');
+
+  const sinceOption = args.find(arg => arg.startsWith('--since='))?.split('=')[1];
+  if (sinceOption) {
+    options.since = new Date(sinceOption);
+    if (isNaN(options.since.getTime())) {
+      Logger.error(`Invalid --since date: ${sinceOption}`);
+      process.exit(1);
+    }
+  }
+
+  if (options.source === 'api' && !options.campaignUuid) {
+    Logger.error('--source=api requires --campaign-uuid=<uuid>');
+    process.exit(1);
+  }
+
+  if (options.retryFailed && !fs.existsSync(options.checkpointPath)) {
+    Logger.error(`--retry-failed needs the checkpoint of a previous run, none found at ${options.checkpointPath}`);
+    process.exit(1);
+  }
   
   if (args.includes('--help') || args.includes('-h')) {
     console.log(`
-Bulk Import Script - Import all profiles from sync/all-data.json to Storyblok
+Bulk Import Script - Import profiles from sync/all-data.json or the Raisely API to Storyblok
 
 Usage: node scripts/bulk-import.js [options]
 
+Source:
+  --source=SOURCE            'file' (default) or 'api' (default when --campaign-uuid is given)
+  --file=PATH                Export file to read (default: sync/all-data.json)
+  --campaign-uuid=UUID       Raisely campaign to fetch profiles from (needs RAISELY_API_TOKEN)
+  --since=DATE               API only: only import profiles updated since DATE (e.g. 2025-07-01)
+
 Options:
   --dry-run, -n              Run without making changes (preview mode)
-  --force-update, -f         Update existing profiles (fixes currency issues)
+  --force-update, -f         Update existing profiles (re-syncs amounts and mapped fields)
   --verbose, -v              Show detailed logging (default: concise)
   --batch-size=N             Process N profiles at a time (default: 5)
   --delay=N                  Wait N milliseconds between batches (default: 1000)
-  --type=TYPE                Only import specific type: 'individuals', 'teams', or both (default: both)
+  --type=TYPE                Only import specific type: 'individuals', 'teams' (incl. organisations), or both (default: both)
   --status=STATUS            Only import profiles with specific status (ACTIVE, DRAFT, etc.)
   --campaign=NAME            Only import profiles containing campaign name
   --limit=N                  Only process first N profiles
+  --resume                   Skip profiles completed by the previous run (per the checkpoint)
+  --retry-failed             Only re-run profiles that errored in the previous run
+  --checkpoint=PATH          Checkpoint file (default: data/bulk-import-checkpoint.json)
+  --metrics-file=PATH        Write Prometheus metrics for the run to PATH when it ends (or set METRICS_FILE)
   --help, -h                 Show this help message
 
 Examples:
@@ -664,6 +959,9 @@ Examples:
   node scripts/bulk-import.js --type=individuals --campaign="Sunderland" --limit=10 --verbose
   node scripts/bulk-import.js --force-update --campaign="Sunderland"
   node scripts/bulk-import.js --status=ACTIVE --batch-size=3
+  node scripts/bulk-import.js --campaign-uuid=9775d2c0-67dd-11f0-90fc-ff6be62a8750 --since=2025-07-01
+  node scripts/bulk-import.js --resume
+  node scripts/bulk-import.js --retry-failed --verbose
     `);
     process.exit(0);
   }
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const storyblokService = require('../src/services/storyblokService');
+const Logger = require('../src/utils/logger');
+
+/**
+ * Recompute the campaign aggregates on every event story from the stories under its
+ * campaign folder. Profile syncs keep them up to date incrementally; this rebuilds them
+ * after bulk changes, manual edits in Storyblok or a lost aggregate store.
+ */
+class CampaignStatsRecompute {
+  constructor(options = {}) {
+    this.options = options;
+    this.results = [];
+  }
+
+  async loadEventStories() {
+    const stories = await storyblokService.listAllStories({
+      starts_with: storyblokService.layout.getStaticPrefix('events'),
+      contain_component: 'event'
+    });
+    let events = stories.filter(story => !story.is_folder);
+
+    if (this.options.campaign) {
+      const filter = this.options.campaign.toLowerCase();
+      events = events.filter(story => story.name.toLowerCase().includes(filter));
+    }
+
+    return events;
+  }
+
+  async run() {
+    Logger.section('Campaign Aggregates');
+    if (this.options.dryRun) {
+      Logger.warning('DRY RUN - event stories will not be updated');
+    }
+
+    const events = await this.loadEventStories();
+    Logger.info(`Found ${events.length} event stories`);
+
+    for (const eventStory of events) {
+      try {
+        Logger.progress(`Recomputing ${eventStory.name}`);
+        const { profiles, stats } = await storyblokService.recomputeCampaignStats(eventStory, {
+          dryRun: this.options.dryRun
+        });
+        this.results.push({ name: eventStory.name, profiles, stats });
+        Logger.success(`✓ ${eventStory.name}: ${stats.raised_display} of ${stats.goal_display}, ` +
+          `${stats.fundraiser_count} fundraisers, ${stats.team_count} teams, ${stats.donor_count} donors`);
+      } catch (error) {
+        this.results.push({ name: eventStory.name, error: error.message });
+        Logger.error(`✗ ${eventStory.name}`, error);
+      }
+    }
+
+    Logger.section('Campaign Aggregates Complete');
+    const failed = this.results.filter(result => result.error).length;
+    Logger.summary(`Campaigns: ${this.results.length - failed} recomputed, ${failed} failed`);
+    Logger.space();
+
+    return this.results;
+  }
+}
+
+// CLI Interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--verbose') || args.includes('-v')) {
+    process.env.VERBOSE = 'true';
+  }
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Campaign Aggregates - Recompute totals, counts and leaderboards on event stories
+
+Usage: node scripts/campaign-stats.js [options]
+
+Options:
+  --campaign=NAME            Only recompute campaigns containing this name
+  --dry-run                  Print the aggregates without updating event stories
+  --verbose, -v              Show detailed logging
+  --help, -h                 Show this help message
+
+Examples:
+  node scripts/campaign-stats.js
+  node scripts/campaign-stats.js --campaign="Sunderland" --dry-run
+    `);
+    process.exit(0);
+  }
+
+  const options = {
+    campaign: args.find(arg => arg.startsWith('--campaign='))?.split('=')[1],
+    dryRun: args.includes('--dry-run')
+  };
+
+  const results = await new CampaignStatsRecompute(options).run();
+  if (results.some(result => result.error)) {
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    Logger.error('Campaign aggregates failed', error);
+    process.exit(1);
+  });
+}
+
+module.exports = CampaignStatsRecompute;
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const storyblokService = require('../src/services/storyblokService');
+const StoryLayout = require('../src/utils/storyLayout');
+const Logger = require('../src/utils/logger');
+
+// Layout folders that hold a campaign's profile stories, in the order they are moved
+const PROFILE_FOLDER_KEYS = ['organisations', 'teams', 'fundraisers'];
+
+/**
+ * Move synced stories from one folder layout to another
+ *
+ * Stories are moved by changing their parent folder rather than recreated, so they keep their
+ * UUIDs and every reference to them (team members, event links, leaderboards) stays valid.
+ * Campaigns are found from the event stories in the old layout; the campaign folder's own
+ * content (its event reference) is copied to the new campaign folder. Nothing is changed
+ * without --apply.
+ */
+class LayoutMigration {
+  constructor(options = {}) {
+    this.options = options;
+    this.from = StoryLayout.load(options.from || process.env.STORY_LAYOUT_PATH);
+    this.to = StoryLayout.load(options.to);
+    this.moves = [];
+    this.stats = { moved: 0, conflicts: 0, failed: 0, foldersRemoved: 0 };
+  }
+
+  /**
+   * Campaigns in the old layout, from their event stories
+   */
+  async loadCampaigns() {
+    const stories = await storyblokService.listAllStories({
+      starts_with: this.from.getStaticPrefix('events'),
+      contain_component: 'event'
+    });
+
+    let events = stories.filter(story =>
+      !story.is_folder && story.full_slug === this.from.getEventFullSlug(story.name)
+    );
+
+    if (this.options.campaign) {
+      const filter = this.options.campaign.toLowerCase();
+      events = events.filter(story => story.name.toLowerCase().includes(filter));
+    }
+
+    return events;
+  }
+
+  /**
+   * Work out which stories of a campaign need to move and where to
+   */
+  async planCampaign(eventStory) {
+    const campaignName = eventStory.name;
+
+    if (this.from.getEventFullSlug(campaignName) !== this.to.getEventFullSlug(campaignName)) {
+      this.moves.push({
+        kind: 'event',
+        campaignName,
+        story: eventStory,
+        folder: this.to.getFolderPath('events', campaignName),
+        slug: this.to.getEventSlug(campaignName)
+      });
+    }
+
+    for (const key of PROFILE_FOLDER_KEYS) {
+      const oldSlug = this.from.getFolderSlug(key, campaignName);
+      const folder = this.to.getFolderPath(key, campaignName);
+      if (oldSlug === folder.fullSlug) {
+        continue;
+      }
+
+      const oldFolder = await storyblokService.findStoryBySlug(oldSlug);
+      if (!oldFolder || !oldFolder.is_folder) {
+        continue;
+      }
+
+      // Only direct children: other profile folders may be nested inside this one
+      const children = await storyblokService.listAllStories({ starts_with: `${oldSlug}/` });
+      for (const story of children.filter(child => child.parent_id === oldFolder.id && !child.is_folder)) {
+        this.moves.push({ kind: key, campaignName, story, folder, slug: story.slug });
+      }
+    }
+  }
+
+  /**
+   * Move one story, skipping it if its new folder already has a different story at that slug
+   */
+  async applyMove(move) {
+    const targetSlug = `${move.folder.fullSlug}/${move.slug}`;
+    const existing = await storyblokService.findStoryBySlug(targetSlug);
+    if (existing && existing.id !== move.story.id) {
+      this.stats.conflicts++;
+      Logger.warning(`Skipped ${move.story.full_slug}: ${targetSlug} is already taken`);
+      return;
+    }
+
+    try {
+      const folder = await storyblokService.getOrCreateFolderPath(move.folder);
+      const story = await storyblokService.getStory(move.story.id);
+      await storyblokService.moveStory(story, folder, move.slug);
+      this.stats.moved++;
+      Logger.success(`Moved ${move.story.full_slug} → ${targetSlug}`);
+    } catch (error) {
+      this.stats.failed++;
+      Logger.error(`Failed to move ${move.story.full_slug}`, error.response?.data || error.message);
+    }
+  }
+
+  /**
+   * Give the new campaign folder the old one's content (its event reference)
+   */
+  async copyCampaignFolder(campaignName) {
+    const oldSlug = this.from.getFolderSlug('campaign', campaignName);
+    const folderPath = this.to.getFolderPath('campaign', campaignName);
+    if (oldSlug === folderPath.fullSlug) {
+      return;
+    }
+
+    const oldFolder = await storyblokService.findStoryBySlug(oldSlug);
+    const newFolder = await storyblokService.getOrCreateFolderPath(folderPath);
+    if (oldFolder) {
+      const { content } = await storyblokService.getStory(oldFolder.id);
+      await storyblokService.updateStoryContent(newFolder, content || {});
+    }
+  }
+
+  /**
+   * Delete a campaign's old folders once nothing is left in them, innermost first
+   * Folders above the campaign's own (e.g. "fundraisers") are shared and left alone.
+   */
+  async removeEmptyFolders(campaignName) {
+    const slugs = new Set();
+    for (const key of ['campaign', ...PROFILE_FOLDER_KEYS, 'events']) {
+      const template = this.from.paths[key].split('/');
+      const folderPath = this.from.getFolderPath(key, campaignName);
+      const firstCampaignSegment = template.findIndex(segment => segment.includes('{'));
+      if (firstCampaignSegment === -1) {
+        continue;
+      }
+
+      for (let depth = firstCampaignSegment + 1; depth <= folderPath.folders.length; depth++) {
+        slugs.add(folderPath.folders.slice(0, depth).map(folder => folder.slug).join('/'));
+      }
+    }
+
+    const keep = new Set(['campaign', ...PROFILE_FOLDER_KEYS, 'events']
+      .map(key => this.to.getFolderSlug(key, campaignName)));
+
+    const candidates = [...slugs]
+      .filter(slug => !Array.from(keep).some(kept => kept === slug || kept.startsWith(`${slug}/`)))
+      .sort((a, b) => b.split('/').length - a.split('/').length);
+
+    for (const slug of candidates) {
+      const folder = await storyblokService.findStoryBySlug(slug);
+      if (!folder || !folder.is_folder) {
+        continue;
+      }
+
+      const remaining = await storyblokService.listAllStories({ starts_with: `${slug}/` });
+      if (remaining.length > 0) {
+        Logger.info(`Kept ${slug}: ${remaining.length} stories still inside`);
+        continue;
+      }
+
+      await storyblokService.applyRemovalPolicy(folder, 'delete');
+      this.stats.foldersRemoved++;
+    }
+  }
+
+  async run() {
+    Logger.section('Story Layout Migration');
+    Logger.info(`From: ${this.from.source}`);
+    Logger.info(`To:   ${this.to.source}`);
+    if (!this.options.apply) {
+      Logger.warning('REPORT ONLY - no stories will be moved (use --apply)');
+    }
+
+    const events = await this.loadCampaigns();
+    Logger.info(`Found ${events.length} campaigns`);
+
+    for (const eventStory of events) {
+      await this.planCampaign(eventStory);
+    }
+
+    for (const move of this.moves) {
+      Logger.info(`${move.kind.padEnd(13)} ${move.story.full_slug} → ${move.folder.fullSlug}/${move.slug}`);
+    }
+    Logger.summary(`${this.moves.length} stories to move`);
+
+    if (this.options.apply) {
+      Logger.section('Moving Stories');
+
+      for (const eventStory of events) {
+        await this.copyCampaignFolder(eventStory.name);
+      }
+      for (const move of this.moves) {
+        await this.applyMove(move);
+      }
+
+      if (this.options.removeEmptyFolders) {
+        for (const eventStory of events) {
+          await this.removeEmptyFolders(eventStory.name);
+        }
+      }
+    }
+
+    Logger.section('Story Layout Migration Complete');
+    Logger.summary(`Moved: ${this.stats.moved}, conflicts: ${this.stats.conflicts}, failed: ${this.stats.failed}` +
+      (this.options.removeEmptyFolders ? `, folders removed: ${this.stats.foldersRemoved}` : ''));
+    if (this.options.apply && this.stats.failed === 0) {
+      Logger.info('Point STORY_LAYOUT_PATH at the new layout before syncing again');
+    }
+    Logger.space();
+
+    return this.stats;
+  }
+}
+
+// CLI Interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--verbose') || args.includes('-v')) {
+    Logger.verboseMode = true;
+  }
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Story Layout Migration - Move synced stories from one folder layout to another
+
+Usage: node scripts/migrate-layout.js --to=PATH [options]
+
+Options:
+  --to=PATH                  Layout file to move stories into (required)
+  --from=PATH                Layout the space uses now (default: STORY_LAYOUT_PATH, else the default layout)
+  --campaign=NAME            Only migrate campaigns containing this name
+  --apply                    Move the stories (otherwise only report the planned moves)
+  --remove-empty-folders     Delete a campaign's old folders once they are empty (with --apply)
+  --verbose, -v              Show detailed logging
+  --help, -h                 Show this help message
+
+Examples:
+  node scripts/migrate-layout.js --to=./layouts/by-year.json
+  node scripts/migrate-layout.js --to=./layouts/by-year.json --campaign="Sunderland" --apply
+    `);
+    process.exit(0);
+  }
+
+  const options = {
+    from: args.find(arg => arg.startsWith('--from='))?.split('=')[1],
+    to: args.find(arg => arg.startsWith('--to='))?.split('=')[1],
+    campaign: args.find(arg => arg.startsWith('--campaign='))?.split('=')[1],
+    apply: args.includes('--apply'),
+    removeEmptyFolders: args.includes('--remove-empty-folders')
+  };
+
+  if (!options.to) {
+    Logger.error('Missing --to=PATH (the layout to migrate to)');
+    process.exit(1);
+  }
+
+  const stats = await new LayoutMigration(options).run();
+  if (stats.failed > 0 || stats.conflicts > 0) {
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    Logger.error('Story layout migration failed', error);
+    process.exit(1);
+  });
+}
+
+module.exports = LayoutMigration;
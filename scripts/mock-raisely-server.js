@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Raisely API for offline bulk import runs
+ * Serves GET /v3/campaigns/:uuid/profiles and /v3/profiles/:uuid from a local export (default sync/all-data.json),
+ * shaped like the real API: parents are reduced to parentUuid and results are paginated.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Flatten an export into API-shaped profiles, including the parent groups it embeds
+ */
+function loadProfiles(dataPath) {
+  const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  const profiles = new Map();
+
+  const addProfile = (profile, campaignUuid) => {
+    if (!profile || !profile.uuid) {
+      return null;
+    }
+
+    const parentUuid = addProfile(profile.parent, campaignUuid) || profile.parentUuid || null;
+    const { parent, ...rest } = profile;
+
+    if (!profiles.has(profile.uuid)) {
+      profiles.set(profile.uuid, {
+        ...rest,
+        campaignUuid: profile.campaignUuid || campaignUuid,
+        parentUuid
+      });
+    }
+
+    return profile.uuid;
+  };
+
+  (data.data || []).forEach(profile => addProfile(profile, profile.campaignUuid));
+  return Array.from(profiles.values());
+}
+
+function createMockServer(dataPath) {
+  const app = express();
+  const profiles = loadProfiles(dataPath);
+
+  app.get('/v3/campaigns/:campaignUuid/profiles', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { type, sort, order } = req.query;
+
+    let results = profiles.filter(profile => profile.campaignUuid === req.params.campaignUuid);
+    if (type) {
+      results = results.filter(profile => profile.type === type);
+    }
+
+    if (sort) {
+      const direction = order === 'desc' ? -1 : 1;
+      results = [...results].sort((a, b) => (a[sort] > b[sort] ? 1 : a[sort] < b[sort] ? -1 : 0) * direction);
+    }
+
+    res.json({
+      data: results.slice(offset, offset + limit),
+      pagination: { total: results.length, offset, limit }
+    });
+  });
+
+  app.get('/v3/profiles/:uuid', (req, res) => {
+    const profile = profiles.find(candidate => candidate.uuid === req.params.uuid);
+    if (!profile) {
+      return res.status(404).json({ errors: [{ message: 'Profile not found' }] });
+    }
+    res.json({ data: profile });
+  });
+
+  app.use((req, res) => res.status(404).json({ errors: [{ message: 'Not found' }] }));
+
+  return { app, profiles };
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const port = parseInt(args.find(arg => arg.startsWith('--port='))?.split('=')[1], 10) || 4010;
+  const dataPath = args.find(arg => arg.startsWith('--data='))?.split('=')[1] ||
+    path.join(__dirname, '../sync/all-data.json');
+
+  const { app, profiles } = createMockServer(dataPath);
+  app.listen(port, () => {
+    const campaigns = new Set(profiles.map(profile => profile.campaignUuid));
+    console.log(`🧪 Mock Raisely API on http://localhost:${port}/v3 (${profiles.length} profiles)`);
+    campaigns.forEach(campaignUuid => console.log(`   campaign: ${campaignUuid}`));
+    console.log(`   RAISELY_API_URL=http://localhost:${port}/v3`);
+  });
+}
+
+module.exports = { createMockServer, loadProfiles };
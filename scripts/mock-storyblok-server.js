@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Storyblok management API for offline runs
+ * Keeps stories in memory and pages listings like the real API (per_page capped at 100,
+ * `total` and `per-page` headers), so pagination bugs show up once a space is seeded
+ * with more stories than fit on one page.
+ */
+
+const express = require('express');
+
+const MAX_PER_PAGE = 100;
+
+const DEFAULT_COMPONENTS = ['fundraiser', 'team', 'organisation', 'event', 'donation'];
+
+function createMockServer({ folders = 0, fundraisers = 0, components = DEFAULT_COMPONENTS } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  const stories = new Map();
+  const assets = new Map();
+  const assetFolders = new Map();
+  const componentDefinitions = new Map();
+  let nextId = 1;
+
+  for (const name of components) {
+    const id = nextId++;
+    componentDefinitions.set(id, { id, name, display_name: name, is_root: true, schema: {} });
+  }
+
+  const fullSlug = story => {
+    const parent = story.parent_id && stories.get(story.parent_id);
+    return parent ? `${fullSlug(parent)}/${story.slug}` : story.slug;
+  };
+
+  const present = story => ({ ...story, full_slug: fullSlug(story) });
+
+  const addStory = data => {
+    const id = nextId++;
+    const story = {
+      id,
+      uuid: `mock-${id}`,
+      name: data.name,
+      slug: data.slug,
+      parent_id: data.parent_id || null,
+      is_folder: Boolean(data.is_folder),
+      published: Boolean(data.published),
+      content: data.content || {},
+      created_at: new Date().toISOString()
+    };
+    stories.set(id, story);
+    return story;
+  };
+
+  // Seed filler folders ahead of the real ones, and a campaign with many fundraisers
+  for (let i = 1; i <= folders; i++) {
+    addStory({ name: `Folder ${i}`, slug: `folder-${i}`, is_folder: true });
+  }
+  if (fundraisers > 0) {
+    const root = addStory({ name: 'Fundraisers', slug: 'fundraisers', is_folder: true });
+    const campaign = addStory({ name: 'Seed Campaign', slug: 'seed-campaign', parent_id: root.id, is_folder: true });
+    addStory({ name: 'Team', slug: 'team', parent_id: campaign.id, is_folder: true });
+    for (let i = 1; i <= fundraisers; i++) {
+      addStory({
+        name: `Fundraiser ${i}`,
+        slug: `fundraiser-${i}`,
+        parent_id: campaign.id,
+        content: { component: 'fundraiser', name: `Fundraiser ${i}`, raisely_id: `seed-${i}` }
+      });
+    }
+  }
+
+  const matches = (story, query) => {
+    if (query.with_slug && story.full_slug !== query.with_slug) return false;
+    if (query.starts_with && !story.full_slug.startsWith(query.starts_with)) return false;
+    if (query.excluding_slug_path && story.full_slug.startsWith(query.excluding_slug_path)) return false;
+    if (query.is_folder && !story.is_folder) return false;
+    if (query.contain_component && story.content?.component !== query.contain_component) return false;
+    if (query.by_uuids && !query.by_uuids.split(',').includes(story.uuid)) return false;
+
+    for (const [field, filter] of Object.entries(query.filter_query || {})) {
+      if (filter.in && !filter.in.split(',').includes(story.content?.[field])) return false;
+    }
+
+    return true;
+  };
+
+  app.get('/v1/spaces/:spaceId', (req, res) => {
+    res.json({ space: { id: parseInt(req.params.spaceId, 10), name: 'Mock space' } });
+  });
+
+  app.get('/v1/spaces/:spaceId/components', (req, res) => {
+    res.json({ components: Array.from(componentDefinitions.values()) });
+  });
+
+  app.post('/v1/spaces/:spaceId/components', (req, res) => {
+    const name = req.body.component?.name;
+    if (!name || Array.from(componentDefinitions.values()).some(component => component.name === name)) {
+      return res.status(422).json({ name: ['has already been taken'] });
+    }
+
+    const component = { schema: {}, ...req.body.component, id: nextId++ };
+    componentDefinitions.set(component.id, component);
+    res.status(201).json({ component });
+  });
+
+  app.put('/v1/spaces/:spaceId/components/:id', (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!componentDefinitions.has(id)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const component = { ...componentDefinitions.get(id), ...req.body.component, id };
+    componentDefinitions.set(id, component);
+    res.json({ component });
+  });
+
+  app.get('/v1/spaces/:spaceId/stories', (req, res) => {
+    const perPage = Math.min(parseInt(req.query.per_page, 10) || 25, MAX_PER_PAGE);
+    const page = parseInt(req.query.page, 10) || 1;
+    const results = Array.from(stories.values()).map(present).filter(story => matches(story, req.query));
+
+    res.set('total', String(results.length));
+    res.set('per-page', String(perPage));
+    res.json({ stories: results.slice((page - 1) * perPage, page * perPage) });
+  });
+
+  app.get('/v1/spaces/:spaceId/stories/:id/:action(publish|unpublish)', (req, res) => {
+    const story = stories.get(parseInt(req.params.id, 10));
+    if (!story) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    story.published = req.params.action === 'publish';
+    res.json({ story: present(story) });
+  });
+
+  app.get('/v1/spaces/:spaceId/stories/:id', (req, res) => {
+    const story = stories.get(parseInt(req.params.id, 10));
+    if (!story) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ story: present(story) });
+  });
+
+  const slugTaken = (slug, parentId, exceptId = null) => Array.from(stories.values()).some(story =>
+    story.id !== exceptId && story.slug === slug && (story.parent_id || null) === (parentId || null)
+  );
+
+  app.post('/v1/spaces/:spaceId/stories', (req, res) => {
+    const data = req.body.story || {};
+    if (slugTaken(data.slug, data.parent_id)) {
+      return res.status(422).json({ slug: ['has already been taken'] });
+    }
+
+    res.json({ story: present(addStory(data)) });
+  });
+
+  app.put('/v1/spaces/:spaceId/stories/:id', (req, res) => {
+    const story = stories.get(parseInt(req.params.id, 10));
+    if (!story) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const { id, uuid, ...updates } = req.body.story || {};
+    if ((updates.slug || updates.parent_id !== undefined) &&
+        slugTaken(updates.slug || story.slug, updates.parent_id !== undefined ? updates.parent_id : story.parent_id, story.id)) {
+      return res.status(422).json({ slug: ['has already been taken'] });
+    }
+    Object.assign(story, updates);
+    res.json({ story: present(story) });
+  });
+
+  app.delete('/v1/spaces/:spaceId/stories/:id', (req, res) => {
+    const story = stories.get(parseInt(req.params.id, 10));
+    if (!story) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    stories.delete(story.id);
+    res.json({ story: present(story) });
+  });
+
+  // Assets: signed upload flow (sign, upload to post_url, finish_upload) and asset folders
+  app.get('/v1/spaces/:spaceId/asset_folders', (req, res) => {
+    res.json({ asset_folders: Array.from(assetFolders.values()) });
+  });
+
+  app.post('/v1/spaces/:spaceId/asset_folders', (req, res) => {
+    const folder = { id: nextId++, name: req.body.asset_folder?.name, parent_id: req.body.asset_folder?.parent_id || null };
+    assetFolders.set(folder.id, folder);
+    res.json({ asset_folder: folder });
+  });
+
+  app.post('/v1/spaces/:spaceId/assets', (req, res) => {
+    const id = nextId++;
+    const asset = {
+      id,
+      filename: req.body.filename,
+      asset_folder_id: req.body.asset_folder_id || null,
+      uploaded: false,
+      finished: false
+    };
+    assets.set(id, asset);
+
+    res.json({
+      id,
+      pretty_url: `//a.storyblok.com/f/${req.params.spaceId}/${id}/${req.body.filename}`,
+      post_url: `${req.protocol}://${req.get('host')}/upload/${id}`,
+      fields: { key: `f/${req.params.spaceId}/${id}/${req.body.filename}`, policy: 'mock' }
+    });
+  });
+
+  app.post('/upload/:id', (req, res) => {
+    const asset = assets.get(parseInt(req.params.id, 10));
+    if (!asset) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // Count the multipart bytes without parsing them
+    let size = 0;
+    req.on('data', chunk => { size += chunk.length; });
+    req.on('end', () => {
+      asset.uploaded = size > 0;
+      res.status(204).end();
+    });
+  });
+
+  app.get('/v1/spaces/:spaceId/assets/:id/finish_upload', (req, res) => {
+    const asset = assets.get(parseInt(req.params.id, 10));
+    if (!asset) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    asset.finished = true;
+    res.json(asset);
+  });
+
+  app.delete('/v1/spaces/:spaceId/assets/:id', (req, res) => {
+    const asset = assets.get(parseInt(req.params.id, 10));
+    if (!asset) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    assets.delete(asset.id);
+    res.json(asset);
+  });
+
+  app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+  return { app, stories, assets, assetFolders, components: componentDefinitions };
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const port = parseInt(getArg('port'), 10) || 4020;
+
+  const { app, stories } = createMockServer({
+    folders: parseInt(getArg('seed-folders'), 10) || 0,
+    fundraisers: parseInt(getArg('seed-fundraisers'), 10) || 0
+  });
+
+  app.listen(port, () => {
+    console.log(`🧪 Mock Storyblok API on http://localhost:${port}/v1 (${stories.size} stories)`);
+    console.log(`   STORYBLOK_API_URL=http://localhost:${port}/v1`);
+  });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,523 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const storyblokService = require('../src/services/storyblokService');
+const raiselyService = require('../src/services/raiselyService');
+const Logger = require('../src/utils/logger');
+const ProfileHierarchy = require('../src/utils/profileHierarchy');
+const TeamLeaderboard = require('../src/utils/teamLeaderboard');
+const Currency = require('../src/utils/currency');
+const BulkImporter = require('./bulk-import');
+
+const ISSUE_TYPES = ['missing', 'orphaned', 'stale_amount', 'wrong_team'];
+
+/**
+ * Run an async mapper over items with a fixed number of workers
+ */
+async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+class Reconciler {
+  constructor(options = {}) {
+    this.options = options;
+    this.importer = new BulkImporter();
+    this.importer.options = { forceUpdate: true };
+    this.issues = [];
+  }
+
+  /**
+   * Load Raisely profiles and keep only the fundraisers and teams we sync
+   * Profiles come from the Raisely API for --campaign-uuid, or else from the export file.
+   */
+  async loadRaiselyState() {
+    Logger.section('Loading Raisely Profiles');
+
+    let profiles = this.options.source === 'api'
+      ? await this.fetchProfiles(this.options.campaignUuid)
+      : this.importer.loadProfiles(this.options.file);
+    profiles = profiles.filter(profile => profile.isCampaignProfile !== true);
+
+    if (this.options.campaign) {
+      profiles = this.importer.filterProfiles(profiles, { campaign: this.options.campaign });
+    }
+
+    this.profiles = new Map();
+    this.campaigns = new Map();
+
+    for (const profile of profiles) {
+      const isTeam = this.importer.isGroupProfile(profile);
+      const data = isTeam
+        ? this.importer.extractTeamData(profile)
+        : this.importer.extractFundraiserData(profile);
+
+      if (!data || !data.raiselyId) {
+        continue;
+      }
+
+      this.profiles.set(data.raiselyId, { profile, data, isTeam });
+      this.campaigns.set(storyblokService.createSlug(data.campaign), data.campaign);
+    }
+
+    Logger.success(`Loaded ${this.profiles.size} profiles across ${this.campaigns.size} campaigns`);
+  }
+
+  /**
+   * Fetch every group and individual in a campaign from the Raisely API, with parent chains filled in
+   */
+  async fetchProfiles(campaignUuid) {
+    Logger.info(`Fetching profiles from Raisely campaign ${campaignUuid}`);
+
+    const profiles = await raiselyService.loadGroups(campaignUuid);
+    for await (const page of raiselyService.iterateProfilePages(campaignUuid, { type: 'INDIVIDUAL' })) {
+      profiles.push(...page);
+    }
+
+    return profiles;
+  }
+
+  /**
+   * Page through every story in the layout's profile and event folders
+   * Scoped to the loaded campaigns when filtering by campaign or reading one campaign from the API.
+   */
+  async loadStoryblokState() {
+    Logger.section('Loading Storyblok Stories');
+
+    const layout = storyblokService.layout;
+    let profilePrefixes = layout.getProfileRoots();
+    let eventPrefixes = [layout.getStaticPrefix('events')];
+    if (this.options.campaign || this.options.source === 'api') {
+      const campaignNames = Array.from(this.campaigns.values());
+      profilePrefixes = campaignNames.flatMap(campaignName =>
+        ['fundraisers', 'teams', 'organisations'].map(key => `${layout.getFolderSlug(key, campaignName)}/`)
+      );
+      eventPrefixes = campaignNames.map(campaignName => layout.getEventFullSlug(campaignName));
+    }
+
+    // Nested layouts list the same story under more than one prefix
+    const listStories = async prefixes => {
+      const stories = new Map();
+      for (const prefix of new Set(prefixes)) {
+        for (const story of await storyblokService.listAllStories({ starts_with: prefix })) {
+          stories.set(story.id, story);
+        }
+      }
+      return Array.from(stories.values());
+    };
+
+    const fundraiserEntries = await listStories(profilePrefixes);
+    const eventEntries = await listStories(eventPrefixes);
+
+    // Listings may omit content, so fetch any story that arrived without it
+    const withContent = entries => mapWithConcurrency(
+      entries.filter(story => !story.is_folder),
+      3,
+      story => story.content ? story : storyblokService.getStory(story.id)
+    );
+
+    // Layouts can put event stories alongside profile folders, so sort them by component
+    const isEvent = story => story.content?.component === 'event';
+    const fundraiserStories = (await withContent(fundraiserEntries)).filter(story => !isEvent(story));
+    this.eventStories = (await withContent(eventEntries)).filter(isEvent);
+
+    this.storiesByRaiselyId = new Map();
+    this.unlinkedStories = [];
+    for (const story of fundraiserStories) {
+      const raiselyId = story.content?.raisely_id;
+      if (raiselyId) {
+        this.storiesByRaiselyId.set(raiselyId, story);
+      } else {
+        this.unlinkedStories.push(story);
+      }
+    }
+
+    Logger.success(`Loaded ${fundraiserStories.length} fundraiser stories and ${this.eventStories.length} event stories`);
+    if (this.unlinkedStories.length > 0) {
+      Logger.warning(`${this.unlinkedStories.length} stories have no raisely_id and were not matched`);
+    }
+  }
+
+  addIssue(type, details) {
+    this.issues.push({
+      type,
+      kind: details.kind,
+      raiselyId: details.raiselyId || '',
+      name: details.name || '',
+      campaign: details.campaign || '',
+      fullSlug: details.fullSlug || '',
+      storyId: details.storyId || null,
+      expected: details.expected ?? null,
+      actual: details.actual ?? null,
+      fixed: false,
+      fixError: null
+    });
+  }
+
+  /**
+   * Compare both sides and collect drift
+   */
+  compare() {
+    Logger.section('Comparing');
+
+    // Missing and stale stories
+    for (const [raiselyId, { data, isTeam }] of this.profiles) {
+      const kind = isTeam ? data.kind : 'fundraiser';
+      const story = this.storiesByRaiselyId.get(raiselyId);
+
+      if (!story) {
+        this.addIssue('missing', { kind, raiselyId, name: data.name, campaign: data.campaign });
+        continue;
+      }
+
+      // Team totals follow the leaderboard rule: never below what the members raised
+      const expectedRaised = isTeam
+        ? TeamLeaderboard.refresh({ ...story.content, raised_amount: data.raisedAmount }).raised_amount
+        : data.raisedAmount;
+      const expectedAmounts = { raised_amount: expectedRaised, target_amount: data.targetAmount };
+      const actualAmounts = {
+        raised_amount: parseFloat(story.content.raised_amount) || 0,
+        target_amount: parseFloat(story.content.target_amount) || 0
+      };
+
+      if (expectedAmounts.raised_amount !== actualAmounts.raised_amount ||
+          expectedAmounts.target_amount !== actualAmounts.target_amount) {
+        this.addIssue('stale_amount', {
+          kind,
+          raiselyId,
+          name: data.name,
+          campaign: data.campaign,
+          fullSlug: story.full_slug,
+          storyId: story.id,
+          expected: expectedAmounts,
+          actual: actualAmounts
+        });
+      }
+    }
+
+    // Team references on individuals
+    for (const [raiselyId, { profile, data, isTeam }] of this.profiles) {
+      const story = this.storiesByRaiselyId.get(raiselyId);
+      if (isTeam || !story) {
+        continue;
+      }
+
+      const team = ProfileHierarchy.findAncestor(profile, 'team');
+      const teamStory = team ? this.storiesByRaiselyId.get(team.uuid) : null;
+
+      // The team itself is missing - reported above, membership is fixed with it
+      if (team && !teamStory) {
+        continue;
+      }
+
+      const expected = teamStory ? teamStory.uuid : null;
+      const storedTeams = Array.isArray(story.content.team) ? story.content.team : [];
+      const actual = storedTeams[0] || null;
+
+      if (expected !== actual || storedTeams.length > 1) {
+        this.addIssue('wrong_team', {
+          kind: 'fundraiser',
+          raiselyId,
+          name: data.name,
+          campaign: data.campaign,
+          fullSlug: story.full_slug,
+          storyId: story.id,
+          expected,
+          actual: storedTeams.join('|') || null
+        });
+      }
+    }
+
+    // Stories whose Raisely profile no longer exists
+    for (const [raiselyId, story] of this.storiesByRaiselyId) {
+      if (!this.profiles.has(raiselyId)) {
+        this.addIssue('orphaned', {
+          kind: story.content.is_organisation ? 'organisation' : story.content.is_team ? 'team' : 'fundraiser',
+          raiselyId,
+          name: story.name,
+          fullSlug: story.full_slug,
+          storyId: story.id
+        });
+      }
+    }
+
+    // Events are matched to campaigns by where the layout puts them
+    const eventSlugs = new Set(this.eventStories.map(story => story.full_slug));
+    const expectedEventSlugs = new Set();
+    for (const campaignName of this.campaigns.values()) {
+      const fullSlug = storyblokService.layout.getEventFullSlug(campaignName);
+      expectedEventSlugs.add(fullSlug);
+      if (!eventSlugs.has(fullSlug)) {
+        this.addIssue('missing', { kind: 'event', name: campaignName, campaign: campaignName, fullSlug });
+      }
+    }
+    for (const story of this.eventStories) {
+      if (!expectedEventSlugs.has(story.full_slug)) {
+        this.addIssue('orphaned', { kind: 'event', name: story.name, fullSlug: story.full_slug, storyId: story.id });
+      }
+    }
+  }
+
+  /**
+   * Repair drift in dependency order: events, organisations, teams, individuals, then amounts and orphans
+   */
+  async applyFixes() {
+    Logger.section('Applying Fixes');
+
+    const byType = (type, kind) => this.issues.filter(issue => issue.type === type && (!kind || issue.kind === kind));
+
+    for (const issue of byType('missing', 'event')) {
+      await this.fix(issue, async () => {
+        const campaignFolder = await storyblokService.getOrCreateCampaignFolder(issue.campaign);
+        const eventStory = await storyblokService.createEventStory(issue.campaign);
+        if (!eventStory) {
+          throw new Error('Event story could not be created');
+        }
+        await storyblokService.updateCampaignEventReference(campaignFolder, eventStory);
+      });
+    }
+
+    const resync = issue => this.fix(issue, async () => {
+      const errorsBefore = this.importer.stats.errors;
+      await this.importer.processProfile(this.profiles.get(issue.raiselyId).profile, { forceUpdate: true });
+      if (this.importer.stats.errors > errorsBefore) {
+        throw new Error(this.importer.errors[this.importer.errors.length - 1].error);
+      }
+    });
+
+    // Organisations before teams; missing ancestors are created along the way when groups nest deeper
+    for (const issue of [...byType('missing', 'organisation'), ...byType('missing', 'team')]) {
+      await resync(issue);
+    }
+    for (const issue of byType('missing', 'fundraiser')) {
+      await resync(issue);
+    }
+
+    // A resync rewrites amounts too, so only patch amounts on stories not already resynced
+    const resynced = new Set();
+    for (const issue of byType('wrong_team')) {
+      await resync(issue);
+      resynced.add(issue.raiselyId);
+    }
+
+    // Donation webhooks keep totals fresher than an export file, so only the API is trusted to correct them
+    const amountsFromFile = this.options.source !== 'api';
+    if (amountsFromFile && byType('stale_amount').some(issue => !resynced.has(issue.raiselyId))) {
+      Logger.warning('Stale amounts left in place: they are only fixed from the Raisely API (--campaign-uuid)');
+    }
+
+    for (const issue of byType('stale_amount')) {
+      if (resynced.has(issue.raiselyId)) {
+        issue.fixed = true;
+        continue;
+      }
+      if (amountsFromFile) {
+        continue;
+      }
+
+      await this.fix(issue, async () => {
+        const story = this.storiesByRaiselyId.get(issue.raiselyId);
+        const currency = story.content.currency || '';
+        const updates = {
+          ...issue.expected,
+          raised_display: Currency.format(issue.expected.raised_amount, currency),
+          target_display: Currency.format(issue.expected.target_amount, currency)
+        };
+        if (issue.kind === 'team') {
+          Object.assign(updates, TeamLeaderboard.refresh({ ...story.content, ...updates }));
+        }
+        await storyblokService.updateStoryContent(story, updates);
+      });
+    }
+
+    if (this.options.pruneOrphans) {
+      for (const issue of byType('orphaned')) {
+        await this.fix(issue, async () => {
+          const story = issue.kind === 'event'
+            ? this.eventStories.find(item => item.id === issue.storyId)
+            : this.storiesByRaiselyId.get(issue.raiselyId);
+          await storyblokService.applyRemovalPolicy(story, this.options.orphanPolicy);
+        });
+      }
+    } else if (byType('orphaned').length > 0) {
+      Logger.info('Orphaned stories left in place (use --prune-orphans to remove them)');
+    }
+  }
+
+  async fix(issue, action) {
+    try {
+      Logger.progress(`Fixing ${issue.type} ${issue.kind}: ${issue.name}`);
+      await action();
+      issue.fixed = true;
+    } catch (error) {
+      issue.fixError = error.message;
+      Logger.error(`✗ Could not fix ${issue.type} ${issue.kind}: ${issue.name}`, error);
+    }
+  }
+
+  /**
+   * Write the report as JSON and CSV
+   * @returns {{jsonPath: string, csvPath: string}}
+   */
+  writeReport(reportDir) {
+    fs.mkdirSync(reportDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const jsonPath = path.join(reportDir, `reconcile-${stamp}.json`);
+    const csvPath = path.join(reportDir, `reconcile-${stamp}.csv`);
+
+    fs.writeFileSync(jsonPath, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      applied: Boolean(this.options.apply),
+      summary: this.getSummary(),
+      issues: this.issues
+    }, null, 2));
+
+    const columns = ['type', 'kind', 'raiselyId', 'name', 'campaign', 'fullSlug', 'storyId', 'expected', 'actual', 'fixed', 'fixError'];
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = this.issues.map(issue => columns.map(column => escape(issue[column])).join(','));
+    fs.writeFileSync(csvPath, [columns.join(','), ...rows].join('\n') + '\n');
+
+    return { jsonPath, csvPath };
+  }
+
+  getSummary() {
+    const summary = {};
+    for (const type of ISSUE_TYPES) {
+      const issues = this.issues.filter(issue => issue.type === type);
+      summary[type] = { total: issues.length, fixed: issues.filter(issue => issue.fixed).length };
+    }
+    return summary;
+  }
+
+  printSummary(reportPaths) {
+    Logger.section('Reconcile Complete');
+
+    const summary = this.getSummary();
+    for (const type of ISSUE_TYPES) {
+      const { total, fixed } = summary[type];
+      const fixedText = this.options.apply ? ` (${fixed} fixed)` : '';
+      if (total > 0) {
+        Logger.warning(`⚠ ${type}: ${total}${fixedText}`);
+      } else {
+        Logger.success(`✓ ${type}: 0`);
+      }
+    }
+
+    Logger.summary(`Report: ${reportPaths.jsonPath}`);
+    Logger.summary(`Report: ${reportPaths.csvPath}`);
+    Logger.space();
+  }
+
+  async run() {
+    Logger.section('Reconcile Starting');
+    if (!this.options.apply) {
+      Logger.warning('REPORT ONLY - use --apply to fix drift');
+    }
+
+    await this.loadRaiselyState();
+    await this.loadStoryblokState();
+    this.compare();
+
+    if (this.options.apply) {
+      await this.applyFixes();
+    }
+
+    const reportPaths = this.writeReport(this.options.reportDir);
+    this.printSummary(reportPaths);
+
+    return this.issues;
+  }
+}
+
+// CLI Interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--verbose') || args.includes('-v')) {
+    Logger.verboseMode = true;
+  }
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Reconcile Script - Diff Raisely profiles against Storyblok stories and repair drift
+
+Usage: node scripts/reconcile.js [options]
+
+Reports:
+  missing        Raisely profile (or campaign event) with no Storyblok story
+  orphaned       Story whose raisely_id (or event campaign) no longer exists in Raisely
+  stale_amount   Story whose raised_amount/target_amount differs from Raisely
+  wrong_team     Individual whose team reference doesn't match their Raisely team
+
+Options:
+  --apply                    Fix missing, stale_amount and wrong_team stories (stale_amount with the API source only)
+  --prune-orphans            With --apply, also remove orphaned stories
+  --orphan-policy=POLICY     How to remove orphans: unpublish, archive or delete (default: unpublish)
+  --campaign=NAME            Only reconcile campaigns containing this name
+  --source=SOURCE            'file' (default) or 'api' (default when --campaign-uuid is given)
+  --file=PATH                Profile export to read with the file source (default: sync/all-data.json)
+  --campaign-uuid=UUID       Raisely campaign to fetch profiles from (needs RAISELY_API_TOKEN)
+  --report-dir=DIR           Where to write the JSON and CSV report (default: reports)
+  --verbose, -v              Show detailed logging
+  --help, -h                 Show this help message
+
+Examples:
+  node scripts/reconcile.js
+  node scripts/reconcile.js --campaign="Sunderland" --apply
+  node scripts/reconcile.js --campaign-uuid=9775d2c0-67dd-11f0-90fc-ff6be62a8750 --apply
+  node scripts/reconcile.js --apply --prune-orphans --orphan-policy=archive
+    `);
+    process.exit(0);
+  }
+
+  const options = {
+    apply: args.includes('--apply'),
+    pruneOrphans: args.includes('--prune-orphans'),
+    orphanPolicy: args.find(arg => arg.startsWith('--orphan-policy='))?.split('=')[1] || 'unpublish',
+    campaign: args.find(arg => arg.startsWith('--campaign='))?.split('=')[1],
+    campaignUuid: args.find(arg => arg.startsWith('--campaign-uuid='))?.split('=')[1],
+    file: args.find(arg => arg.startsWith('--file='))?.split('=')[1],
+    reportDir: args.find(arg => arg.startsWith('--report-dir='))?.split('=')[1] || path.join(__dirname, '../reports')
+  };
+
+  options.source = args.find(arg => arg.startsWith('--source='))?.split('=')[1] ||
+    (options.campaignUuid ? 'api' : 'file');
+  if (options.file) {
+    options.file = path.resolve(options.file);
+  }
+
+  if (options.source === 'api' && !options.campaignUuid) {
+    Logger.error('--source=api requires --campaign-uuid=<uuid>');
+    process.exit(1);
+  }
+
+  const reconciler = new Reconciler(options);
+  await reconciler.run();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    Logger.error('Reconcile failed', error);
+    process.exit(1);
+  });
+}
+
+module.exports = Reconciler;
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const storyblokService = require('../src/services/storyblokService');
+const ComponentSchema = require('../src/utils/componentSchema');
+const Logger = require('../src/utils/logger');
+
+/**
+ * Create or update the Storyblok components the sync writes (fundraiser, event, campaign,
+ * folder and the team_member / donation bloks), or with --check report where the space's
+ * definitions differ from what the sync writes. Missing fields are added and mismatched ones
+ * corrected; fields the space added itself are kept.
+ */
+class SchemaBootstrap {
+  constructor(options = {}) {
+    this.options = options;
+    this.results = [];
+  }
+
+  async run() {
+    const { check, dryRun } = this.options;
+    Logger.section(check ? 'Component Schema Check' : 'Component Schema');
+    if (dryRun && !check) {
+      Logger.warning('DRY RUN - components will not be saved');
+    }
+
+    const expected = ComponentSchema.expected();
+    const live = await storyblokService.listComponents();
+    const mismatches = ComponentSchema.diff(expected, live);
+    Logger.info(`Found ${live.length} components in the space`);
+
+    for (const name of Object.keys(expected)) {
+      const problems = mismatches.filter(mismatch => mismatch.component === name);
+      const actual = live.find(component => component.name === name) || null;
+
+      if (problems.length === 0) {
+        this.results.push({ component: name, action: 'unchanged' });
+        Logger.success(name);
+        continue;
+      }
+
+      problems.forEach(({ field, problem }) => {
+        Logger.warning(`${name}${field ? `.${field}` : ''}: ${problem}`);
+      });
+
+      if (check) {
+        this.results.push({ component: name, action: 'mismatch', problems });
+        continue;
+      }
+
+      const action = actual ? 'updated' : 'created';
+      try {
+        if (!dryRun) {
+          await storyblokService.saveComponent(ComponentSchema.merge(expected[name], actual));
+        }
+        this.results.push({ component: name, action, problems });
+        Logger.success(`${name} ${dryRun ? `would be ${action}` : action}`);
+      } catch (error) {
+        this.results.push({ component: name, action: 'failed', error: error.message });
+        Logger.error(name, error);
+      }
+    }
+
+    Logger.section(check ? 'Component Schema Check Complete' : 'Component Schema Complete');
+    const count = action => this.results.filter(result => result.action === action).length;
+    if (check) {
+      Logger.summary(`Components: ${count('unchanged')} match, ${count('mismatch')} differ (${mismatches.length} problems)`);
+    } else {
+      Logger.summary(`Components: ${count('created')} created, ${count('updated')} updated, ` +
+        `${count('unchanged')} unchanged, ${count('failed')} failed`);
+    }
+    Logger.space();
+
+    return this.results;
+  }
+}
+
+// CLI Interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--verbose') || args.includes('-v')) {
+    Logger.verboseMode = true;
+  }
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Component Schema - Create or check the Storyblok components the sync writes
+
+Usage: node scripts/schema.js [options]
+
+Options:
+  --check                    Report differences from the expected schema and exit 1 if there are any
+  --dry-run                  Show what would be created or updated without saving
+  --verbose, -v              Show detailed logging
+  --help, -h                 Show this help message
+
+Examples:
+  node scripts/schema.js --check
+  node scripts/schema.js
+    `);
+    process.exit(0);
+  }
+
+  const options = {
+    check: args.includes('--check'),
+    dryRun: args.includes('--dry-run')
+  };
+
+  const results = await new SchemaBootstrap(options).run();
+  if (results.some(result => result.action === 'mismatch' || result.action === 'failed')) {
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    Logger.error('Component schema failed', error);
+    process.exit(1);
+  });
+}
+
+module.exports = SchemaBootstrap;
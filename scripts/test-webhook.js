@@ -1,4 +1,5 @@
 const axios = require('axios');
+const WebhookSignature = require('../src/utils/webhookSignature');
 
 // Sample Raisely webhook data structure for testing
 const testWebhookData = {
@@ -23,12 +24,19 @@ async function testWebhook() {
   try {
     console.log('🧪 Testing webhook endpoint...');
     
-    const response = await axios.post('http://localhost:3000/webhook/raisely', testWebhookData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Raisely-Webhook-Test/1.0'
-      }
-    });
+    const body = JSON.stringify(testWebhookData);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Raisely-Webhook-Test/1.0'
+    };
+
+    // Sign the payload with the first active secret when signature verification is enabled
+    const { secrets, header } = WebhookSignature.getConfig();
+    if (secrets.length > 0) {
+      headers[header] = WebhookSignature.sign(body, secrets[0]);
+    }
+
+    const response = await axios.post('http://localhost:3000/webhook/raisely', body, { headers });
 
     console.log('✅ Webhook test successful!');
     console.log('Response:', response.data);
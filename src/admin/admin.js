@@ -0,0 +1,213 @@
+/**
+ * Admin dashboard: recent webhook deliveries, their payloads and errors, and replay/resync actions
+ * Everything from the API is rendered with textContent, since payloads come from outside.
+ */
+(function () {
+  const PAGE_SIZE = 50;
+  const state = { offset: 0, total: 0, selectedId: null, canResync: false };
+
+  const $ = id => document.getElementById(id);
+
+  async function api(path, options = {}) {
+    const response = await fetch(`api/${path}`, {
+      ...options,
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json', ...(options.method === 'POST' ? { 'X-Admin-Request': '1' } : {}) }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.message || body.error || `Request failed (${response.status})`);
+    }
+    return body;
+  }
+
+  function element(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text !== undefined && text !== null) {
+      node.textContent = text;
+    }
+    if (className) {
+      node.className = className;
+    }
+    return node;
+  }
+
+  function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : '';
+  }
+
+  function formatDuration(ms) {
+    if (ms === undefined || ms === null) {
+      return '';
+    }
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+  }
+
+  function formatJson(value) {
+    return value === undefined || value === null ? '—' : JSON.stringify(value, null, 2);
+  }
+
+  async function loadStatus() {
+    try {
+      const status = await api('status');
+      state.canResync = status.canResync;
+      $('status').textContent = `Queue: ${status.queue.depth} pending, ${status.queue.deadLetters} dead-lettered ` +
+        `(${status.queue.backend}) · Delivery log: ${status.deliveryLog.backend}, last ${status.deliveryLog.maxEntries}`;
+    } catch (error) {
+      $('status').textContent = error.message;
+    }
+  }
+
+  async function loadDeliveries() {
+    const params = new URLSearchParams({
+      search: $('search').value,
+      status: $('status-filter').value,
+      limit: PAGE_SIZE,
+      offset: state.offset
+    });
+
+    const tbody = $('deliveries');
+    try {
+      const { deliveries, total } = await api(`deliveries?${params}`);
+      state.total = total;
+      tbody.replaceChildren(...(deliveries.length > 0 ? deliveries.map(renderRow) : [messageRow('No deliveries')]));
+    } catch (error) {
+      state.total = 0;
+      tbody.replaceChildren(messageRow(error.message));
+    }
+
+    const last = Math.min(state.offset + PAGE_SIZE, state.total);
+    $('page-info').textContent = state.total ? `${state.offset + 1}–${last} of ${state.total}` : '';
+    $('previous').disabled = state.offset === 0;
+    $('next').disabled = last >= state.total;
+  }
+
+  function messageRow(message) {
+    const row = element('tr');
+    const cell = element('td', message, 'muted');
+    cell.colSpan = 5;
+    row.appendChild(cell);
+    return row;
+  }
+
+  function renderRow(delivery) {
+    const row = element('tr');
+    row.dataset.id = delivery.id;
+    if (delivery.id === state.selectedId) {
+      row.classList.add('selected');
+    }
+
+    row.appendChild(element('td', formatTime(delivery.receivedAt)));
+
+    const event = element('td', delivery.eventType);
+    if (delivery.source !== 'webhook') {
+      event.appendChild(element('small', delivery.source));
+    }
+    row.appendChild(event);
+
+    const profile = element('td', delivery.profileName || delivery.raiselyId || '—');
+    profile.appendChild(element('small', delivery.profilePath || delivery.raiselyId || ''));
+    row.appendChild(profile);
+
+    const result = element('td');
+    result.appendChild(element('span', delivery.status, `badge ${delivery.status}`));
+    if (delivery.error) {
+      result.appendChild(element('small', delivery.error.message));
+    } else if (delivery.result?.action) {
+      result.appendChild(element('small', delivery.result.action));
+    }
+    row.appendChild(result);
+
+    row.appendChild(element('td', formatDuration(delivery.durationMs)));
+    row.addEventListener('click', () => showDelivery(delivery.id));
+    return row;
+  }
+
+  async function showDelivery(id) {
+    state.selectedId = id;
+    document.querySelectorAll('#deliveries tr').forEach(row => {
+      row.classList.toggle('selected', row.dataset.id === id);
+    });
+
+    let delivery;
+    try {
+      delivery = await api(`deliveries/${encodeURIComponent(id)}`);
+    } catch (error) {
+      $('action-result').textContent = error.message;
+      return;
+    }
+
+    $('detail').hidden = false;
+    $('action-result').textContent = '';
+    $('detail-title').textContent = `${delivery.eventType} → ${delivery.profileName || delivery.raiselyId || 'unknown'}`;
+
+    const fields = [
+      ['Status', delivery.status],
+      ['Received', formatTime(delivery.receivedAt)],
+      ['Updated', formatTime(delivery.updatedAt)],
+      ['Source', delivery.replayOf ? `${delivery.source} of ${delivery.replayOf}` : delivery.source],
+      ['Path', delivery.profilePath],
+      ['Raisely id', delivery.raiselyId],
+      ['Campaign', delivery.campaign],
+      ['Event uuid', delivery.eventUuid],
+      ['Job', delivery.jobId],
+      ['Attempts', delivery.attempts],
+      ['Duration', formatDuration(delivery.durationMs)]
+    ];
+    $('detail-fields').replaceChildren(...fields
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .flatMap(([label, value]) => [element('dt', label), element('dd', String(value))]));
+
+    $('detail-error').hidden = !delivery.error;
+    $('error-body').textContent = formatJson(delivery.error);
+    $('result-body').textContent = formatJson(delivery.result);
+    $('payload-body').textContent = formatJson(delivery.payload);
+
+    $('replay').disabled = !delivery.payload;
+    $('resync').disabled = !state.canResync || !delivery.raiselyId;
+    $('resync').title = state.canResync ? '' : 'Set RAISELY_API_TOKEN to resync from Raisely';
+  }
+
+  async function runAction(action) {
+    if (!state.selectedId) {
+      return;
+    }
+
+    $('action-result').textContent = 'Queueing…';
+    try {
+      const { jobId } = await api(`deliveries/${encodeURIComponent(state.selectedId)}/${action}`, { method: 'POST' });
+      $('action-result').textContent = `Queued as ${jobId}`;
+      state.offset = 0;
+      await Promise.all([loadDeliveries(), loadStatus()]);
+    } catch (error) {
+      $('action-result').textContent = error.message;
+    }
+  }
+
+  function refresh() {
+    return Promise.all([loadDeliveries(), loadStatus()]);
+  }
+
+  $('filters').addEventListener('submit', event => {
+    event.preventDefault();
+    state.offset = 0;
+    loadDeliveries();
+  });
+  $('status-filter').addEventListener('change', () => {
+    state.offset = 0;
+    loadDeliveries();
+  });
+  $('refresh').addEventListener('click', refresh);
+  $('previous').addEventListener('click', () => {
+    state.offset = Math.max(state.offset - PAGE_SIZE, 0);
+    loadDeliveries();
+  });
+  $('next').addEventListener('click', () => {
+    state.offset += PAGE_SIZE;
+    loadDeliveries();
+  });
+  $('replay').addEventListener('click', () => runAction('replay'));
+  $('resync').addEventListener('click', () => runAction('resync'));
+
+  refresh();
+})();
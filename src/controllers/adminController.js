@@ -0,0 +1,168 @@
+const jobQueue = require('../services/jobQueue');
+const deliveryLog = require('../services/deliveryLog');
+const raiselyService = require('../services/raiselyService');
+const webhookController = require('./webhookController');
+const WebhookSignature = require('../utils/webhookSignature');
+const Logger = require('../utils/logger');
+
+class AdminController {
+  /**
+   * HTTP Basic auth for the admin dashboard and its API
+   * Uses ADMIN_USERNAME (default "admin") and ADMIN_PASSWORD; without a password the dashboard
+   * is only available in development. API writes also need an X-Admin-Request header, which a
+   * cross-site form or image request cannot send.
+   */
+  authenticate(req, res, next) {
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!password) {
+      if (process.env.NODE_ENV === 'development') {
+        return next();
+      }
+      return res.status(404).json({ error: 'Admin dashboard is disabled (set ADMIN_PASSWORD)' });
+    }
+
+    const [scheme, encoded] = (req.get('authorization') || '').split(' ');
+    const [username, ...rest] = scheme === 'Basic' && encoded
+      ? Buffer.from(encoded, 'base64').toString('utf8').split(':')
+      : [];
+
+    const valid = WebhookSignature.safeCompare(username, process.env.ADMIN_USERNAME || 'admin') &&
+      WebhookSignature.safeCompare(rest.join(':'), password);
+
+    if (!valid) {
+      res.set('WWW-Authenticate', 'Basic realm="Raisely Storyblok admin", charset="UTF-8"');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD' && !req.get('x-admin-request')) {
+      return res.status(403).json({ error: 'Missing X-Admin-Request header' });
+    }
+
+    next();
+  }
+
+  /**
+   * Queue depth and dead letters, for the dashboard header
+   */
+  async getStatus(req, res) {
+    try {
+      const [depth, deadLetters] = await Promise.all([
+        jobQueue.depth(),
+        jobQueue.listDeadLetters()
+      ]);
+
+      res.status(200).json({
+        queue: { backend: jobQueue.backend.name, depth, deadLetters: deadLetters.length },
+        deliveryLog: { backend: deliveryLog.backend.name, maxEntries: deliveryLog.maxEntries },
+        canResync: Boolean(process.env.RAISELY_API_TOKEN)
+      });
+    } catch (error) {
+      Logger.error('Admin status failed', error);
+      res.status(500).json({ error: 'Admin status failed', message: error.message });
+    }
+  }
+
+  /**
+   * Recent deliveries, newest first
+   * Query: search (name, path or raisely_id), status (comma-separated), limit, offset
+   */
+  async listDeliveries(req, res) {
+    try {
+      const result = await deliveryLog.list({
+        search: req.query.search,
+        status: req.query.status,
+        limit: parseInt(req.query.limit, 10) || 50,
+        offset: parseInt(req.query.offset, 10) || 0
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      Logger.error('Listing deliveries failed', error);
+      res.status(500).json({ error: 'Listing deliveries failed', message: error.message });
+    }
+  }
+
+  /**
+   * One delivery with its payload and, if it failed, the error response
+   */
+  async getDelivery(req, res) {
+    try {
+      const delivery = await deliveryLog.get(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      res.status(200).json(delivery);
+    } catch (error) {
+      Logger.error('Loading delivery failed', error);
+      res.status(500).json({ error: 'Loading delivery failed', message: error.message });
+    }
+  }
+
+  /**
+   * Queue a delivery's original payload again
+   */
+  async replayDelivery(req, res) {
+    try {
+      const delivery = await deliveryLog.get(req.params.id);
+      if (!delivery || !delivery.payload) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      Logger.info(`Replaying delivery ${delivery.id} (${delivery.eventType} → ${delivery.profileName})`);
+      const queued = await webhookController.queueManualDelivery(delivery.payload, {
+        source: 'replay',
+        replayOf: delivery.id
+      });
+      if (queued.error) {
+        return res.status(queued.error.status).json(queued.error.response);
+      }
+
+      res.status(202).json({ success: true, jobId: queued.job.id });
+    } catch (error) {
+      Logger.error('Replay failed', error);
+      res.status(500).json({ error: 'Replay failed', message: error.message });
+    }
+  }
+
+  /**
+   * Fetch the delivery's profile from Raisely as it is now and queue it as a profile.updated sync
+   */
+  async resyncProfile(req, res) {
+    if (!process.env.RAISELY_API_TOKEN) {
+      return res.status(400).json({ error: 'Resync needs RAISELY_API_TOKEN to fetch the profile from Raisely' });
+    }
+
+    try {
+      const delivery = await deliveryLog.get(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      if (!delivery.raiselyId) {
+        return res.status(400).json({ error: 'Delivery has no Raisely profile to resync' });
+      }
+
+      Logger.info(`Resyncing profile ${delivery.raiselyId} from Raisely`);
+      const profile = await raiselyService.getProfile(delivery.raiselyId);
+      const queued = await webhookController.queueManualDelivery(
+        { data: { type: 'profile.updated', data: profile } },
+        { source: 'resync', replayOf: delivery.id }
+      );
+      if (queued.error) {
+        return res.status(queued.error.status).json(queued.error.response);
+      }
+
+      res.status(202).json({ success: true, jobId: queued.job.id });
+    } catch (error) {
+      Logger.error('Resync failed', error);
+      const status = error.response?.status === 404 ? 404 : 500;
+      res.status(status).json({
+        error: status === 404 ? 'Profile not found in Raisely' : 'Resync failed',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
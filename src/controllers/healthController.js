@@ -0,0 +1,56 @@
+const healthCheck = require('../services/healthCheck');
+const Logger = require('../utils/logger');
+const BearerToken = require('../utils/bearerToken');
+
+class HealthController {
+  /**
+   * Liveness: the process is up and serving requests
+   */
+  getHealth(req, res) {
+    res.status(200).json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      service: 'raisely-storyblok-webhook'
+    });
+  }
+
+  /**
+   * A check result without its details (space id and name, config errors, folder slugs)
+   */
+  summarize(result) {
+    const checks = Object.fromEntries(
+      Object.entries(result.checks).map(([name, check]) => [name, { status: check.status }])
+    );
+    return { ...result, checks };
+  }
+
+  /**
+   * Readiness: configuration is valid and Storyblok is reachable and set up for syncing
+   * Responds 200 when every check passes and 503 otherwise, with the status of each check.
+   * Each check's details are only included with the queue bearer token (QUEUE_DRAIN_TOKEN or CRON_SECRET).
+   */
+  async getReadiness(req, res) {
+    const detailed = BearerToken.isQueueAuthorized(req);
+
+    try {
+      const result = await healthCheck.check();
+      if (result.status !== 'ready' && !result.cached) {
+        const failed = Object.entries(result.checks)
+          .filter(([, check]) => check.status === 'fail')
+          .map(([name]) => name);
+        Logger.warning(`Readiness check failed: ${failed.join(', ')}`);
+      }
+
+      res.status(result.status === 'ready' ? 200 : 503).json(detailed ? result : this.summarize(result));
+    } catch (error) {
+      Logger.error('Readiness check failed', error);
+      res.status(503).json({
+        status: 'not_ready',
+        error: 'Readiness check failed',
+        ...(detailed ? { message: error.message } : {})
+      });
+    }
+  }
+}
+
+module.exports = new HealthController();
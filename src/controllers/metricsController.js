@@ -0,0 +1,42 @@
+const metrics = require('../services/metrics');
+const jobQueue = require('../services/jobQueue');
+const Logger = require('../utils/logger');
+const BearerToken = require('../utils/bearerToken');
+
+class MetricsController {
+  constructor() {
+    metrics.collectDefaults();
+    metrics.trackQueue(jobQueue);
+  }
+
+  /**
+   * Metrics are open unless METRICS_TOKEN is set, in which case scrapers send it as a bearer token
+   */
+  isAuthorized(req) {
+    const token = process.env.METRICS_TOKEN;
+    if (!token) {
+      return true;
+    }
+
+    return BearerToken.matches(req, token);
+  }
+
+  /**
+   * Prometheus text exposition of every metric
+   */
+  async getMetrics(req, res) {
+    if (!this.isAuthorized(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      res.set('Content-Type', metrics.contentType);
+      res.status(200).send(await metrics.render());
+    } catch (error) {
+      Logger.error('Rendering metrics failed', error);
+      res.status(500).json({ error: 'Rendering metrics failed', message: error.message });
+    }
+  }
+}
+
+module.exports = new MetricsController();
@@ -0,0 +1,90 @@
+const jobQueue = require('../services/jobQueue');
+const queueWorker = require('../services/queueWorker');
+const storyblokClient = require('../services/storyblokClient');
+const storyIndex = require('../services/storyIndex');
+const deliveryLog = require('../services/deliveryLog');
+const BearerToken = require('../utils/bearerToken');
+const Logger = require('../utils/logger');
+
+class QueueController {
+  /**
+   * Process queued jobs within the request (for serverless deployments without a background worker)
+   */
+  async drainQueue(req, res) {
+    if (!BearerToken.isQueueAuthorized(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const maxJobs = parseInt(req.query.max, 10) || 25;
+      const timeBudgetMs = parseInt(process.env.QUEUE_DRAIN_BUDGET_MS, 10) || 50000;
+
+      Logger.section('Draining Queue');
+      const stats = await queueWorker.drain({ maxJobs, deadline: Date.now() + timeBudgetMs });
+      const depth = await jobQueue.depth();
+
+      res.status(200).json({ success: true, ...stats, depth });
+    } catch (error) {
+      Logger.error('Queue drain failed', error);
+      res.status(500).json({ error: 'Queue drain failed', message: error.message });
+    }
+  }
+
+  /**
+   * Report queue depth and dead-lettered jobs
+   */
+  async getQueueStatus(req, res) {
+    if (!BearerToken.isQueueAuthorized(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const [depth, deadLetters] = await Promise.all([
+        jobQueue.depth(),
+        jobQueue.listDeadLetters()
+      ]);
+
+      res.status(200).json({
+        backend: jobQueue.backend.name,
+        depth,
+        storyblok: storyblokClient.getStats(),
+        storyIndex: storyIndex.getStats(),
+        deadLetters: deadLetters.map(job => ({
+          id: job.id,
+          type: job.type,
+          attempts: job.attempts,
+          lastError: job.lastError,
+          createdAt: job.createdAt
+        }))
+      });
+    } catch (error) {
+      Logger.error('Queue status failed', error);
+      res.status(500).json({ error: 'Queue status failed', message: error.message });
+    }
+  }
+
+  /**
+   * Put a dead-lettered job back on the queue
+   */
+  async retryDeadLetter(req, res) {
+    if (!BearerToken.isQueueAuthorized(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const job = await jobQueue.requeueDeadLetter(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Dead-lettered job not found' });
+      }
+
+      await deliveryLog.update(job.id, { status: 'queued', attempts: 0 });
+      queueWorker.notify();
+      res.status(202).json({ success: true, jobId: job.id });
+    } catch (error) {
+      Logger.error('Dead-letter retry failed', error);
+      res.status(500).json({ error: 'Dead-letter retry failed', message: error.message });
+    }
+  }
+}
+
+module.exports = new QueueController();
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const storyIndex = require('../services/storyIndex');
+const WebhookSignature = require('../utils/webhookSignature');
+const Logger = require('../utils/logger');
+
+// Storyblok story events that can change a story's slug, location or existence
+const INVALIDATING_ACTIONS = ['published', 'unpublished', 'deleted', 'moved'];
+
+class StoryblokWebhookController {
+  /**
+   * Verify Storyblok's `webhook-signature` header (hex HMAC-SHA1 of the raw body)
+   * Requests are accepted unsigned only when no STORYBLOK_WEBHOOK_SECRET is set.
+   */
+  isValidSignature(req) {
+    const secret = process.env.STORYBLOK_WEBHOOK_SECRET;
+    if (!secret) {
+      return true;
+    }
+
+    if (!req.rawBody) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha1', secret).update(req.rawBody).digest('hex');
+    return WebhookSignature.safeCompare(req.get('webhook-signature') || '', expected);
+  }
+
+  /**
+   * Drop changed stories from the story index so the next lookup fetches them fresh
+   */
+  async handleStoryblokWebhook(req, res) {
+    if (!this.isValidSignature(req)) {
+      Logger.warning('Rejected Storyblok webhook with invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const { action, story_id: storyId, full_slug: fullSlug } = req.body || {};
+
+    if (!storyId || !INVALIDATING_ACTIONS.includes(action)) {
+      return res.status(200).json({ success: true, ignored: true });
+    }
+
+    try {
+      Logger.info(`Storyblok ${action}: ${fullSlug || storyId}`);
+      await storyIndex.forget(storyId);
+      if (fullSlug) {
+        await storyIndex.forget({ id: storyId, full_slug: fullSlug });
+      }
+
+      res.status(200).json({ success: true, invalidated: storyId });
+    } catch (error) {
+      Logger.error('Failed to invalidate story index', error);
+      res.status(500).json({ error: 'Invalidation failed', message: error.message });
+    }
+  }
+}
+
+module.exports = new StoryblokWebhookController();
@@ -1,14 +1,40 @@
 const storyblokService = require('../services/storyblokService');
+const jobQueue = require('../services/jobQueue');
+const queueWorker = require('../services/queueWorker');
+const idempotencyStore = require('../services/idempotencyStore');
+const deliveryLog = require('../services/deliveryLog');
+const metrics = require('../services/metrics');
 const Logger = require('../utils/logger');
+const LogContext = require('../utils/logContext');
 const { validateFundraiserData } = require('../types/fundraiser');
+const { validateDonationData } = require('../types/donation');
+const WebhookSignature = require('../utils/webhookSignature');
+const FieldMapper = require('../utils/fieldMapper');
+const Currency = require('../utils/currency');
+const ProfileHierarchy = require('../utils/profileHierarchy');
 const fs = require('fs');
 const path = require('path');
 
+// Donation events that change raised totals
+const DONATION_EVENTS = ['donation.created', 'donation.succeeded', 'donation.refunded'];
+
+// Events that take a profile out of Storyblok, and the env var holding each one's policy
+const REMOVAL_EVENTS = {
+  'profile.deleted': 'PROFILE_DELETED_POLICY',
+  'profile.archived': 'PROFILE_ARCHIVED_POLICY'
+};
+
 class WebhookController {
   /**
-   * Handle incoming Raisely webhook for profile created/updated events
+   * Handle incoming Raisely webhook for profile created/updated/deleted events
+   * Validates the payload, queues it for sync and acknowledges straight away
    */
   async handleRaiselyWebhook(req, res) {
+    let claimedEventUuid = null;
+    // Only trust the payload's event type once the request is authenticated (it becomes a metric label)
+    let eventType = 'unknown';
+    const countReceived = result => metrics.webhooksReceived.inc({ event_type: eventType, result });
+
     try {
       Logger.section('Incoming Webhook');
       Logger.webhook('Received request');
@@ -17,126 +43,529 @@ class WebhookController {
       const isVerificationRequest = this.isVerificationRequest(req.body);
       if (isVerificationRequest) {
         Logger.info('Processing webhook verification request');
+        countReceived('verification');
         return res.status(200).json({ 
           success: true, 
           message: 'Webhook endpoint verified successfully' 
         });
       }
       
-      // Validate webhook secret if configured (skip for verification requests)
-      const secretValidation = this.validateWebhookSecret(req.body.secret);
-      if (secretValidation.error) {
-        return res.status(secretValidation.status).json(secretValidation.response);
+      // Verify signature (or legacy body secret) if configured (skip for verification requests)
+      const authValidation = this.validateWebhookRequest(req);
+      if (authValidation.error) {
+        countReceived('unauthorized');
+        return res.status(authValidation.status).json(authValidation.response);
       }
       
       const webhookData = req.body;
-      
-      // Extract event type from the correct location
-      const eventType = webhookData.data.type || webhookData.type || 'unknown';
-      
-      Logger.webhook(`${eventType} → ${req.body.data?.data?.name || 'Processing'}`);
 
       // Validate webhook data structure
       if (!webhookData.data) {
         Logger.warning('Invalid webhook payload - missing data field');
+        countReceived('invalid');
         return res.status(400).json({ 
           error: 'Invalid webhook payload', 
           message: 'Missing data field' 
         });
       }
 
-      // Handle different webhook structures
-      // Real Raisely webhooks have data.data, test webhooks have data.profile
-      const profileData = webhookData.data.data || webhookData.data.profile || webhookData.data;
-      
-      // Check if this is a team profile
-      if (WebhookController.isTeamProfile(profileData)) {
-        Logger.info(`Processing team profile: ${profileData.name}`);
-        
-        // Extract and validate team data
-        const teamData = WebhookController.extractTeamData(profileData);
-        
-        if (!teamData) {
-          Logger.warning('Could not extract valid team data from webhook');
-          return res.status(400).json({ 
-            error: 'Invalid team data', 
-            message: 'Required fields missing' 
+      // Reject payloads we could never sync before queueing them
+      const prepared = WebhookController.prepareSync(webhookData);
+      eventType = prepared.eventType || webhookData.data.type || 'unknown';
+      if (prepared.error) {
+        countReceived('rejected');
+        await deliveryLog.record({
+          ...WebhookController.describeRawDelivery(webhookData),
+          status: 'rejected',
+          payload: webhookData,
+          error: { message: prepared.error.response.message, status: prepared.error.status }
+        });
+        return res.status(prepared.error.status).json(prepared.error.response);
+      }
+
+      LogContext.set(WebhookController.describeLogContext(prepared));
+      Logger.webhook(`${prepared.eventType} → ${prepared.profileName}`);
+
+      // Short-circuit redelivered events with the original outcome
+      if (prepared.eventUuid) {
+        const previous = await idempotencyStore.claimEvent(prepared.eventUuid);
+        if (previous) {
+          Logger.info(`Duplicate event ${prepared.eventUuid} (${previous.status})`);
+          countReceived('duplicate');
+          await deliveryLog.record({
+            ...WebhookController.describeDelivery(prepared),
+            status: 'duplicate',
+            jobId: previous.jobId || null,
+            payload: webhookData,
+            result: previous.result || null
+          });
+          return res.status(200).json({ 
+            success: true, 
+            duplicate: true,
+            message: 'Event already received',
+            status: previous.status,
+            jobId: previous.jobId || null,
+            result: previous.result || null
           });
         }
+        claimedEventUuid = prepared.eventUuid;
+      }
 
-        // Sync team to Storyblok
-        const result = await storyblokService.syncTeam(teamData, eventType);
-
-        if (result.action === 'created') {
-          Logger.success(`Created team: ${teamData.name}`);
-        } else if (result.action === 'updated') {
-          Logger.success(`Updated team: ${teamData.name}`);
+      // Drop events older than the version of this profile we already applied
+      if (await idempotencyStore.isStale(prepared.profileUuid, prepared.profileVersion)) {
+        Logger.warning(`Ignoring out-of-order event for ${prepared.profileName}`);
+        countReceived('skipped');
+        const result = { success: true, skipped: true, message: 'Stale event ignored' };
+        if (claimedEventUuid) {
+          await idempotencyStore.markCompleted(claimedEventUuid, result);
         }
-
-        // Return success response for team
-        return res.status(200).json({ 
-          success: true, 
-          message: 'Team synced successfully',
-          team: teamData.name,
-          campaign: teamData.campaign
+        await deliveryLog.record({
+          ...WebhookController.describeDelivery(prepared),
+          status: 'skipped',
+          payload: webhookData,
+          result
         });
+        return res.status(200).json(result);
       }
-      
-      // Extract and validate fundraiser data (individual profiles)
-      const extractedData = WebhookController.extractFundraiserData(profileData);
-      
-      if (!extractedData) {
-        Logger.warning('Could not extract valid fundraiser data from webhook');
-        return res.status(400).json({ 
-          error: 'Invalid fundraiser data', 
-          message: 'Required fields missing' 
-        });
+
+      const job = await WebhookController.queueDelivery(webhookData, prepared);
+      if (claimedEventUuid) {
+        await idempotencyStore.markQueued(claimedEventUuid, job.id);
       }
+      queueWorker.notify();
+      countReceived('queued');
 
-      // Additional validation to catch missing fields early
-      const validatedData = validateFundraiserData(extractedData);
-      if (!validatedData) {
-        Logger.error('Fundraiser data failed validation');
-        return res.status(400).json({ 
-          error: 'Invalid fundraiser data', 
-          message: 'Data validation failed' 
-        });
+      res.status(202).json({ 
+        success: true, 
+        message: 'Webhook queued for sync',
+        jobId: job.id,
+        eventType: prepared.eventType
+      });
+
+    } catch (error) {
+      Logger.error('Webhook processing failed', error);
+      countReceived('error');
+
+      // Let Raisely's retry of this delivery start afresh
+      if (claimedEventUuid) {
+        await idempotencyStore.releaseEvent(claimedEventUuid).catch(() => {});
       }
 
-      // Check if fundraiser is part of a team
-      let teamData = null;
-      if (profileData.parent && WebhookController.isTeamProfile(profileData.parent)) {
-        teamData = {
-          name: profileData.parent.name,
-          path: profileData.parent.path
+      res.status(500).json({ 
+        error: 'Webhook processing failed', 
+        message: error.message 
+      });
+    }
+  }
+
+  /**
+   * Queue a webhook payload for the worker and record it in the delivery log under the job id
+   * The caller notifies the worker, once anything else that must happen before the job runs is done.
+   * @param {Object} fields - Extra delivery log fields, e.g. { source: 'replay', replayOf }
+   */
+  static async queueDelivery(webhookData, prepared, fields = {}) {
+    const job = await jobQueue.enqueue('raisely.webhook', webhookData);
+    await deliveryLog.record({
+      ...WebhookController.describeDelivery(prepared),
+      ...fields,
+      id: job.id,
+      jobId: job.id,
+      status: 'queued',
+      payload: webhookData
+    });
+    return job;
+  }
+
+  /**
+   * Delivery log fields for a prepared webhook: what it was and which profile it was about
+   */
+  static describeDelivery(prepared) {
+    const profile = prepared.team || prepared.fundraiser || null;
+    return {
+      eventType: prepared.eventType,
+      eventUuid: prepared.eventUuid || null,
+      profileName: prepared.profileName,
+      profilePath: profile?.path || '',
+      raiselyId: profile?.raiselyId || prepared.donation?.profileUuid || '',
+      campaign: profile?.campaign || ''
+    };
+  }
+
+  /**
+   * Log context fields for a prepared webhook, so every line of its sync can be traced to it
+   */
+  static describeLogContext(prepared) {
+    const profile = prepared.team || prepared.fundraiser || null;
+    return {
+      eventType: prepared.eventType,
+      eventUuid: prepared.eventUuid,
+      profileUuid: prepared.profileUuid || prepared.donation?.profileUuid,
+      campaign: profile?.campaign
+    };
+  }
+
+  /**
+   * Best-effort delivery log fields for a payload that could not be prepared
+   */
+  static describeRawDelivery(webhookData) {
+    const profileData = webhookData.data.data || webhookData.data.profile || webhookData.data;
+    return {
+      eventType: webhookData.data.type || webhookData.type || 'unknown',
+      eventUuid: webhookData.data.uuid || null,
+      profileName: profileData.name || profileData.profile?.name || '',
+      profilePath: profileData.path || '',
+      raiselyId: profileData.uuid || '',
+      campaign: ''
+    };
+  }
+
+  /**
+   * Queue a payload from the admin dashboard (a replayed delivery or a fresh profile resync)
+   * Skips the event uuid de-duplication a Raisely delivery goes through, but the worker
+   * still drops it if a newer version of the profile has been applied since.
+   * @returns {Promise<Object>} { job } or { error: { status, response } }
+   */
+  async queueManualDelivery(webhookData, fields) {
+    const prepared = WebhookController.prepareSync(webhookData);
+    if (prepared.error) {
+      return { error: prepared.error };
+    }
+
+    const job = await WebhookController.queueDelivery(webhookData, prepared, fields);
+    queueWorker.notify();
+    return { job };
+  }
+
+  /**
+   * Work out what a webhook payload should sync, without touching Storyblok
+   * @returns {Object} Event metadata (eventType, profileName, eventUuid, profileUuid, profileVersion)
+   *   plus { team } for teams or { fundraiser, teamData } for individuals, or { error: { status, response } }
+   */
+  static prepareSync(webhookData) {
+    // Extract event type from the correct location
+    const eventType = webhookData.data.type || webhookData.type || 'unknown';
+
+    // Handle different webhook structures
+    // Real Raisely webhooks have data.data, test webhooks have data.profile
+    const profileData = webhookData.data.data || webhookData.data.profile || webhookData.data;
+    const profileName = profileData.name || profileData.profile?.name || 'Processing';
+
+    if (DONATION_EVENTS.includes(eventType)) {
+      return WebhookController.prepareDonation(webhookData, eventType, profileData);
+    }
+
+    // Identity and version used for de-duplication and ordering
+    const profile = profileData.profile || profileData;
+    const meta = {
+      eventType,
+      profileName,
+      // Only envelope-style payloads carry an event uuid separate from the profile's
+      eventUuid: profileData !== webhookData.data ? webhookData.data.uuid || null : null,
+      profileUuid: profile.uuid || null,
+      profileVersion: Date.parse(profile.updatedAt || profile.createdAt || webhookData.data.createdAt) || null,
+      isRemoval: Object.prototype.hasOwnProperty.call(REMOVAL_EVENTS, eventType)
+    };
+    
+    // Check if this is a team (or organisation) profile
+    if (WebhookController.isGroupProfile(profileData)) {
+      // Extract and validate team data
+      const teamData = WebhookController.extractTeamData(profileData);
+      
+      if (!teamData) {
+        Logger.warning('Could not extract valid team data from webhook');
+        return {
+          error: {
+            status: 400,
+            response: { 
+              error: 'Invalid team data', 
+              message: 'Required fields missing' 
+            }
+          }
         };
-        Logger.info(`Fundraiser is part of team: ${teamData.name}`);
       }
 
-      // Sync to Storyblok, passing the event type and team data
-      const result = await storyblokService.syncFundraiser(extractedData, eventType, teamData);
+      return { ...meta, team: teamData };
+    }
+    
+    // Extract and validate fundraiser data (individual profiles)
+    const extractedData = WebhookController.extractFundraiserData(profileData);
+    
+    if (!extractedData) {
+      Logger.warning('Could not extract valid fundraiser data from webhook');
+      return {
+        error: {
+          status: 400,
+          response: { 
+            error: 'Invalid fundraiser data', 
+            message: 'Required fields missing' 
+          }
+        }
+      };
+    }
+
+    // Additional validation to catch missing fields early
+    const validatedData = validateFundraiserData(extractedData);
+    if (!validatedData) {
+      Logger.error('Fundraiser data failed validation');
+      return {
+        error: {
+          status: 400,
+          response: { 
+            error: 'Invalid fundraiser data', 
+            message: 'Data validation failed' 
+          }
+        }
+      };
+    }
+
+    // Check if fundraiser is part of a team (the nearest one, when teams are nested)
+    let teamData = null;
+    const team = ProfileHierarchy.findAncestor(profileData.profile || profileData, 'team');
+    if (team) {
+      teamData = {
+        name: team.name,
+        path: team.path,
+        raiselyId: team.uuid || team.id || ''
+      };
+    }
+
+    return { ...meta, fundraiser: extractedData, teamData };
+  }
+
+  /**
+   * Prepare a donation.* event
+   * Donations are ordered by their own uuid, so no profile version is tracked.
+   */
+  static prepareDonation(webhookData, eventType, donationPayload) {
+    const donationData = WebhookController.extractDonationData(donationPayload);
+
+    if (!donationData || !validateDonationData(donationData)) {
+      Logger.warning('Could not extract valid donation data from webhook');
+      return {
+        error: {
+          status: 400,
+          response: { 
+            error: 'Invalid donation data', 
+            message: 'Required fields missing' 
+          }
+        }
+      };
+    }
+
+    return {
+      eventType,
+      profileName: `${donationData.donorName} → ${donationData.profileUuid}`,
+      eventUuid: webhookData.data.data ? webhookData.data.uuid || null : null,
+      profileUuid: null,
+      profileVersion: null,
+      isRemoval: false,
+      donation: donationData
+    };
+  }
+
+  /**
+   * Sync a queued webhook payload to Storyblok (run by the queue worker)
+   * @param {Object} webhookData - The original Raisely webhook body
+   * @param {Object} [job] - The queue job, whose id keys the delivery log entry
+   * @returns {Promise<Object>} Summary of the sync result
+   */
+  async processWebhookEvent(webhookData, job = null) {
+    const startedAt = Date.now();
+    const attempts = (job?.attempts || 0) + 1;
+    const prepared = WebhookController.prepareSync(webhookData);
+    const kind = WebhookController.getSyncKind(prepared);
+
+    try {
+      const summary = await this.syncWebhookEvent(prepared);
+      const durationMs = Date.now() - startedAt;
+      Logger.result(`Synced in ${durationMs}ms`, { durationMs, storyId: summary.storyId || undefined });
+      metrics.syncOutcomes.inc({ source: 'webhook', kind, outcome: summary.skipped ? 'skipped' : summary.action || 'synced' });
+      metrics.syncDuration.observe({ source: 'webhook', kind }, durationMs / 1000);
+      await deliveryLog.update(job?.id, {
+        status: summary.skipped ? 'skipped' : 'succeeded',
+        result: summary,
+        error: null,
+        durationMs,
+        attempts
+      });
+      return summary;
+    } catch (error) {
+      metrics.syncOutcomes.inc({ source: 'webhook', kind, outcome: 'failed' });
+      await deliveryLog.update(job?.id, {
+        status: 'retrying',
+        error: deliveryLog.describeError(error),
+        durationMs: Date.now() - startedAt,
+        attempts
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * What a prepared webhook syncs, for metric labels: individual, team, organisation or donation
+   */
+  static getSyncKind(prepared) {
+    if (prepared.error) {
+      return 'unknown';
+    }
+    if (prepared.donation) {
+      return 'donation';
+    }
+    return prepared.team ? prepared.team.kind || 'team' : 'individual';
+  }
+
+  /**
+   * Check ordering and run the sync for a prepared webhook, recording the outcome for de-duplication
+   */
+  async syncWebhookEvent(prepared) {
+    if (prepared.error) {
+      throw new Error(prepared.error.response.message);
+    }
+
+    LogContext.set(WebhookController.describeLogContext(prepared));
+    const { eventType, eventUuid, profileUuid, profileVersion } = prepared;
+
+    // A newer version of this profile may have been applied while this job waited
+    if (await idempotencyStore.isStale(profileUuid, profileVersion)) {
+      Logger.warning(`Skipping out-of-order event for ${prepared.profileName}`);
+      const skipped = { success: true, skipped: true, message: 'Stale event ignored' };
+      if (eventUuid) {
+        await idempotencyStore.markCompleted(eventUuid, skipped);
+      }
+      return skipped;
+    }
+
+    const summary = await this.runSync(prepared);
+
+    await idempotencyStore.recordProfileVersion(profileUuid, profileVersion);
+    if (eventUuid) {
+      await idempotencyStore.markCompleted(eventUuid, summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run the Storyblok sync for a prepared webhook
+   */
+  async runSync(prepared) {
+    const { eventType } = prepared;
+
+    if (prepared.donation) {
+      return this.runDonation(prepared);
+    }
+
+    if (prepared.isRemoval) {
+      return this.runRemoval(prepared);
+    }
+
+    if (prepared.team) {
+      const teamData = prepared.team;
+      Logger.info(`Processing ${teamData.kind || 'team'} profile: ${teamData.name}`);
+
+      // Sync team to Storyblok
+      const result = await storyblokService.syncTeam(teamData, eventType);
 
       if (result.action === 'created') {
-        Logger.success(`Created story: ${extractedData.name}`);
+        Logger.success(`Created team: ${teamData.name}`, { storyId: result.story?.id });
       } else if (result.action === 'updated') {
-        Logger.success(`Updated story: ${extractedData.name}`);
+        Logger.success(`Updated team: ${teamData.name}`, { storyId: result.story?.id });
       }
 
-      // Return success response
-      res.status(200).json({ 
+      return { 
         success: true, 
-        message: 'Fundraiser synced successfully',
-        fundraiser: extractedData.name,
-        campaign: extractedData.campaign,
-        team: teamData?.name || null
-      });
+        message: 'Team synced successfully',
+        action: result.action,
+        storyId: result.story?.id || null,
+        team: teamData.name,
+        campaign: teamData.campaign
+      };
+    }
 
-    } catch (error) {
-      Logger.error('Webhook processing failed', error);
-      res.status(500).json({ 
-        error: 'Webhook processing failed', 
-        message: error.message 
-      });
+    const { fundraiser, teamData } = prepared;
+    if (teamData) {
+      Logger.info(`Fundraiser is part of team: ${teamData.name}`);
+    }
+
+    // Sync to Storyblok, passing the event type and team data
+    const result = await storyblokService.syncFundraiser(fundraiser, eventType, teamData);
+
+    if (result.action === 'created') {
+      Logger.success(`Created story: ${fundraiser.name}`, { storyId: result.story?.id });
+    } else if (result.action === 'updated') {
+      Logger.success(`Updated story: ${fundraiser.name}`, { storyId: result.story?.id });
+    }
+
+    return { 
+      success: true, 
+      message: 'Fundraiser synced successfully',
+      action: result.action,
+      storyId: result.story?.id || null,
+      fundraiser: fundraiser.name,
+      campaign: fundraiser.campaign,
+      team: teamData?.name || null
+    };
+  }
+
+  /**
+   * Apply a donation to the fundraiser, team and campaign totals
+   */
+  async runDonation(prepared) {
+    const { eventType, donation } = prepared;
+
+    // Pending or failed payments don't count towards totals until donation.succeeded
+    if (eventType === 'donation.created' && ['PENDING', 'FAILED'].includes(donation.status)) {
+      Logger.info(`Donation ${donation.uuid} is ${donation.status}, waiting for donation.succeeded`);
+      return { success: true, skipped: true, message: `Donation ${donation.status.toLowerCase()}` };
+    }
+
+    const result = await storyblokService.applyDonation(donation, eventType);
+
+    return { 
+      success: true, 
+      message: 'Donation synced successfully',
+      action: result.action,
+      storyId: result.story?.id || null,
+      donation: donation.uuid,
+      amount: donation.amount,
+      delta: result.delta
+    };
+  }
+
+  /**
+   * Remove the Storyblok story for a deleted or archived profile
+   */
+  async runRemoval(prepared) {
+    const { eventType } = prepared;
+    const isTeam = Boolean(prepared.team);
+    const profileData = prepared.team || prepared.fundraiser;
+    const policy = process.env[REMOVAL_EVENTS[eventType]] || 'unpublish';
+
+    Logger.info(`Processing ${eventType} for ${profileData.name} (policy: ${policy})`);
+
+    const result = await storyblokService.removeProfile(profileData, { isTeam, policy, eventType });
+
+    return { 
+      success: true, 
+      message: `${isTeam ? 'Team' : 'Fundraiser'} removal processed`,
+      action: result.action,
+      policy,
+      storyId: result.story?.id || null,
+      removedFromTeams: result.removedFromTeams,
+      [isTeam ? 'team' : 'fundraiser']: profileData.name,
+      campaign: profileData.campaign
+    };
+  }
+
+  /**
+   * Release the event uuid of a dead-lettered delivery so Raisely can redeliver it
+   */
+  async handleDeadLetter(webhookData, job = null) {
+    await deliveryLog.update(job?.id, { status: 'failed' });
+
+    const eventUuid = webhookData?.data?.uuid;
+    if (eventUuid) {
+      await idempotencyStore.releaseEvent(eventUuid);
     }
   }
 
@@ -169,11 +598,76 @@ class WebhookController {
   }
 
   /**
-   * Validate webhook secret
+   * Validate an incoming webhook request
+   * Uses HMAC signatures when signing secrets are configured, with the legacy
+   * body secret as an opt-in fallback (RAISELY_WEBHOOK_ALLOW_BODY_SECRET=true)
    */
-  validateWebhookSecret(providedSecret) {
-    const webhookSecret = process.env.RAISELY_WEBHOOK_SECRET;
-    
+  validateWebhookRequest(req) {
+    const config = WebhookSignature.getConfig();
+
+    // No signing secrets configured - body secret is the only available mode
+    if (config.secrets.length === 0) {
+      return this.validateWebhookSecret(req.body?.secret, config.bodySecret);
+    }
+
+    const signatureHeader = req.get ? req.get(config.header) : req.headers?.[config.header];
+
+    if (!signatureHeader) {
+      if (config.allowBodySecret && config.bodySecret && req.body?.secret) {
+        Logger.warning('No signature header, falling back to body secret');
+        return this.validateWebhookSecret(req.body.secret, config.bodySecret);
+      }
+
+      Logger.error('Webhook signature required but not provided');
+      return {
+        error: true,
+        status: 401,
+        response: { 
+          error: 'Unauthorized', 
+          message: 'Webhook signature required' 
+        }
+      };
+    }
+
+    if (!req.rawBody) {
+      Logger.error('Raw request body unavailable for signature check');
+      return {
+        error: true,
+        status: 400,
+        response: { 
+          error: 'Bad Request', 
+          message: 'Unable to verify signature' 
+        }
+      };
+    }
+
+    const verification = WebhookSignature.verify(
+      req.rawBody,
+      signatureHeader,
+      config.secrets,
+      config.toleranceSeconds
+    );
+
+    if (!verification.valid) {
+      Logger.error(`Invalid webhook signature: ${verification.reason}`);
+      return {
+        error: true,
+        status: 403,
+        response: { 
+          error: 'Forbidden', 
+          message: 'Invalid webhook signature' 
+        }
+      };
+    }
+
+    Logger.success('Webhook signature validated');
+    return { error: false };
+  }
+
+  /**
+   * Validate webhook secret sent in the request body (legacy mode)
+   */
+  validateWebhookSecret(providedSecret, webhookSecret = process.env.RAISELY_WEBHOOK_SECRET) {
     if (!webhookSecret) {
       return { error: false }; // No secret configured, skip validation
     }
@@ -190,7 +684,7 @@ class WebhookController {
       };
     }
     
-    if (providedSecret !== webhookSecret) {
+    if (!WebhookSignature.safeCompare(String(providedSecret), webhookSecret)) {
       Logger.error('Invalid webhook secret provided');
       return {
         error: true,
@@ -210,7 +704,14 @@ class WebhookController {
    * Check if profile is a team (GROUP type with isCampaignProfile: false)
    */
   static isTeamProfile(profile) {
-    return profile.type === 'GROUP' && profile.isCampaignProfile === false;
+    return ProfileHierarchy.getKind(profile) === 'team';
+  }
+
+  /**
+   * Check if profile is a team or an organisation, both of which are synced as group stories
+   */
+  static isGroupProfile(profile) {
+    return ProfileHierarchy.isGroup(profile);
   }
 
   /**
@@ -231,27 +732,15 @@ class WebhookController {
         return null;
       }
 
-      // Extract campaign information
-      let campaignName = 'Default Campaign';
-      
-      if (profile.campaign) {
-        campaignName = profile.campaign.name || profile.campaign.title || profile.campaign;
-      } else if (profile.campaignName) {
-        campaignName = profile.campaignName;
-      } else if (profile.parent) {
-        // Find the actual campaign by traversing parent chain
-        campaignName = WebhookController.findCampaignFromParent(profile.parent);
-      } else if (profile.path) {
-        // Extract campaign from path if available
-        const pathParts = profile.path.split('/');
-        if (pathParts.length > 1) {
-          campaignName = pathParts[0];
-        }
-      }
+      // Resolve the campaign from the payload or the profile's ancestors
+      const campaignName = ProfileHierarchy.getCampaignName(profile);
+      const campaignId = ProfileHierarchy.getCampaignId(profile);
 
       // Extract amounts (teams can also have goals and totals)
-      const targetAmount = WebhookController.normalizeAmount(profile.goal || profile.target || profile.targetAmount || 0);
-      const raisedAmount = WebhookController.normalizeAmount(profile.total || profile.raisedAmount || 0);
+      const currency = profile.currency || profile.campaign?.currency || '';
+      const targetAmount = WebhookController.normalizeAmount(profile.goal || profile.target || profile.targetAmount || 0, currency);
+      const raisedAmount = WebhookController.normalizeAmount(profile.total || profile.raisedAmount || 0, currency);
+      const campaignGoal = WebhookController.normalizeAmount(ProfileHierarchy.findAncestor(profile, 'campaign')?.goal, currency) || null;
 
       // Build profile URL
       let profileUrl = '';
@@ -267,13 +756,19 @@ class WebhookController {
       const extractedData = {
         name: profile.name,
         campaign: campaignName,
+        campaignId,
         description: profile.description || profile.story || '',
         targetAmount,
         raisedAmount,
+        currency,
+        campaignGoal,
         profileUrl,
         raiselyId: profile.uuid || profile.id || '',
         path: profile.path || '',
-        status: profile.status || 'DRAFT'
+        status: profile.status || 'DRAFT',
+        kind: ProfileHierarchy.getKind(profile),
+        ancestors: ProfileHierarchy.getGroupAncestors(profile),
+        fields: FieldMapper.mapProfile(profile, 'team')
       };
 
       return extractedData;
@@ -303,28 +798,16 @@ class WebhookController {
         return null;
       }
 
-      // Extract campaign information from Raisely webhook
-      let campaignName = 'Default Campaign';
-      
-      if (profile.campaign) {
-        campaignName = profile.campaign.name || profile.campaign.title || profile.campaign;
-      } else if (profile.campaignName) {
-        campaignName = profile.campaignName;
-      } else if (profile.parent) {
-        // Find the actual campaign by traversing parent chain
-        campaignName = WebhookController.findCampaignFromParent(profile.parent);
-      } else if (profile.path) {
-        // Extract campaign from path if available
-        const pathParts = profile.path.split('/');
-        if (pathParts.length > 1) {
-          campaignName = pathParts[0];
-        }
-      }
+      // Resolve the campaign from the payload or the profile's ancestors
+      const campaignName = ProfileHierarchy.getCampaignName(profile);
+      const campaignId = ProfileHierarchy.getCampaignId(profile);
 
       // Extract amounts (handle both cents and dollar amounts)
       // Raisely uses 'goal' for target and 'total' for raised amount
-      const targetAmount = WebhookController.normalizeAmount(profile.goal || profile.target || profile.targetAmount || 0);
-      const raisedAmount = WebhookController.normalizeAmount(profile.total || profile.raisedAmount || 0);
+      const currency = profile.currency || profile.campaign?.currency || '';
+      const targetAmount = WebhookController.normalizeAmount(profile.goal || profile.target || profile.targetAmount || 0, currency);
+      const raisedAmount = WebhookController.normalizeAmount(profile.total || profile.raisedAmount || 0, currency);
+      const campaignGoal = WebhookController.normalizeAmount(ProfileHierarchy.findAncestor(profile, 'campaign')?.goal, currency) || null;
 
       // Build profile URL - prefer provided URL, otherwise construct from campaign URL if available
       let profileUrl = '';
@@ -342,13 +825,18 @@ class WebhookController {
       const extractedData = {
         name: profile.name,
         campaign: campaignName,
+        campaignId,
         description: profile.description || profile.story || '',
         targetAmount,
         raisedAmount,
+        currency,
+        campaignGoal,
         profileUrl,
         raiselyId: profile.uuid || profile.id || '',
         path: profile.path || '',
-        status: profile.status || 'DRAFT' // Default to DRAFT if no status
+        status: profile.status || 'DRAFT', // Default to DRAFT if no status
+        ancestors: ProfileHierarchy.getGroupAncestors(profile),
+        fields: FieldMapper.mapProfile(profile, 'individual')
       };
 
       return extractedData;
@@ -360,37 +848,65 @@ class WebhookController {
   }
 
   /**
-   * Find the actual campaign by traversing parent hierarchy
-   * Campaigns have isCampaignProfile: true, teams/groups have false
+   * Extract donation data from a Raisely donation payload
    */
-  static findCampaignFromParent(parent) {
-    if (!parent) {
-      return 'Default Campaign';
-    }
-    
-    // If this parent is the campaign profile, use its name
-    if (parent.isCampaignProfile === true) {
-      return parent.name;
-    }
-    
-    // If this parent has a parent, traverse up the chain
-    if (parent.parent) {
-      return WebhookController.findCampaignFromParent(parent.parent);
+  static extractDonationData(raiselyDonation) {
+    try {
+      const donation = raiselyDonation.donation || raiselyDonation;
+
+      if (!donation.uuid) {
+        Logger.warning('Missing required field: uuid');
+        return null;
+      }
+
+      const profileUuid = donation.profileUuid || donation.profile?.uuid || '';
+      if (!profileUuid) {
+        Logger.warning('Missing required field: profileUuid');
+        return null;
+      }
+
+      // Respect the donor's anonymity choice for anything that ends up on the site
+      const anonymous = donation.anonymous === true || donation.public?.anonymous === true;
+      const fullName = donation.preferredName || donation.fullName ||
+        [donation.firstName, donation.lastName].filter(Boolean).join(' ');
+      const donorName = anonymous ? 'Anonymous' : (fullName || 'Anonymous');
+
+      // Totals Raisely reports after this donation, if it sends them (in the profile's currency)
+      const currency = donation.currency || donation.profile?.currency || '';
+      const totalsCurrency = donation.profile?.currency || currency;
+      const reportedTotal = total => (total === undefined || total === null)
+        ? null
+        : WebhookController.normalizeAmount(total, totalsCurrency);
+
+      return {
+        uuid: donation.uuid,
+        profileUuid,
+        amount: WebhookController.normalizeAmount(donation.amount, currency),
+        currency,
+        donorName,
+        anonymous,
+        message: donation.message || donation.public?.message || '',
+        status: donation.status || '',
+        createdAt: donation.createdAt || donation.date || null,
+        profileTotal: reportedTotal(donation.profile?.total),
+        parentTotal: reportedTotal(donation.profile?.parent?.isCampaignProfile === false ? donation.profile.parent.total : undefined),
+        campaignTotal: reportedTotal(donation.campaign?.total)
+      };
+
+    } catch (error) {
+      Logger.error('Error extracting donation data', error);
+      return null;
     }
-    
-    // Fallback to the current parent name if we can't find a campaign
-    return parent.name || 'Default Campaign';
   }
 
   /**
    * Normalize amount values (convert from pence/cents to main currency unit)
-   * Raisely stores amounts in the smallest currency unit (e.g., pence for GBP, cents for USD)
+   * Raisely stores amounts in the smallest currency unit (e.g., pence for GBP, cents for USD;
+   * zero-decimal currencies like JPY are already whole units)
    */
-  static normalizeAmount(amount) {
-    if (!amount || isNaN(amount)) return 0;
-    
-    // Convert from pence/cents to main currency unit (e.g., 500 pence → £5.00)
-    return parseFloat((amount / 100).toFixed(2));
+  static normalizeAmount(amount, currency) {
+    // Convert from pence/cents to main currency unit (e.g., 500 pence → £5.00, but 500 yen stays ¥500)
+    return Currency.fromMinorUnits(amount, currency);
   }
 
   /**
@@ -419,6 +935,26 @@ class WebhookController {
     return testData;
   }
 
+  /**
+   * Run test data through the real webhook handler as if Raisely had sent it
+   * The test data replaces the request body, so it is signed (or given the body secret) with the
+   * configured secrets; otherwise verification would check the original request's bytes.
+   */
+  async handleTestWebhook(req, res, testData) {
+    const config = WebhookSignature.getConfig();
+    const payload = config.secrets.length === 0 && config.bodySecret
+      ? { ...testData, secret: config.bodySecret }
+      : testData;
+
+    req.body = payload;
+    req.rawBody = Buffer.from(JSON.stringify(payload));
+    if (config.secrets.length > 0) {
+      req.headers[config.header] = WebhookSignature.sign(req.rawBody, config.secrets[0]);
+    }
+
+    await this.handleRaiselyWebhook(req, res);
+  }
+
   /**
    * Test endpoint for profile.created events
    */
@@ -426,8 +962,7 @@ class WebhookController {
     try {
       const testData = await this.loadTestData('profile-created-webhook.json');
       Logger.test('Testing profile.created event with real webhook data');
-      req.body = testData;
-      await this.handleRaiselyWebhook(req, res);
+      await this.handleTestWebhook(req, res, testData);
     } catch (error) {
       res.status(400).json({ 
         error: 'Test profile.created failed', 
@@ -443,8 +978,7 @@ class WebhookController {
     try {
       const testData = await this.loadTestData('profile-updated-webhook.json');
       Logger.test('Testing profile.updated event with real webhook data');
-      req.body = testData;
-      await this.handleRaiselyWebhook(req, res);
+      await this.handleTestWebhook(req, res, testData);
     } catch (error) {
       res.status(400).json({ 
         error: 'Test profile.updated failed', 
@@ -453,6 +987,22 @@ class WebhookController {
     }
   }
 
+  /**
+   * Test endpoint for donation.succeeded events
+   */
+  async testWebhookDonation(req, res) {
+    try {
+      const testData = await this.loadTestData('donation-succeeded-webhook.json');
+      Logger.test('Testing donation.succeeded event with sample webhook data');
+      await this.handleTestWebhook(req, res, testData);
+    } catch (error) {
+      res.status(400).json({ 
+        error: 'Test donation.succeeded failed', 
+        message: error.message 
+      });
+    }
+  }
+
   /**
    * Test endpoint to manually trigger webhook processing (legacy - defaults to created)
    */
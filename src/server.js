@@ -3,8 +3,21 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const path = require('path');
 const webhookController = require('./controllers/webhookController');
+const queueController = require('./controllers/queueController');
+const adminController = require('./controllers/adminController');
+const healthController = require('./controllers/healthController');
+const metricsController = require('./controllers/metricsController');
+const storyblokWebhookController = require('./controllers/storyblokWebhookController');
+const queueWorker = require('./services/queueWorker');
+const storyblokService = require('./services/storyblokService');
+const healthCheck = require('./services/healthCheck');
 const Logger = require('./utils/logger');
+const LogContext = require('./utils/logContext');
+
+// Report missing or invalid configuration before serving anything; exits in production
+healthCheck.assertConfig();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,22 +25,61 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+// Access log: one JSON line per request with LOG_FORMAT=json, the Apache combined format otherwise
+app.use(morgan(Logger.format === 'json'
+  ? (tokens, req, res) => JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level: 'info',
+    kind: 'access',
+    message: `${tokens.method(req, res)} ${tokens.url(req, res)} ${tokens.status(req, res)}`,
+    correlationId: res.get('X-Request-Id'),
+    method: tokens.method(req, res),
+    url: tokens.url(req, res),
+    status: Number(tokens.status(req, res)) || null,
+    durationMs: Number(tokens['response-time'](req, res)) || null,
+    remoteAddr: tokens['remote-addr'](req, res),
+    userAgent: tokens['user-agent'](req, res)
+  })
+  : 'combined'));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes Raisely sent so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
+// Correlation id for every log line written while handling a request (after the body parsers)
+app.use(LogContext.middleware());
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    service: 'raisely-storyblok-webhook'
-  });
-});
+// Liveness, and readiness (config, Storyblok space, root folders and components)
+app.get('/health', healthController.getHealth.bind(healthController));
+app.get('/health/ready', healthController.getReadiness.bind(healthController));
+
+// Prometheus metrics (sync throughput, Storyblok latency, retries, queue depth)
+app.get('/metrics', metricsController.getMetrics.bind(metricsController));
 
 // Webhook endpoint for Raisely
 app.post('/webhook/raisely', webhookController.handleRaiselyWebhook.bind(webhookController));
 
+// Webhook endpoint for Storyblok (keeps the story index in step with edits made in Storyblok)
+app.post('/webhook/storyblok', storyblokWebhookController.handleStoryblokWebhook.bind(storyblokWebhookController));
+
+// Queue endpoints (drain is called by Vercel Cron when no background worker runs)
+app.get('/queue/drain', queueController.drainQueue.bind(queueController));
+app.post('/queue/drain', queueController.drainQueue.bind(queueController));
+app.get('/queue/status', queueController.getQueueStatus.bind(queueController));
+app.post('/queue/dead-letter/:jobId/retry', queueController.retryDeadLetter.bind(queueController));
+
+// Admin dashboard (recent deliveries, failures, replays and resyncs) behind HTTP Basic auth
+app.use('/admin', adminController.authenticate.bind(adminController));
+app.get('/admin/api/status', adminController.getStatus.bind(adminController));
+app.get('/admin/api/deliveries', adminController.listDeliveries.bind(adminController));
+app.get('/admin/api/deliveries/:id', adminController.getDelivery.bind(adminController));
+app.post('/admin/api/deliveries/:id/replay', adminController.replayDelivery.bind(adminController));
+app.post('/admin/api/deliveries/:id/resync', adminController.resyncProfile.bind(adminController));
+app.use('/admin', express.static(path.join(__dirname, 'admin')));
+
 // Handle GET requests for webhook verification (some services use GET for verification)
 app.get('/webhook/raisely', (req, res) => {
   Logger.info('Webhook verification via GET request');
@@ -42,8 +94,14 @@ if (process.env.NODE_ENV === 'development') {
   app.post('/test/webhook', webhookController.testWebhook.bind(webhookController));
   app.post('/test/webhook/created', webhookController.testWebhookCreated.bind(webhookController));
   app.post('/test/webhook/updated', webhookController.testWebhookUpdated.bind(webhookController));
+  app.post('/test/webhook/donation', webhookController.testWebhookDonation.bind(webhookController));
 }
 
+// Queued webhook deliveries are synced to Storyblok by the worker
+queueWorker.register('raisely.webhook', (payload, job) => webhookController.processWebhookEvent(payload, job), {
+  onDeadLetter: (payload, job) => webhookController.handleDeadLetter(payload, job)
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   Logger.error('Unhandled server error', err);
@@ -63,9 +121,20 @@ app.listen(PORT, () => {
   Logger.section('Webhook Service');
   Logger.server(`Running on port ${PORT}`);
   Logger.info(`Health: http://localhost:${PORT}/health`);
+  Logger.info(`Readiness: http://localhost:${PORT}/health/ready`);
+  Logger.info(`Admin: http://localhost:${PORT}/admin/`);
   if (process.env.NODE_ENV === 'development') {
     Logger.info(`Test endpoints available`);
   }
+
+  // Serverless deployments set QUEUE_WORKER=false and drain via /queue/drain instead
+  if (process.env.QUEUE_WORKER !== 'false') {
+    queueWorker.start(parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 5000);
+  }
+  if (process.env.STORY_INDEX_WARM === 'true') {
+    storyblokService.warmStoryIndex()
+      .catch(error => Logger.warning('Story index warm-up failed', error.message));
+  }
   Logger.space();
 });
 
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const { createDeliveryLogBackend } = require('./deliveryLogBackends');
+
+/**
+ * Drop the legacy body secret before a payload is stored or shown
+ */
+function sanitizePayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return payload ?? null;
+  }
+
+  const { secret, ...rest } = payload;
+  return rest;
+}
+
+/**
+ * A delivery as listed: without its payload or the full error response
+ */
+function toSummary(entry) {
+  const { payload, error, ...summary } = entry;
+  return {
+    ...summary,
+    error: error ? { message: error.message, status: error.status || null } : null
+  };
+}
+
+/**
+ * Recent webhook deliveries for the admin dashboard
+ * One entry per delivery (or replay/resync), keyed by its queue job id once queued, holding the
+ * payload, the outcome and, for failures, the Storyblok error response. Statuses: queued,
+ * succeeded, skipped, retrying, failed (dead-lettered), duplicate and rejected. Writes are best-effort:
+ * a delivery log problem is logged and never fails the webhook or the sync.
+ */
+class DeliveryLog {
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.maxEntries = options.maxEntries || 1000;
+  }
+
+  /**
+   * Record a new delivery
+   * @param {Object} fields - id (defaults to a new uuid), status, source, eventType, profile fields, payload...
+   * @returns {Promise<Object|null>} The stored entry, or null if it could not be written
+   */
+  async record(fields) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: fields.id || crypto.randomUUID(),
+      receivedAt: now,
+      updatedAt: now,
+      source: 'webhook',
+      attempts: 0,
+      ...fields,
+      payload: sanitizePayload(fields.payload)
+    };
+
+    try {
+      return await this.backend.add(entry, this.maxEntries);
+    } catch (error) {
+      Logger.warning(`Could not record delivery ${entry.id}`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Update a recorded delivery; unknown ids (e.g. jobs queued before the log existed) are ignored
+   */
+  async update(id, changes) {
+    if (!id) {
+      return null;
+    }
+
+    try {
+      return await this.backend.update(id, { ...changes, updatedAt: new Date().toISOString() });
+    } catch (error) {
+      Logger.warning(`Could not update delivery ${id}`, error.message);
+      return null;
+    }
+  }
+
+  async get(id) {
+    return this.backend.get(id);
+  }
+
+  /**
+   * Newest deliveries first, without payloads or error responses
+   * @param {Object} options - { search, status (comma-separated), limit, offset }
+   */
+  async list({ search = '', status = '', limit = 50, offset = 0 } = {}) {
+    const statuses = String(status || '').split(',').map(value => value.trim()).filter(Boolean);
+    const { deliveries, total } = await this.backend.list({
+      search: String(search || '').trim(),
+      statuses,
+      limit: Math.min(Math.max(limit, 1), 200),
+      offset: Math.max(offset, 0)
+    });
+
+    return {
+      deliveries: deliveries.map(toSummary),
+      total
+    };
+  }
+
+  /**
+   * What went wrong, including the Storyblok (or Raisely) response for failed API calls
+   */
+  describeError(error) {
+    return {
+      message: error.message,
+      status: error.response?.status || null,
+      method: error.config?.method?.toUpperCase() || null,
+      url: error.config?.url || null,
+      response: error.response?.data ?? null
+    };
+  }
+}
+
+module.exports = new DeliveryLog(createDeliveryLogBackend(), {
+  maxEntries: parseInt(process.env.DELIVERY_LOG_MAX_ENTRIES, 10) || undefined
+});
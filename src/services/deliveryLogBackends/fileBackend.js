@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryBackend = require('./memoryBackend');
+
+/**
+ * File-backed delivery log backend
+ * Keeps deliveries in one JSON file so they survive restarts. The whole file is rewritten on
+ * every change, so keep DELIVERY_LOG_MAX_ENTRIES modest or use the sqlite backend for volume.
+ * Writes go to a temp file and are renamed into place to avoid torn files.
+ * Entries hold full webhook payloads, donor names, emails and messages included.
+ */
+class FileBackend extends MemoryBackend {
+  constructor(filePath) {
+    super();
+    this.name = 'file';
+    this.filePath = filePath;
+    this._loaded = false;
+  }
+
+  async load() {
+    if (this._loaded) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (fs.existsSync(this.filePath)) {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      this.entries = content.trim() ? JSON.parse(content) : [];
+    }
+    this._loaded = true;
+  }
+
+  async persist() {
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.entries, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileBackend;
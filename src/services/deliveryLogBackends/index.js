@@ -0,0 +1,39 @@
+const path = require('path');
+const MemoryBackend = require('./memoryBackend');
+const FileBackend = require('./fileBackend');
+const SqliteBackend = require('./sqliteBackend');
+
+const DATA_DIR = process.env.STORE_DATA_DIR || path.join(__dirname, '../../../data');
+
+/**
+ * Create the delivery log backend selected by DELIVERY_LOG_BACKEND (file, sqlite or memory)
+ * On Vercel (VERCEL is set) the default is memory, and the file and sqlite backends are refused:
+ * the filesystem there is read-only and not shared between invocations.
+ */
+function createDeliveryLogBackend(type = process.env.DELIVERY_LOG_BACKEND || (process.env.VERCEL ? 'memory' : 'file')) {
+  if ((type === 'file' || type === 'sqlite') && process.env.VERCEL) {
+    throw new Error(`DELIVERY_LOG_BACKEND=${type} does not work on Vercel; use DELIVERY_LOG_BACKEND=memory`);
+  }
+
+  switch (type) {
+    case 'memory':
+      return new MemoryBackend();
+    case 'sqlite':
+      return new SqliteBackend(
+        process.env.DELIVERY_LOG_PATH || path.join(DATA_DIR, 'deliveries.sqlite')
+      );
+    case 'file':
+      return new FileBackend(
+        process.env.DELIVERY_LOG_PATH || path.join(DATA_DIR, 'deliveries.json')
+      );
+    default:
+      throw new Error(`Unknown DELIVERY_LOG_BACKEND: ${type}`);
+  }
+}
+
+module.exports = {
+  createDeliveryLogBackend,
+  MemoryBackend,
+  FileBackend,
+  SqliteBackend
+};
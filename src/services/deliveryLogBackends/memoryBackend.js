@@ -0,0 +1,71 @@
+/**
+ * In-memory delivery log backend
+ * Deliveries are lost on restart - intended for local development and scripts.
+ * Also serves as the base for the file backend, which adds persistence.
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    // Newest first
+    this.entries = [];
+  }
+
+  async load() {
+    // Nothing to load for the in-memory store
+  }
+
+  async persist() {
+    // Nothing to persist for the in-memory store
+  }
+
+  /**
+   * Add a delivery, dropping the oldest beyond maxEntries
+   */
+  async add(entry, maxEntries) {
+    await this.load();
+    this.entries.unshift(entry);
+    if (maxEntries > 0 && this.entries.length > maxEntries) {
+      this.entries.length = maxEntries;
+    }
+    await this.persist();
+    return entry;
+  }
+
+  async update(id, changes) {
+    await this.load();
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    this.entries[index] = { ...this.entries[index], ...changes };
+    await this.persist();
+    return this.entries[index];
+  }
+
+  async get(id) {
+    await this.load();
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Newest deliveries first, filtered by status and a search on name, path or raisely_id
+   */
+  async list({ search = '', statuses = [], limit = 50, offset = 0 } = {}) {
+    await this.load();
+    const term = search.toLowerCase();
+
+    const matches = this.entries.filter(entry =>
+      (statuses.length === 0 || statuses.includes(entry.status)) &&
+      (!term || [entry.profileName, entry.profilePath, entry.raiselyId]
+        .some(value => String(value || '').toLowerCase().includes(term)))
+    );
+
+    return {
+      deliveries: matches.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite delivery log backend (needs the optional better-sqlite3 package)
+ * The columns the dashboard filters and searches on are stored alongside the full entry as JSON.
+ */
+class SqliteBackend {
+  constructor(filePath) {
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      // It is an optional dependency, so npm skips it without failing when the native build does
+      throw new Error(`DELIVERY_LOG_BACKEND=sqlite needs the better-sqlite3 package, which did not load: ${error.message}`);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS deliveries (
+        id TEXT PRIMARY KEY,
+        received_at TEXT NOT NULL,
+        status TEXT,
+        profile_name TEXT,
+        profile_path TEXT,
+        raisely_id TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS deliveries_received_at ON deliveries (received_at);
+      CREATE INDEX IF NOT EXISTS deliveries_raisely_id ON deliveries (raisely_id);
+    `);
+    return this.db;
+  }
+
+  write(entry, statement) {
+    this.open().prepare(statement).run({
+      id: entry.id,
+      receivedAt: entry.receivedAt,
+      status: entry.status || null,
+      profileName: entry.profileName || null,
+      profilePath: entry.profilePath || null,
+      raiselyId: entry.raiselyId || null,
+      data: JSON.stringify(entry)
+    });
+  }
+
+  async add(entry, maxEntries) {
+    this.write(entry, `
+      INSERT OR REPLACE INTO deliveries (id, received_at, status, profile_name, profile_path, raisely_id, data)
+      VALUES (@id, @receivedAt, @status, @profileName, @profilePath, @raiselyId, @data)
+    `);
+
+    if (maxEntries > 0) {
+      this.open().prepare(`
+        DELETE FROM deliveries WHERE id NOT IN (
+          SELECT id FROM deliveries ORDER BY received_at DESC, rowid DESC LIMIT ?
+        )
+      `).run(maxEntries);
+    }
+    return entry;
+  }
+
+  async update(id, changes) {
+    const existing = await this.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const entry = { ...existing, ...changes };
+    this.write(entry, `
+      UPDATE deliveries SET status = @status, profile_name = @profileName, profile_path = @profilePath,
+        raisely_id = @raiselyId, data = @data
+      WHERE id = @id
+    `);
+    return entry;
+  }
+
+  async get(id) {
+    const row = this.open().prepare('SELECT data FROM deliveries WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async list({ search = '', statuses = [], limit = 50, offset = 0 } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (statuses.length > 0) {
+      clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (search) {
+      const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+      clauses.push("(profile_name LIKE ? ESCAPE '\\' OR profile_path LIKE ? ESCAPE '\\' OR raisely_id LIKE ? ESCAPE '\\')");
+      params.push(pattern, pattern, pattern);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const db = this.open();
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM deliveries ${where}`).get(...params);
+    const rows = db.prepare(
+      `SELECT data FROM deliveries ${where} ORDER BY received_at DESC, rowid DESC LIMIT ? OFFSET ?`
+    ).all(...params, limit, offset);
+
+    return {
+      deliveries: rows.map(row => JSON.parse(row.data)),
+      total
+    };
+  }
+}
+
+module.exports = SqliteBackend;
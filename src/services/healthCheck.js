@@ -0,0 +1,240 @@
+const storyblokClient = require('./storyblokClient');
+const StoryLayout = require('../utils/storyLayout');
+const Logger = require('../utils/logger');
+
+// Content types the sync writes; without them Storyblok rejects every story
+const REQUIRED_COMPONENTS = ['fundraiser', 'event'];
+
+// Layout folders whose fixed root must exist before campaigns can be synced into it
+const ROOT_FOLDER_KEYS = ['fundraisers', 'events'];
+
+const BACKENDS = {
+  QUEUE_BACKEND: ['file', 'memory', 'upstash'],
+  STORE_BACKEND: ['file', 'memory', 'upstash'],
+  STORY_INDEX_BACKEND: ['file', 'memory', 'upstash'],
+  DELIVERY_LOG_BACKEND: ['file', 'sqlite', 'memory']
+};
+
+/**
+ * Readiness checks behind GET /health/ready
+ *
+ * Validates the configuration, then checks that the Storyblok space is reachable with the
+ * configured token, that the layout's root folders exist and that the required components are
+ * defined. Each check reports its own status ('ok', 'fail' or 'skipped'); checks that depend on
+ * a failed one are skipped. Results are cached for a few seconds so frequent probes don't eat
+ * into the Storyblok rate limit.
+ */
+class HealthCheck {
+  constructor(options = {}) {
+    this.cacheMs = (options.cacheSeconds ?? 15) * 1000;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.cached = null;
+  }
+
+  /**
+   * Check required and related environment variables without touching the network
+   * @returns {{status: string, errors: string[], warnings: string[]}}
+   */
+  validateConfig() {
+    const errors = [];
+    const warnings = [];
+    const env = process.env;
+
+    if (!env.STORYBLOK_ACCESS_TOKEN) {
+      errors.push('STORYBLOK_ACCESS_TOKEN is not set');
+    }
+    if (!env.STORYBLOK_SPACE_ID) {
+      errors.push('STORYBLOK_SPACE_ID is not set');
+    } else if (!/^\d+$/.test(env.STORYBLOK_SPACE_ID)) {
+      errors.push(`STORYBLOK_SPACE_ID must be the numeric space id, got "${env.STORYBLOK_SPACE_ID}"`);
+    }
+    if (env.STORYBLOK_API_URL && !/^https?:\/\/[^/]+/.test(env.STORYBLOK_API_URL)) {
+      errors.push(`STORYBLOK_API_URL is not a URL: "${env.STORYBLOK_API_URL}"`);
+    }
+
+    for (const [name, allowed] of Object.entries(BACKENDS)) {
+      const value = env[name];
+      if (value && !allowed.includes(value)) {
+        errors.push(`${name} must be one of ${allowed.join(', ')}, got "${value}"`);
+      }
+      if (value === 'upstash' && (!env.UPSTASH_REDIS_REST_URL || !env.UPSTASH_REDIS_REST_TOKEN)) {
+        errors.push(`${name}=upstash needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN`);
+      }
+    }
+
+    if (env.DELIVERY_LOG_BACKEND === 'sqlite') {
+      // Loading it (not just resolving it) catches an install whose native build was skipped
+      try {
+        require('better-sqlite3');
+      } catch (error) {
+        errors.push(`DELIVERY_LOG_BACKEND=sqlite needs the better-sqlite3 package (${error.message})`);
+      }
+    }
+
+    try {
+      StoryLayout.current();
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    if (!env.RAISELY_WEBHOOK_SIGNING_SECRETS && !env.RAISELY_WEBHOOK_SECRET) {
+      warnings.push('No RAISELY_WEBHOOK_SIGNING_SECRETS or RAISELY_WEBHOOK_SECRET: webhooks are not authenticated');
+    }
+
+    return { status: errors.length > 0 ? 'fail' : 'ok', errors, warnings };
+  }
+
+  /**
+   * Run every check (or return the cached result)
+   * @returns {Promise<{status: string, timestamp: string, checks: Object}>} status is 'ready' or 'not_ready'
+   */
+  async check() {
+    if (this.cached && Date.now() - this.cached.at < this.cacheMs) {
+      return { ...this.cached.result, cached: true };
+    }
+
+    const result = await this.runChecks();
+    this.cached = { at: Date.now(), result };
+    return { ...result, cached: false };
+  }
+
+  async runChecks() {
+    const checks = { config: this.validateConfig() };
+
+    checks.storyblok = checks.config.status === 'ok'
+      ? await this.timed(() => this.checkSpace())
+      : { status: 'skipped', message: 'Configuration is invalid' };
+
+    const reachable = checks.storyblok.status === 'ok';
+    checks.folders = reachable
+      ? await this.timed(() => this.checkRootFolders())
+      : { status: 'skipped', message: 'Storyblok space is not reachable' };
+    checks.components = reachable
+      ? await this.timed(() => this.checkComponents())
+      : { status: 'skipped', message: 'Storyblok space is not reachable' };
+
+    const ready = Object.values(checks).every(check => check.status === 'ok');
+    return {
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks
+    };
+  }
+
+  /**
+   * Run a check with a time limit, recording how long it took and turning errors into a failed status
+   */
+  async timed(fn) {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      });
+      const result = await Promise.race([fn(), timeout]);
+      return { ...result, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      return {
+        status: 'fail',
+        message: this.describeError(error),
+        ...(error.response?.status ? { httpStatus: error.response.status } : {}),
+        durationMs: Date.now() - startedAt
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  describeError(error) {
+    const status = error.response?.status;
+    if (status === 401 || status === 403) {
+      return 'Storyblok rejected STORYBLOK_ACCESS_TOKEN (check it is a management API token for this space)';
+    }
+    if (status === 404) {
+      return `Storyblok space ${process.env.STORYBLOK_SPACE_ID} not found`;
+    }
+    return error.message;
+  }
+
+  /**
+   * The space exists and the token can read it
+   */
+  async checkSpace() {
+    const response = await storyblokClient.get(`spaces/${process.env.STORYBLOK_SPACE_ID}`);
+    const space = response.data.space || {};
+    return { status: 'ok', space: { id: space.id, name: space.name } };
+  }
+
+  /**
+   * The fixed root folder of each layout path (e.g. "fundraisers" and "events") exists
+   */
+  async checkRootFolders() {
+    const layout = StoryLayout.current();
+    const roots = {};
+
+    for (const key of ROOT_FOLDER_KEYS) {
+      const slug = layout.getStaticPrefix(key).replace(/\/$/, '');
+      if (!slug) {
+        roots[key] = { status: 'skipped', message: `paths.${key} starts with a variable, so it has no fixed root` };
+        continue;
+      }
+
+      const response = await storyblokClient.get(`spaces/${process.env.STORYBLOK_SPACE_ID}/stories`, {
+        with_slug: slug,
+        story_only: 1
+      });
+      const story = response.data.stories?.[0];
+
+      if (!story) {
+        roots[key] = { status: 'fail', slug, message: `Folder "${slug}" not found` };
+      } else if (!story.is_folder) {
+        roots[key] = { status: 'fail', slug, message: `"${slug}" is a story, not a folder` };
+      } else {
+        roots[key] = { status: 'ok', slug, id: story.id };
+      }
+    }
+
+    const failed = Object.values(roots).some(root => root.status === 'fail');
+    return { status: failed ? 'fail' : 'ok', roots };
+  }
+
+  /**
+   * The content types the sync writes are defined in the space
+   */
+  async checkComponents() {
+    const response = await storyblokClient.get(`spaces/${process.env.STORYBLOK_SPACE_ID}/components`);
+    const names = new Set((response.data.components || []).map(component => component.name));
+    const missing = REQUIRED_COMPONENTS.filter(name => !names.has(name));
+
+    return {
+      status: missing.length > 0 ? 'fail' : 'ok',
+      required: REQUIRED_COMPONENTS,
+      missing,
+      ...(missing.length > 0 ? { message: `Missing components: ${missing.join(', ')}` } : {})
+    };
+  }
+
+  /**
+   * Log configuration problems at startup; in production, exit so a broken deploy fails fast
+   */
+  assertConfig() {
+    const config = this.validateConfig();
+    config.warnings.forEach(warning => Logger.warning(`Config: ${warning}`));
+
+    if (config.status !== 'ok') {
+      config.errors.forEach(error => Logger.error(`Config: ${error}`));
+      if (process.env.NODE_ENV === 'production') {
+        Logger.error('Invalid configuration, exiting');
+        process.exit(1);
+      }
+    }
+
+    return config;
+  }
+}
+
+module.exports = new HealthCheck({
+  cacheSeconds: process.env.HEALTH_CACHE_SECONDS !== undefined ? parseInt(process.env.HEALTH_CACHE_SECONDS, 10) : undefined,
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || undefined
+});
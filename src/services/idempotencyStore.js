@@ -0,0 +1,91 @@
+const { createKvBackend } = require('./kvBackends');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Remembers processed Raisely event uuids and the last applied version of each profile
+ * so redelivered or out-of-order webhooks don't re-run the sync pipeline.
+ */
+class IdempotencyStore {
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.eventTtlMs = (options.eventTtlHours || 72) * HOUR_MS;
+    this.versionTtlMs = (options.versionTtlHours || 24 * 30) * HOUR_MS;
+  }
+
+  /**
+   * Claim an event uuid for processing
+   * @returns {Promise<Object|null>} null if the event is new, otherwise the existing record
+   */
+  async claimEvent(eventUuid) {
+    return this.backend.setIfAbsent(`event:${eventUuid}`, {
+      status: 'received',
+      receivedAt: new Date().toISOString()
+    }, this.eventTtlMs);
+  }
+
+  async getEvent(eventUuid) {
+    return this.backend.get(`event:${eventUuid}`);
+  }
+
+  async markQueued(eventUuid, jobId) {
+    const record = await this.getEvent(eventUuid);
+    await this.backend.set(`event:${eventUuid}`, {
+      ...record,
+      status: 'queued',
+      jobId
+    }, this.eventTtlMs);
+  }
+
+  async markCompleted(eventUuid, result) {
+    const record = await this.getEvent(eventUuid);
+    await this.backend.set(`event:${eventUuid}`, {
+      ...record,
+      status: 'completed',
+      result,
+      completedAt: new Date().toISOString()
+    }, this.eventTtlMs);
+  }
+
+  /**
+   * Forget an event that could not be processed, so a redelivery gets a fresh attempt
+   */
+  async releaseEvent(eventUuid) {
+    await this.backend.delete(`event:${eventUuid}`);
+  }
+
+  async getProfileVersion(profileUuid) {
+    return this.backend.get(`profile:${profileUuid}`);
+  }
+
+  /**
+   * Check whether a profile version is older than the last one applied
+   */
+  async isStale(profileUuid, version) {
+    if (!profileUuid || !version) {
+      return false;
+    }
+
+    const lastApplied = await this.getProfileVersion(profileUuid);
+    return lastApplied !== null && version < lastApplied;
+  }
+
+  /**
+   * Record the version of a profile that was just applied (never moves backwards)
+   */
+  async recordProfileVersion(profileUuid, version) {
+    if (!profileUuid || !version) {
+      return;
+    }
+
+    const lastApplied = await this.getProfileVersion(profileUuid);
+    if (lastApplied === null || version > lastApplied) {
+      await this.backend.set(`profile:${profileUuid}`, version, this.versionTtlMs);
+    }
+  }
+}
+
+module.exports = new IdempotencyStore(createKvBackend('idempotency'), {
+  eventTtlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || undefined,
+  versionTtlHours: parseInt(process.env.IDEMPOTENCY_VERSION_TTL_HOURS, 10) || undefined
+});
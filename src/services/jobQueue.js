@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const LogContext = require('../utils/logContext');
+const { createQueueBackend } = require('./queueBackends');
+
+/**
+ * Durable job queue sitting between the webhook route and Storyblok writes
+ * Failed jobs are retried with exponential backoff and moved to a
+ * dead-letter store once they run out of attempts.
+ */
+class JobQueue {
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.backoffBaseMs = options.backoffBaseMs || 2000;
+    this.backoffMaxMs = options.backoffMaxMs || 5 * 60 * 1000;
+    this.leaseMs = options.leaseMs || 2 * 60 * 1000;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type used to pick a worker handler
+   * @param {Object} payload - JSON-serialisable job payload
+   * @returns {Promise<Object>} The stored job
+   */
+  async enqueue(type, payload) {
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      runAt: now,
+      leaseUntil: null,
+      lastError: null,
+      // Lets the worker log the job under the id of the request that queued it
+      correlationId: LogContext.getCorrelationId(),
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    };
+
+    await this.backend.add(job);
+    Logger.info(`Queued job ${job.id} (${type})`);
+    return job;
+  }
+
+  /**
+   * Claim the next due job, or null if nothing is ready
+   */
+  async claimNext() {
+    return this.backend.claim(Date.now(), this.leaseMs);
+  }
+
+  /**
+   * Mark a job as done and remove it from the queue
+   */
+  async complete(job) {
+    await this.backend.remove(job.id);
+  }
+
+  /**
+   * Record a failed attempt, scheduling a retry or dead-lettering the job
+   * @returns {Promise<{deadLettered: boolean, job: Object}>}
+   */
+  async fail(job, error) {
+    const now = Date.now();
+    const attempts = job.attempts + 1;
+    const failedJob = {
+      ...job,
+      attempts,
+      leaseUntil: null,
+      lastError: {
+        message: error.message || String(error),
+        status: error.response?.status || null,
+        at: new Date(now).toISOString()
+      },
+      updatedAt: new Date(now).toISOString()
+    };
+
+    if (attempts >= this.maxAttempts) {
+      failedJob.status = 'dead';
+      await this.backend.moveToDeadLetter(failedJob);
+      return { deadLettered: true, job: failedJob };
+    }
+
+    failedJob.status = 'pending';
+    failedJob.runAt = now + this.getBackoffDelay(attempts);
+    await this.backend.update(failedJob);
+    return { deadLettered: false, job: failedJob };
+  }
+
+  /**
+   * Exponential backoff with full jitter, capped at backoffMaxMs
+   */
+  getBackoffDelay(attempts) {
+    const ceiling = Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, attempts - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Move a dead-lettered job back onto the queue with a fresh attempt count
+   */
+  async requeueDeadLetter(jobId) {
+    const job = await this.backend.takeDeadLetter(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const now = Date.now();
+    const requeued = {
+      ...job,
+      status: 'pending',
+      attempts: 0,
+      runAt: now,
+      updatedAt: new Date(now).toISOString()
+    };
+
+    await this.backend.add(requeued);
+    return requeued;
+  }
+
+  async listDeadLetters() {
+    return this.backend.listDeadLetters();
+  }
+
+  async depth() {
+    return this.backend.depth();
+  }
+}
+
+module.exports = new JobQueue(createQueueBackend(), {
+  maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || undefined,
+  backoffBaseMs: parseInt(process.env.QUEUE_BACKOFF_BASE_MS, 10) || undefined,
+  backoffMaxMs: parseInt(process.env.QUEUE_BACKOFF_MAX_MS, 10) || undefined
+});
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryKv = require('./memoryKv');
+
+/**
+ * File-backed key-value backend
+ * Each namespace lives in its own JSON file; expired keys are pruned on write.
+ */
+class FileKv extends MemoryKv {
+  constructor(filePath) {
+    super();
+    this.name = 'file';
+    this.filePath = filePath;
+    this._loaded = false;
+  }
+
+  async load() {
+    if (this._loaded) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (fs.existsSync(this.filePath)) {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      this.entries = new Map(Object.entries(content.trim() ? JSON.parse(content) : {}));
+    }
+    this._loaded = true;
+  }
+
+  async persist() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry, now)) {
+        this.entries.delete(key);
+      }
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.entries)));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileKv;
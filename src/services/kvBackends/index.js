@@ -0,0 +1,43 @@
+const path = require('path');
+const MemoryKv = require('./memoryKv');
+const FileKv = require('./fileKv');
+const UpstashKv = require('./upstashKv');
+
+/**
+ * Create a key-value backend for a namespace
+ * Uses STORE_BACKEND (file, memory or upstash), falling back to QUEUE_BACKEND so
+ * one setting covers both on Vercel, where the default is upstash and file is refused (see
+ * createQueueBackend).
+ */
+function createKvBackend(
+  namespace,
+  type = process.env.STORE_BACKEND || process.env.QUEUE_BACKEND || (process.env.VERCEL ? 'upstash' : 'file')
+) {
+  if (type === 'file' && process.env.VERCEL) {
+    throw new Error('STORE_BACKEND=file does not work on Vercel; use STORE_BACKEND=upstash');
+  }
+
+  switch (type) {
+    case 'memory':
+      return new MemoryKv();
+    case 'upstash':
+      return new UpstashKv({
+        url: process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.UPSTASH_REDIS_REST_TOKEN,
+        prefix: `${process.env.STORE_KEY_PREFIX || 'raisely-storyblok'}:${namespace}`
+      });
+    case 'file':
+      return new FileKv(
+        path.join(process.env.STORE_DATA_DIR || path.join(__dirname, '../../../data'), `${namespace}.json`)
+      );
+    default:
+      throw new Error(`Unknown STORE_BACKEND: ${type}`);
+  }
+}
+
+module.exports = {
+  createKvBackend,
+  MemoryKv,
+  FileKv,
+  UpstashKv
+};
@@ -0,0 +1,89 @@
+/**
+ * In-memory key-value backend with per-key TTL
+ * Also serves as the base for the file backend, which adds persistence.
+ */
+class MemoryKv {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  async load() {
+    // Nothing to load for the in-memory store
+  }
+
+  async persist() {
+    // Nothing to persist for the in-memory store
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+  }
+
+  readEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  writeEntry(key, value, ttlMs) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async get(key) {
+    await this.load();
+    const entry = this.readEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs = null) {
+    await this.load();
+    this.writeEntry(key, value, ttlMs);
+    await this.persist();
+  }
+
+  /**
+   * Store several values with one write
+   * @param {Array<[string, *]>} entries - Key/value pairs
+   */
+  async setMany(entries, ttlMs = null) {
+    await this.load();
+    entries.forEach(([key, value]) => this.writeEntry(key, value, ttlMs));
+    await this.persist();
+  }
+
+  /**
+   * Store a value only if the key is not already set
+   * @returns {Promise<*>} null if the value was stored, otherwise the existing value
+   */
+  async setIfAbsent(key, value, ttlMs = null) {
+    await this.load();
+    const existing = this.readEntry(key);
+    if (existing) {
+      return existing.value;
+    }
+
+    this.writeEntry(key, value, ttlMs);
+    await this.persist();
+    return null;
+  }
+
+  async delete(key) {
+    await this.load();
+    this.entries.delete(key);
+    await this.persist();
+  }
+}
+
+module.exports = MemoryKv;
@@ -0,0 +1,76 @@
+const axios = require('axios');
+
+/**
+ * Upstash Redis (REST) key-value backend for serverless deployments
+ */
+class UpstashKv {
+  constructor({ url, token, prefix }) {
+    if (!url || !token) {
+      throw new Error('Upstash backend requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN');
+    }
+
+    this.name = 'upstash';
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+    this.prefix = prefix;
+  }
+
+  async command(...args) {
+    const response = await axios.post(this.url, args.map(String), {
+      headers: { Authorization: `Bearer ${this.token}` }
+    });
+    return response.data.result;
+  }
+
+  key(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  async get(key) {
+    const raw = await this.command('GET', this.key(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, ttlMs = null) {
+    const args = ['SET', this.key(key), JSON.stringify(value)];
+    if (ttlMs) {
+      args.push('PX', ttlMs);
+    }
+    await this.command(...args);
+  }
+
+  async setMany(entries, ttlMs = null) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const commands = entries.map(([key, value]) => {
+      const args = ['SET', this.key(key), JSON.stringify(value)];
+      if (ttlMs) {
+        args.push('PX', ttlMs);
+      }
+      return args.map(String);
+    });
+
+    await axios.post(`${this.url}/pipeline`, commands, {
+      headers: { Authorization: `Bearer ${this.token}` }
+    });
+  }
+
+  async setIfAbsent(key, value, ttlMs = null) {
+    const args = ['SET', this.key(key), JSON.stringify(value), 'NX', 'GET'];
+    if (ttlMs) {
+      args.push('PX', ttlMs);
+    }
+
+    // SET ... NX GET returns the previous value (nil when the key was free)
+    const previous = await this.command(...args);
+    return previous ? JSON.parse(previous) : null;
+  }
+
+  async delete(key) {
+    await this.command('DEL', this.key(key));
+  }
+}
+
+module.exports = UpstashKv;
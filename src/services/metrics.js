@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics shared by the webhook server and bulk import
+ *
+ * The server exposes them on GET /metrics; bulk import writes them to a file at the end of a run
+ * (Prometheus text format, e.g. for node_exporter's textfile collector or a Pushgateway upload).
+ * Metrics live in their own registry, so nothing here collides with other prom-client users.
+ */
+class Metrics {
+  constructor(options = {}) {
+    const prefix = options.prefix || 'raisely_storyblok_';
+    this.prefix = prefix;
+    this.queueTracked = false;
+    this.registry = new client.Registry();
+    const registers = [this.registry];
+
+    this.webhooksReceived = new client.Counter({
+      name: `${prefix}webhooks_received_total`,
+      help: 'Raisely webhooks received, by event type and how they were handled',
+      labelNames: ['event_type', 'result'],
+      registers
+    });
+
+    this.syncOutcomes = new client.Counter({
+      name: `${prefix}sync_outcomes_total`,
+      help: 'Profile and donation syncs by source (webhook, bulk_import), kind and outcome',
+      labelNames: ['source', 'kind', 'outcome'],
+      registers
+    });
+
+    this.syncDuration = new client.Histogram({
+      name: `${prefix}sync_duration_seconds`,
+      help: 'Time to sync one webhook or profile to Storyblok',
+      labelNames: ['source', 'kind'],
+      buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+      registers
+    });
+
+    this.storyblokRequestDuration = new client.Histogram({
+      name: `${prefix}api_request_duration_seconds`,
+      help: 'Storyblok management API request latency by operation, per attempt',
+      labelNames: ['method', 'operation', 'status'],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers
+    });
+
+    this.storyblokRetries = new client.Counter({
+      name: `${prefix}api_retries_total`,
+      help: 'Storyblok requests retried, by reason (rate_limited, server_error, network)',
+      labelNames: ['method', 'operation', 'reason'],
+      registers
+    });
+
+    this.storyblokRateLimited = new client.Counter({
+      name: `${prefix}api_rate_limited_total`,
+      help: 'Storyblok responses with status 429',
+      labelNames: ['method', 'operation'],
+      registers
+    });
+
+    this.queueJobs = new client.Counter({
+      name: `${prefix}queue_jobs_total`,
+      help: 'Queue jobs run, by type and outcome (succeeded, retried, dead_lettered)',
+      labelNames: ['type', 'outcome'],
+      registers
+    });
+  }
+
+  /**
+   * Report queue depth and dead letters, read from the queue on each scrape
+   */
+  trackQueue(jobQueue) {
+    if (this.queueTracked) {
+      return;
+    }
+    this.queueTracked = true;
+
+    const { prefix } = this;
+    const registers = [this.registry];
+
+    new client.Gauge({
+      name: `${prefix}queue_depth`,
+      help: 'Jobs waiting or running in the queue',
+      registers,
+      async collect() {
+        this.set(await jobQueue.depth());
+      }
+    });
+
+    new client.Gauge({
+      name: `${prefix}queue_dead_letters`,
+      help: 'Jobs in the dead-letter store',
+      registers,
+      async collect() {
+        this.set((await jobQueue.listDeadLetters()).length);
+      }
+    });
+  }
+
+  /**
+   * Add Node.js process metrics (memory, CPU, event loop lag); only the long-running server needs them
+   */
+  collectDefaults() {
+    client.collectDefaultMetrics({ register: this.registry });
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+
+  /**
+   * Write the current metrics to a file, replacing it atomically
+   */
+  async writeToFile(filePath) {
+    const content = await this.render();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * A low-cardinality operation label for a Storyblok API path
+   * e.g. /spaces/123/stories/456/publish → stories/:id/publish
+   */
+  getStoryblokOperation(url = '') {
+    return url
+      .split('?')[0]
+      .replace(/^\/?spaces\/\d+\/?/, '')
+      .split('/')
+      .filter(Boolean)
+      .map(segment => (/^\d+$/.test(segment) ? ':id' : segment))
+      .join('/') || 'space';
+  }
+}
+
+module.exports = new Metrics();
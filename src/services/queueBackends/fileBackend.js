@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryBackend = require('./memoryBackend');
+
+/**
+ * File-backed queue backend
+ * Keeps pending jobs and dead letters in JSON files so they survive restarts.
+ * Writes go to a temp file and are renamed into place to avoid torn files.
+ */
+class FileBackend extends MemoryBackend {
+  constructor(directory) {
+    super();
+    this.name = 'file';
+    this.directory = directory;
+    this.jobsFile = path.join(directory, 'jobs.json');
+    this.deadLetterFile = path.join(directory, 'dead-letter.json');
+    this._loaded = false;
+  }
+
+  async load() {
+    if (this._loaded) {
+      return;
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.jobs = new Map(this.readFile(this.jobsFile).map(job => [job.id, job]));
+    this.deadLetters = new Map(this.readFile(this.deadLetterFile).map(job => [job.id, job]));
+    this._loaded = true;
+  }
+
+  async persist() {
+    this.writeFile(this.jobsFile, Array.from(this.jobs.values()));
+    this.writeFile(this.deadLetterFile, Array.from(this.deadLetters.values()));
+  }
+
+  readFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return content.trim() ? JSON.parse(content) : [];
+  }
+
+  writeFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+module.exports = FileBackend;
@@ -0,0 +1,39 @@
+const path = require('path');
+const MemoryBackend = require('./memoryBackend');
+const FileBackend = require('./fileBackend');
+const UpstashBackend = require('./upstashBackend');
+
+/**
+ * Create the queue backend selected by QUEUE_BACKEND (file, memory or upstash)
+ * On Vercel (VERCEL is set) the default is upstash, and the file backend is refused: the
+ * filesystem there is read-only and not shared between invocations.
+ */
+function createQueueBackend(type = process.env.QUEUE_BACKEND || (process.env.VERCEL ? 'upstash' : 'file')) {
+  if (type === 'file' && process.env.VERCEL) {
+    throw new Error('QUEUE_BACKEND=file does not work on Vercel; use QUEUE_BACKEND=upstash');
+  }
+
+  switch (type) {
+    case 'memory':
+      return new MemoryBackend();
+    case 'upstash':
+      return new UpstashBackend({
+        url: process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.UPSTASH_REDIS_REST_TOKEN,
+        prefix: process.env.QUEUE_KEY_PREFIX
+      });
+    case 'file':
+      return new FileBackend(
+        process.env.QUEUE_DATA_DIR || path.join(__dirname, '../../../data/queue')
+      );
+    default:
+      throw new Error(`Unknown QUEUE_BACKEND: ${type}`);
+  }
+}
+
+module.exports = {
+  createQueueBackend,
+  MemoryBackend,
+  FileBackend,
+  UpstashBackend
+};
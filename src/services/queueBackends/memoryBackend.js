@@ -0,0 +1,93 @@
+/**
+ * In-memory queue backend
+ * Jobs are lost on restart - intended for local development and scripts.
+ * Also serves as the base for the file backend, which adds persistence.
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.jobs = new Map();
+    this.deadLetters = new Map();
+  }
+
+  async load() {
+    // Nothing to load for the in-memory store
+  }
+
+  async persist() {
+    // Nothing to persist for the in-memory store
+  }
+
+  async add(job) {
+    await this.load();
+    this.jobs.set(job.id, job);
+    await this.persist();
+    return job;
+  }
+
+  /**
+   * Claim the next job that is due, or whose processing lease has expired
+   */
+  async claim(now, leaseMs) {
+    await this.load();
+
+    const due = Array.from(this.jobs.values())
+      .filter(job =>
+        (job.status === 'pending' && job.runAt <= now) ||
+        (job.status === 'processing' && job.leaseUntil <= now)
+      )
+      .sort((a, b) => a.runAt - b.runAt);
+
+    if (due.length === 0) {
+      return null;
+    }
+
+    const job = due[0];
+    job.status = 'processing';
+    job.leaseUntil = now + leaseMs;
+    job.updatedAt = new Date(now).toISOString();
+    await this.persist();
+    return { ...job };
+  }
+
+  async update(job) {
+    await this.load();
+    this.jobs.set(job.id, job);
+    await this.persist();
+  }
+
+  async remove(jobId) {
+    await this.load();
+    this.jobs.delete(jobId);
+    await this.persist();
+  }
+
+  async moveToDeadLetter(job) {
+    await this.load();
+    this.jobs.delete(job.id);
+    this.deadLetters.set(job.id, job);
+    await this.persist();
+  }
+
+  async takeDeadLetter(jobId) {
+    await this.load();
+    const job = this.deadLetters.get(jobId) || null;
+    if (job) {
+      this.deadLetters.delete(jobId);
+      await this.persist();
+    }
+    return job;
+  }
+
+  async listDeadLetters() {
+    await this.load();
+    return Array.from(this.deadLetters.values());
+  }
+
+  async depth() {
+    await this.load();
+    return this.jobs.size;
+  }
+}
+
+module.exports = MemoryBackend;
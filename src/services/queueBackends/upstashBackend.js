@@ -0,0 +1,101 @@
+const axios = require('axios');
+
+// Atomically pick the earliest due job and push its score out by the lease
+const CLAIM_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 1)
+if #ids == 0 then return false end
+redis.call('ZADD', KEYS[1], ARGV[2], ids[1])
+return redis.call('HGET', KEYS[2], ids[1])
+`;
+
+/**
+ * Upstash Redis (REST) queue backend
+ * For serverless deployments such as Vercel where the local filesystem is not durable.
+ *
+ * Layout:
+ *   <prefix>:jobs     hash   jobId → job JSON
+ *   <prefix>:pending  zset   jobId scored by next run time (or lease expiry while processing)
+ *   <prefix>:dead     hash   jobId → job JSON
+ */
+class UpstashBackend {
+  constructor({ url, token, prefix = 'raisely-storyblok:queue' }) {
+    if (!url || !token) {
+      throw new Error('Upstash backend requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN');
+    }
+
+    this.name = 'upstash';
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+    this.keys = {
+      jobs: `${prefix}:jobs`,
+      pending: `${prefix}:pending`,
+      dead: `${prefix}:dead`
+    };
+  }
+
+  async command(...args) {
+    const response = await axios.post(this.url, args.map(String), {
+      headers: { Authorization: `Bearer ${this.token}` }
+    });
+    return response.data.result;
+  }
+
+  async add(job) {
+    await this.command('HSET', this.keys.jobs, job.id, JSON.stringify(job));
+    await this.command('ZADD', this.keys.pending, job.runAt, job.id);
+    return job;
+  }
+
+  async claim(now, leaseMs) {
+    const raw = await this.command(
+      'EVAL', CLAIM_SCRIPT, 2, this.keys.pending, this.keys.jobs, now, now + leaseMs
+    );
+
+    if (!raw) {
+      return null;
+    }
+
+    const job = JSON.parse(raw);
+    job.status = 'processing';
+    job.leaseUntil = now + leaseMs;
+    job.updatedAt = new Date(now).toISOString();
+    await this.command('HSET', this.keys.jobs, job.id, JSON.stringify(job));
+    return job;
+  }
+
+  async update(job) {
+    await this.command('HSET', this.keys.jobs, job.id, JSON.stringify(job));
+    await this.command('ZADD', this.keys.pending, job.runAt, job.id);
+  }
+
+  async remove(jobId) {
+    await this.command('ZREM', this.keys.pending, jobId);
+    await this.command('HDEL', this.keys.jobs, jobId);
+  }
+
+  async moveToDeadLetter(job) {
+    await this.command('HSET', this.keys.dead, job.id, JSON.stringify(job));
+    await this.remove(job.id);
+  }
+
+  async takeDeadLetter(jobId) {
+    const raw = await this.command('HGET', this.keys.dead, jobId);
+    if (!raw) {
+      return null;
+    }
+
+    await this.command('HDEL', this.keys.dead, jobId);
+    return JSON.parse(raw);
+  }
+
+  async listDeadLetters() {
+    const values = await this.command('HVALS', this.keys.dead);
+    return (values || []).map(value => JSON.parse(value));
+  }
+
+  async depth() {
+    return this.command('ZCARD', this.keys.pending);
+  }
+}
+
+module.exports = UpstashBackend;
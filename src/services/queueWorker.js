@@ -0,0 +1,157 @@
+const jobQueue = require('./jobQueue');
+const Logger = require('../utils/logger');
+const LogContext = require('../utils/logContext');
+const metrics = require('./metrics');
+
+/**
+ * Drains the job queue, dispatching each job to the handler registered for its type
+ */
+class QueueWorker {
+  constructor(queue) {
+    this.queue = queue;
+    this.handlers = new Map();
+    this.timer = null;
+    this.draining = null;
+    this.running = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, job) => result
+   * @param {Object} options - { onDeadLetter: async (payload, job, error) => void }
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, onDeadLetter: options.onDeadLetter || null });
+  }
+
+  /**
+   * Start polling the queue in the background
+   */
+  start(pollIntervalMs = 5000) {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.pollIntervalMs = pollIntervalMs;
+    Logger.info(`Queue worker started (poll every ${pollIntervalMs}ms)`);
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule(delay) {
+    if (!this.running) {
+      return;
+    }
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    // Detached from the request that called notify(), so the drain isn't logged as part of it
+    this.timer = LogContext.exit(() => setTimeout(async () => {
+      this.timer = null;
+      await this.drain();
+      this.schedule(this.pollIntervalMs);
+    }, delay));
+  }
+
+  /**
+   * Wake the worker up straight away (e.g. after a new job was queued)
+   */
+  notify() {
+    if (this.running && !this.draining) {
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Process due jobs until the queue is empty or a limit is reached
+   * Concurrent calls share the same drain run.
+   * @param {Object} options - { maxJobs, deadline } where deadline is a timestamp in ms
+   * @returns {Promise<{processed: number, succeeded: number, retried: number, deadLettered: number}>}
+   */
+  drain(options = {}) {
+    if (!this.draining) {
+      this.draining = this.runDrain(options).finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async runDrain({ maxJobs = Infinity, deadline = Infinity } = {}) {
+    const stats = { processed: 0, succeeded: 0, retried: 0, deadLettered: 0 };
+
+    while (stats.processed < maxJobs && Date.now() < deadline) {
+      let job;
+      try {
+        job = await this.queue.claimNext();
+      } catch (error) {
+        Logger.error('Failed to read from job queue', error);
+        break;
+      }
+
+      if (!job) {
+        break;
+      }
+
+      stats.processed++;
+      // Each job logs under the correlation id of the request that queued it
+      await LogContext.run({ correlationId: job.correlationId || job.id, jobId: job.id }, () => this.processJob(job, stats));
+    }
+
+    if (stats.processed > 0) {
+      Logger.summary(`Queue: ${stats.succeeded} done, ${stats.retried} retrying, ${stats.deadLettered} dead-lettered`);
+    }
+
+    return stats;
+  }
+
+  async processJob(job, stats) {
+    const registration = this.handlers.get(job.type);
+
+    try {
+      if (!registration) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      Logger.step(`Running job ${job.id} (${job.type}, attempt ${job.attempts + 1})`);
+      await registration.handler(job.payload, job);
+      await this.queue.complete(job);
+      stats.succeeded++;
+      metrics.queueJobs.inc({ type: job.type, outcome: 'succeeded' });
+    } catch (error) {
+      const outcome = await this.queue.fail(job, error);
+
+      if (outcome.deadLettered) {
+        Logger.error(`Job ${job.id} moved to dead-letter after ${outcome.job.attempts} attempts`, error);
+        stats.deadLettered++;
+        metrics.queueJobs.inc({ type: job.type, outcome: 'dead_lettered' });
+
+        if (registration?.onDeadLetter) {
+          try {
+            await registration.onDeadLetter(job.payload, outcome.job, error);
+          } catch (hookError) {
+            Logger.error(`Dead-letter hook failed for job ${job.id}`, hookError);
+          }
+        }
+      } else {
+        const retryIn = Math.round((outcome.job.runAt - Date.now()) / 1000);
+        Logger.warning(`Job ${job.id} failed (attempt ${outcome.job.attempts}), retrying in ${retryIn}s: ${error.message}`);
+        stats.retried++;
+        metrics.queueJobs.inc({ type: job.type, outcome: 'retried' });
+      }
+    }
+  }
+}
+
+module.exports = new QueueWorker(jobQueue);
@@ -0,0 +1,140 @@
+const axios = require('axios');
+const Logger = require('../utils/logger');
+const ProfileHierarchy = require('../utils/profileHierarchy');
+
+// Profile types that other profiles can sit under
+const GROUP_TYPES = ['GROUP', 'ORGANISATION'];
+
+class RaiselyService {
+  constructor() {
+    this.client = axios.create({
+      baseURL: process.env.RAISELY_API_URL || 'https://api.raisely.com/v3',
+      headers: process.env.RAISELY_API_TOKEN
+        ? { Authorization: `Bearer ${process.env.RAISELY_API_TOKEN}` }
+        : {}
+    });
+    this.pageSize = 100;
+
+    // Groups seen so far (teams, organisations and the campaign profile), used to rebuild parent chains
+    this._groupsByUuid = new Map();
+  }
+
+  /**
+   * Page through a campaign's profiles, newest update first
+   * @param {string} campaignUuid - The Raisely campaign UUID
+   * @param {Object} options - { type: 'GROUP'|'ORGANISATION'|'INDIVIDUAL', since: Date }
+   * @yields {Object[]} One page of profiles at a time
+   */
+  async *iterateProfilePages(campaignUuid, { type, since } = {}) {
+    if (!campaignUuid) {
+      throw new Error('A campaign UUID is required to fetch profiles from Raisely');
+    }
+
+    let offset = 0;
+
+    while (true) {
+      Logger.step(`Fetching ${type || 'all'} profiles ${offset}-${offset + this.pageSize}`);
+
+      const response = await this.client.get(`/campaigns/${campaignUuid}/profiles`, {
+        params: {
+          limit: this.pageSize,
+          offset,
+          sort: 'updatedAt',
+          order: 'desc',
+          ...(type ? { type } : {})
+        }
+      });
+
+      const profiles = response.data.data || [];
+      const total = response.data.pagination?.total;
+
+      // Sorted newest first, so everything after the first older profile is older too
+      const fresh = since
+        ? profiles.filter(profile => new Date(profile.updatedAt) >= since)
+        : profiles;
+
+      if (fresh.length > 0) {
+        yield fresh.map(profile => this.attachParent(profile));
+      }
+
+      offset += profiles.length;
+      const reachedSince = since && fresh.length < profiles.length;
+      const reachedEnd = profiles.length < this.pageSize || (total !== undefined && offset >= total);
+
+      if (reachedSince || reachedEnd) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Fetch one profile as it is now, with its parent chain filled in like a webhook payload's
+   * @param {string} uuid - The Raisely profile UUID
+   */
+  async getProfile(uuid) {
+    const fetchProfile = async profileUuid => {
+      const response = await this.client.get(`/profiles/${profileUuid}`, { params: { private: 1 } });
+      return response.data.data;
+    };
+
+    const profile = await fetchProfile(uuid);
+    let current = profile;
+    for (let depth = 0; depth < ProfileHierarchy.MAX_DEPTH && !current.parent && current.parentUuid; depth++) {
+      current.parent = await fetchProfile(current.parentUuid);
+      current = current.parent;
+    }
+
+    return profile;
+  }
+
+  /**
+   * Fill in a profile's parent chain from previously fetched groups
+   * The bulk API only returns parentUuid, but extraction walks profile.parent. A chain that loops
+   * back on itself (A → B → A) is cut where it would close the loop.
+   * @param {Object} profile - The Raisely profile
+   * @param {Set<string>} visited - UUIDs already on the chain being resolved
+   */
+  attachParent(profile, visited = new Set()) {
+    if (GROUP_TYPES.includes(profile.type)) {
+      this._groupsByUuid.set(profile.uuid, profile);
+    }
+
+    if (!profile.parent && profile.parentUuid && this._groupsByUuid.has(profile.parentUuid)) {
+      if (visited.has(profile.parentUuid)) {
+        Logger.warning(`Parent cycle at ${profile.name || profile.uuid}, not following ${profile.parentUuid}`);
+        return profile;
+      }
+
+      visited.add(profile.uuid);
+      const parent = this.attachParent(this._groupsByUuid.get(profile.parentUuid), visited);
+
+      // The parent's chain may already have been resolved through this profile
+      if (parent === profile || ProfileHierarchy.getAncestors(parent).includes(profile)) {
+        Logger.warning(`Parent cycle at ${profile.name || profile.uuid}, not following ${profile.parentUuid}`);
+      } else {
+        profile.parent = parent;
+      }
+    }
+
+    return profile;
+  }
+
+  /**
+   * Load every group profile (teams, organisations and the campaign profile) so parent chains can be resolved
+   * Groups are always fetched in full, even for incremental pulls.
+   */
+  async loadGroups(campaignUuid) {
+    const groups = [];
+    for (const type of GROUP_TYPES) {
+      for await (const page of this.iterateProfilePages(campaignUuid, { type })) {
+        groups.push(...page);
+      }
+    }
+
+    // Second pass now that every group is known
+    groups.forEach(group => this.attachParent(group));
+    return groups;
+  }
+}
+
+module.exports = new RaiselyService();
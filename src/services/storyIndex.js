@@ -0,0 +1,144 @@
+const { createKvBackend } = require('./kvBackends');
+const Logger = require('../utils/logger');
+
+/**
+ * Index of Storyblok story identities keyed by full_slug, with lookups by story id, raisely_id
+ * and (for event stories) the Raisely campaign uuid
+ * Only identity fields are kept (no content), so callers that need content still fetch the
+ * story fresh; the index just saves the with_slug / filter_query searches that find it.
+ * Entries expire after a TTL and are refreshed or dropped on our own writes and by
+ * Storyblok webhooks for changes made elsewhere.
+ */
+class StoryIndex {
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.ttlMs = (options.ttlSeconds || 600) * 1000;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * The identity fields we cache for a story
+   */
+  toEntry(story) {
+    return {
+      id: story.id,
+      uuid: story.uuid,
+      name: story.name,
+      slug: story.slug,
+      full_slug: story.full_slug,
+      parent_id: story.parent_id,
+      is_folder: story.is_folder,
+      published: story.published,
+      raisely_id: story.content?.raisely_id || null,
+      raisely_campaign_id: story.content?.raisely_campaign_id || null
+    };
+  }
+
+  async getBySlug(fullSlug) {
+    const entry = await this.backend.get(`slug:${fullSlug}`);
+    if (entry) {
+      this.stats.hits++;
+    } else {
+      this.stats.misses++;
+    }
+    return entry;
+  }
+
+  async getByRaiselyId(raiselyId) {
+    const fullSlug = await this.backend.get(`raisely:${raiselyId}`);
+    if (!fullSlug) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const entry = await this.getBySlug(fullSlug);
+    // The raisely_id pointer outlived (or was moved off) its story
+    return entry && entry.raisely_id === raiselyId ? entry : null;
+  }
+
+  async getByCampaignId(campaignId) {
+    const fullSlug = await this.backend.get(`campaign:${campaignId}`);
+    if (!fullSlug) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const entry = await this.getBySlug(fullSlug);
+    return entry && entry.raisely_campaign_id === campaignId ? entry : null;
+  }
+
+  /**
+   * Add or refresh a story in the index
+   */
+  async remember(story) {
+    if (!story || !story.full_slug) {
+      return;
+    }
+
+    await this.backend.setMany(this.toKeys(this.toEntry(story)), this.ttlMs);
+  }
+
+  /**
+   * Drop a story from the index, e.g. after it was deleted or moved
+   * @param {Object|number} storyOrId - A story, or just its id
+   */
+  async forget(storyOrId) {
+    const id = typeof storyOrId === 'object' ? storyOrId.id : storyOrId;
+    const fullSlug = (typeof storyOrId === 'object' && storyOrId.full_slug) ||
+      await this.backend.get(`id:${id}`);
+
+    if (fullSlug) {
+      const entry = await this.backend.get(`slug:${fullSlug}`);
+      await this.backend.delete(`slug:${fullSlug}`);
+      if (entry?.raisely_id) {
+        await this.backend.delete(`raisely:${entry.raisely_id}`);
+      }
+      if (entry?.raisely_campaign_id) {
+        await this.backend.delete(`campaign:${entry.raisely_campaign_id}`);
+      }
+    }
+
+    if (id) {
+      await this.backend.delete(`id:${id}`);
+    }
+  }
+
+  /**
+   * Load a full listing into the index in one write
+   */
+  async warm(stories) {
+    const keys = stories
+      .filter(story => story && story.full_slug)
+      .flatMap(story => this.toKeys(this.toEntry(story)));
+
+    await this.backend.setMany(keys, this.ttlMs);
+    Logger.info(`Story index warmed with ${stories.length} stories`);
+  }
+
+  toKeys(entry) {
+    const keys = [
+      [`slug:${entry.full_slug}`, entry],
+      [`id:${entry.id}`, entry.full_slug]
+    ];
+
+    if (entry.raisely_id) {
+      keys.push([`raisely:${entry.raisely_id}`, entry.full_slug]);
+    }
+    if (entry.raisely_campaign_id) {
+      keys.push([`campaign:${entry.raisely_campaign_id}`, entry.full_slug]);
+    }
+
+    return keys;
+  }
+
+  getStats() {
+    return {
+      backend: this.backend.name,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new StoryIndex(createKvBackend('story-index', process.env.STORY_INDEX_BACKEND || 'memory'), {
+  ttlSeconds: parseInt(process.env.STORY_INDEX_TTL_SECONDS, 10) || undefined
+});
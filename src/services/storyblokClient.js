@@ -0,0 +1,219 @@
+const axios = require('axios');
+const Logger = require('../utils/logger');
+const metrics = require('./metrics');
+
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+/**
+ * Storyblok management API client shared by the webhook server and bulk import
+ * Caps in-flight requests, spaces out request starts to stay under the plan's
+ * rate limit, honours 429 Retry-After and retries 5xx errors with jittered backoff.
+ * Responses keep the shape the Storyblok JS client used: { data, headers, status, total, perPage }.
+ */
+class StoryblokManagementClient {
+  constructor(options = {}) {
+    this.http = axios.create({
+      baseURL: options.baseURL || 'https://mapi.storyblok.com/v1',
+      headers: options.oauthToken ? { Authorization: options.oauthToken } : {},
+      timeout: options.timeoutMs || 30000
+    });
+
+    this.maxConcurrency = options.maxConcurrency || 3;
+    this.minIntervalMs = Math.ceil(1000 / (options.requestsPerSecond || 3));
+    this.maxRetries = options.maxRetries ?? 5;
+    this.backoffBaseMs = options.backoffBaseMs || 500;
+    this.backoffMaxMs = options.backoffMaxMs || 30000;
+
+    this.inFlight = 0;
+    this.waiting = [];
+    this.nextStartAt = 0;
+
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      throttled: 0,
+      failures: 0,
+      maxInFlight: 0
+    };
+  }
+
+  get(path, params = {}) {
+    return this.request({ method: 'get', url: path, params });
+  }
+
+  post(path, data = {}) {
+    return this.request({ method: 'post', url: path, data });
+  }
+
+  put(path, data = {}) {
+    return this.request({ method: 'put', url: path, data });
+  }
+
+  delete(path, data) {
+    return this.request({ method: 'delete', url: path, data });
+  }
+
+  /**
+   * Send a request through the shared pipeline, retrying throttled and transient failures
+   */
+  async request(config) {
+    const labels = { method: config.method.toUpperCase(), operation: metrics.getStoryblokOperation(config.url) };
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+
+      let response;
+      let error;
+      const endTimer = metrics.storyblokRequestDuration.startTimer(labels);
+      try {
+        this.stats.requests++;
+        response = await this.http.request(config);
+      } catch (requestError) {
+        error = requestError;
+      } finally {
+        this.release();
+        endTimer({ status: String(response?.status || error?.response?.status || error?.code || 'error') });
+      }
+
+      if (error?.response?.status === 429) {
+        metrics.storyblokRateLimited.inc(labels);
+      }
+
+      if (!error) {
+        return this.formatResponse(response);
+      }
+
+      const retryDelay = this.getRetryDelay(error, attempt);
+      if (retryDelay === null) {
+        this.stats.failures++;
+        throw error;
+      }
+
+      // A 429 applies to the whole token, so hold back every request, not just this one
+      if (error.response?.status === 429) {
+        this.nextStartAt = Math.max(this.nextStartAt, Date.now() + retryDelay);
+      }
+
+      this.stats.retries++;
+      metrics.storyblokRetries.inc({ ...labels, reason: this.getRetryReason(error) });
+      Logger.warning(`Storyblok ${config.method.toUpperCase()} ${config.url} failed (${error.response?.status || error.code}), retrying in ${retryDelay}ms`);
+      await this.sleep(retryDelay);
+    }
+  }
+
+  /**
+   * How long to wait before retrying, or null if the error should not be retried
+   */
+  getRetryDelay(error, attempt) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const status = error.response?.status;
+
+    if (status === 429) {
+      this.stats.throttled++;
+      const retryAfterMs = this.parseRetryAfter(error.response.headers?.['retry-after']);
+      return retryAfterMs !== null ? retryAfterMs : this.getBackoffDelay(attempt);
+    }
+
+    if (status >= 500 || (!error.response && RETRYABLE_NETWORK_ERRORS.includes(error.code))) {
+      return this.getBackoffDelay(attempt);
+    }
+
+    return null;
+  }
+
+  getRetryReason(error) {
+    const status = error.response?.status;
+    if (status === 429) {
+      return 'rate_limited';
+    }
+    return status ? 'server_error' : 'network';
+  }
+
+  /**
+   * Retry-After is either a number of seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Exponential backoff with full jitter, capped at backoffMaxMs
+   */
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Wait for a free concurrency slot and the next allowed start time
+   */
+  async acquire() {
+    if (this.inFlight >= this.maxConcurrency) {
+      // release() hands its slot over without decrementing inFlight
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.inFlight++;
+    }
+    this.stats.maxInFlight = Math.max(this.stats.maxInFlight, this.inFlight);
+
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextStartAt);
+    this.nextStartAt = startAt + this.minIntervalMs;
+    if (startAt > now) {
+      await this.sleep(startAt - now);
+    }
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.inFlight--;
+    }
+  }
+
+  formatResponse(response) {
+    const headers = response.headers || {};
+    return {
+      data: response.data,
+      headers,
+      status: response.status,
+      total: headers.total !== undefined ? parseInt(headers.total, 10) : undefined,
+      perPage: headers['per-page'] !== undefined ? parseInt(headers['per-page'], 10) : undefined
+    };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      inFlight: this.inFlight,
+      queued: this.waiting.length
+    };
+  }
+}
+
+module.exports = new StoryblokManagementClient({
+  baseURL: process.env.STORYBLOK_API_URL || undefined,
+  oauthToken: process.env.STORYBLOK_ACCESS_TOKEN,
+  maxConcurrency: parseInt(process.env.STORYBLOK_MAX_CONCURRENCY, 10) || undefined,
+  requestsPerSecond: parseInt(process.env.STORYBLOK_REQUESTS_PER_SECOND, 10) || undefined,
+  maxRetries: parseInt(process.env.STORYBLOK_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.STORYBLOK_MAX_RETRIES, 10) : undefined
+});
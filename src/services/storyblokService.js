@@ -1,48 +1,80 @@
-const StoryblokClient = require('storyblok-js-client');
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
 const Logger = require('../utils/logger');
+const Currency = require('../utils/currency');
+const CampaignStats = require('../utils/campaignStats');
+const TeamLeaderboard = require('../utils/teamLeaderboard');
+const StoryLayout = require('../utils/storyLayout');
+const storyblokClient = require('./storyblokClient');
+const storyIndex = require('./storyIndex');
+const { createKvBackend } = require('./kvBackends');
+
+// What to do with a story when its Raisely profile is deleted or archived
+const REMOVAL_POLICIES = ['unpublish', 'archive', 'delete'];
 
 class StoryblokService {
   constructor() {
-    this.client = new StoryblokClient({
-      oauthToken: process.env.STORYBLOK_ACCESS_TOKEN,
-    });
+    // Rate-limited management client, shared with everything else in the process
+    this.client = storyblokClient;
     this.spaceId = process.env.STORYBLOK_SPACE_ID;
     
+    // Where campaign folders, events and profile stories live (see StoryLayout)
+    this.layout = StoryLayout.current();
+
     // Cache for frequently accessed folder IDs
-    this._fundraisersParentId = null;
+    this._archiveFolderId = null;
+
+    // Record of profiles removed from Storyblok, keyed by Raisely id
+    this.removalLog = createKvBackend('removals');
+
+    // Donations already counted into totals, keyed by donation UUID
+    this.donationLedger = createKvBackend('donations');
+
+    // Uploaded images keyed by source URL hash, and which asset each story field holds
+    this.assetStore = createKvBackend('assets');
+    this._assetFolderIds = new Map();
+
+    // Per-campaign aggregate records keyed by event story UUID (see CampaignStats)
+    this.campaignStats = createKvBackend('campaign-stats');
+    this._campaignStatsQueues = new Map();
   }
 
   /**
-   * Create a slug from a string
+   * Create a slug from a string, following the layout's slug rules
    */
   createSlug(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .trim('-'); // Remove leading/trailing hyphens
+    return this.layout.slugify(text);
   }
 
   /**
-   * Find event story by campaign name
+   * Find event story by campaign uuid, falling back to the campaign name
+   * An event found by name gets the campaign uuid stored on it, so a later rename can be followed.
    */
-  async findEventStory(campaignName) {
+  async findEventStory(campaignName, campaignId = null) {
     try {
-      const campaignSlug = this.createSlug(campaignName);
-      const fullSlug = `events/${campaignSlug}`;
-      
+      if (campaignId) {
+        const eventStory = await this.findEventByCampaignId(campaignId);
+        if (eventStory) {
+          return eventStory;
+        }
+      }
+
+      const fullSlug = this.layout.getEventFullSlug(campaignName);
+
       Logger.step(`Looking for event: ${campaignName}`);
-      
-      const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
-        with_slug: fullSlug,
-        story_only: 1
-      });
 
-      if (response.data.stories.length > 0) {
-        Logger.success(`Found: ${campaignName}`);
-        const story = response.data.stories[0];
+      const story = await this.findStoryBySlug(fullSlug);
 
+      if (story) {
+        Logger.success(`Found: ${campaignName}`);
+        if (campaignId) {
+          const fullStory = await this.getStory(story.id);
+          if (!fullStory.content?.raisely_campaign_id) {
+            const updatedStory = await this.updateStoryContent(fullStory, { raisely_campaign_id: campaignId });
+            await storyIndex.remember(updatedStory);
+          }
+        }
         return story;
       } else {
         Logger.warning(`Event not found: ${campaignName}`);
@@ -55,49 +87,146 @@ class StoryblokService {
   }
 
   /**
-   * Get or create the events folder
+   * Find a campaign's event story by the Raisely campaign uuid stored on it
    */
-  async getOrCreateEventsFolder() {
-    try {
-      // First do a broader search for any events folder
-      const allStoriesResponse = await this.client.get(`spaces/${this.spaceId}/stories`, {
-        per_page: 100
-      });
-
-      // Look for events folder in all stories
-      const eventsFolder = allStoriesResponse.data.stories.find(story => 
-        story.is_folder && (story.slug === 'events' || story.name.toLowerCase() === 'events')
-      );
+  async findEventByCampaignId(campaignId) {
+    const cachedStory = await storyIndex.getByCampaignId(campaignId);
+    if (cachedStory) {
+      return cachedStory;
+    }
 
-      if (eventsFolder) {
-        return eventsFolder;
+    const listedStory = await this.findStory({
+      starts_with: this.layout.getStaticPrefix('events'),
+      contain_component: 'event',
+      filter_query: {
+        raisely_campaign_id: { in: campaignId }
       }
+    }, story => !story.is_folder);
 
-      // Check if there's already an events story (not folder)
-      const eventsStory = allStoriesResponse.data.stories.find(story => 
-        !story.is_folder && story.slug === 'events'
-      );
+    if (!listedStory) {
+      return null;
+    }
+
+    // Listings carry no content, and the index needs raisely_campaign_id from it
+    const story = await this.getStory(listedStory.id);
+    await storyIndex.remember(story);
+    return story;
+  }
+
+  /**
+   * Follow a campaign rename in Raisely before syncing one of its profiles
+   * The event story carries the campaign uuid, so when its name no longer matches the campaign's
+   * folders are renamed and the event moved rather than a new tree being created for the new name.
+   */
+  async followCampaignRename(campaignName, campaignId) {
+    if (!campaignId) {
+      return null;
+    }
+
+    const eventStory = await this.findEventByCampaignId(campaignId);
+    if (!eventStory || eventStory.name === campaignName) {
+      return eventStory;
+    }
+
+    return this.renameCampaign(eventStory, campaignName);
+  }
+
+  /**
+   * Rename a campaign's folders and move its event story to the new name's slug
+   * @returns {Promise<Object>} The renamed event story
+   */
+  async renameCampaign(eventStory, campaignName) {
+    const previousName = eventStory.name;
+    Logger.step(`Campaign renamed: ${previousName} → ${campaignName}`);
+
+    for (const key of StoryLayout.CAMPAIGN_PATH_KEYS) {
+      await this.renameCampaignFolder(key, previousName, campaignName);
+    }
+
+    const story = await this.getStory(eventStory.id);
+    const eventSlug = this.layout.getEventSlug(campaignName);
+    const fullSlug = this.layout.getEventFullSlug(campaignName);
+    if (!(await this.isSlugAvailable(fullSlug, story.id))) {
+      Logger.warning(`Event for ${campaignName} left at ${story.full_slug}: ${fullSlug} is taken by another story`);
+      return story;
+    }
+
+    const eventsFolder = await this.getOrCreateEventsFolder(campaignName);
+    const renamed = await this.moveStory(
+      { ...story, content: { ...story.content, title: campaignName } },
+      eventsFolder,
+      eventSlug,
+      campaignName
+    );
+    Logger.success(`Renamed campaign: ${previousName} → ${campaignName}`);
+    return renamed;
+  }
 
-      if (eventsStory) {
-        Logger.warning(`Events exists as story, not folder. Using it anyway.`);
-        return eventsStory;
+  /**
+   * Rename the folder named after a campaign on one of the layout's paths
+   * Only the campaign's own folder changes; the stories inside move with it and keep their UUIDs.
+   */
+  async renameCampaignFolder(key, previousName, campaignName) {
+    const depth = this.layout.paths[key].split('/').findIndex(segment => segment.includes('{campaign}')) + 1;
+    const oldFolders = this.layout.getFolderPath(key, previousName).folders.slice(0, depth);
+    const newFolders = this.layout.getFolderPath(key, campaignName).folders.slice(0, depth);
+    const oldSlug = oldFolders.map(folder => folder.slug).join('/');
+    const newSlug = newFolders.map(folder => folder.slug).join('/');
+    if (oldSlug === newSlug) {
+      return;
+    }
+
+    // Already renamed through another path that shares the folder, or never created
+    const folder = await this.findStoryBySlug(oldSlug);
+    if (!folder || !folder.is_folder) {
+      return;
+    }
+
+    if (!(await this.isSlugAvailable(newSlug, folder.id))) {
+      Logger.warning(`Not renaming ${oldSlug}: ${newSlug} already exists`);
+      return;
+    }
+
+    const parentFolders = newFolders.slice(0, -1);
+    const parent = parentFolders.length > 0
+      ? await this.getOrCreateFolderPath({ fullSlug: parentFolders.map(item => item.slug).join('/'), folders: parentFolders })
+      : null;
+    const { name, slug } = newFolders[newFolders.length - 1];
+
+    Logger.step(`Renaming folder: ${oldSlug} → ${newSlug}`);
+    const { content } = await this.getStory(folder.id);
+    const response = await this.client.put(`spaces/${this.spaceId}/stories/${folder.id}`, {
+      story: {
+        name,
+        slug,
+        ...(parent ? { parent_id: parent.id } : {}),
+        content
       }
+    });
 
-      // Create events folder if it doesn't exist
-      Logger.step(`Creating events folder`);
-      const folderData = {
-        story: {
-          name: 'Events',
-          slug: 'events',
-          is_folder: true,
-          published: true,
-          content: {}
-        }
-      };
+    // Everything under the folder has a new full_slug now
+    const movedStories = await this.listAllStories({ starts_with: `${newSlug}/` });
+    await storyIndex.forget(folder);
+    for (const story of movedStories) {
+      await storyIndex.forget({ id: story.id, full_slug: `${oldSlug}${story.full_slug.slice(newSlug.length)}` });
+    }
+    await storyIndex.warm([response.data.story, ...movedStories]);
+  }
+
+  /**
+   * Whether a story can take a full slug: nothing else is there, or it already is
+   */
+  async isSlugAvailable(fullSlug, storyId) {
+    const occupant = await this.findStoryBySlug(fullSlug);
+    return !occupant || occupant.id === storyId;
+  }
 
-      const createResponse = await this.client.post(`spaces/${this.spaceId}/stories`, folderData);
-      Logger.success(`Created events folder`);
-      return createResponse.data.story;
+  /**
+   * Get or create the folder a campaign's event story lives in
+   */
+  async getOrCreateEventsFolder(campaignName) {
+    try {
+      return await this.getOrCreateFolderPath(this.layout.getFolderPath('events', campaignName));
     } catch (error) {
       Logger.error(`Failed to get/create events folder`, error.response?.data || error.message || error);
       return null;
@@ -111,8 +240,8 @@ class StoryblokService {
     try {
       Logger.info(`→ Updating campaign ${campaignFolder.name} with event reference`);
       
-      // Get current campaign story content
-      const currentContent = campaignFolder.content || {};
+      // Get current campaign story content (folders found via the story index carry no content)
+      const currentContent = (await this.getStory(campaignFolder.id)).content || {};
       const currentEvents = currentContent.events || [];
       
       // Check if event is already referenced
@@ -146,43 +275,17 @@ class StoryblokService {
   }
 
   /**
-   * Find the Team folder under a campaign (should already exist)
+   * Get or create the folder a campaign's teams or organisations live in
+   * @param {string} campaignName - The campaign name
+   * @param {string} kind - team or organisation
    */
-  async findTeamFolder(campaignStory) {
+  async getOrCreateGroupFolder(campaignName, kind = 'team') {
     try {
-      Logger.info(`Looking for Team folder under campaign: ${campaignStory.name}`);
-      
-      const expectedTeamSlug = `${campaignStory.full_slug}/team`;
-      
-      // Use broader search since with_slug isn't reliable immediately after creation
-      const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
-        starts_with: campaignStory.full_slug,
-        per_page: 50
-      });
-      
-      // Find the Team folder in the results
-      const teamFolder = response.data.stories.find(story => 
-        story.is_folder && 
-        story.slug === 'team' && 
-        story.parent_id === campaignStory.id &&
-        story.full_slug === expectedTeamSlug
+      return await this.getOrCreateFolderPath(
+        this.layout.getFolderPath(this.layout.getProfileFolderKey(kind), campaignName)
       );
-
-      if (teamFolder) {
-        Logger.success(`Found Team folder: ${teamFolder.name} (ID: ${teamFolder.id})`);
-        return teamFolder;
-      }
-
-      Logger.warning(`Team folder not found for campaign: ${campaignStory.name}`);
-      Logger.info(`Expected slug: ${expectedTeamSlug}`);
-      Logger.info(`Found ${response.data.stories.length} stories under campaign:`);
-      response.data.stories.forEach(story => {
-        Logger.info(`  - ${story.name} (${story.full_slug}) [folder: ${story.is_folder}, parent_id: ${story.parent_id}]`);
-      });
-      
-      return null;
     } catch (error) {
-      Logger.error(`Error finding Team folder for campaign: ${campaignStory.name}`, error.message);
+      Logger.error(`Error getting ${kind} folder for campaign: ${campaignName}`, error.message);
       return null;
     }
   }
@@ -190,12 +293,12 @@ class StoryblokService {
   /**
    * Create an event story as a draft
    */
-  async createEventStory(campaignName) {
+  async createEventStory(campaignName, campaignId = null) {
     try {
-      const campaignSlug = this.createSlug(campaignName);
-      
+      const eventSlug = this.layout.getEventSlug(campaignName);
+
       // Get or create the events folder
-      const eventsFolder = await this.getOrCreateEventsFolder();
+      const eventsFolder = await this.getOrCreateEventsFolder(campaignName);
       if (!eventsFolder) {
         Logger.error(`Cannot create event without events folder`);
         return null;
@@ -206,11 +309,12 @@ class StoryblokService {
       const storyData = {
         story: {
           name: campaignName,
-          slug: campaignSlug,
+          slug: eventSlug,
           parent_id: eventsFolder.id,
           content: {
             component: 'event',
-            title: campaignName
+            title: campaignName,
+            ...(campaignId ? { raisely_campaign_id: campaignId } : {})
           },
           is_folder: false,
           published: false // Keep as draft
@@ -219,6 +323,7 @@ class StoryblokService {
 
       const response = await this.client.post(`spaces/${this.spaceId}/stories`, storyData);
       Logger.success(`Created event: ${campaignName}`);
+      await storyIndex.remember(response.data.story);
       return response.data.story;
     } catch (error) {
       Logger.error(`Failed to create event: ${campaignName}`, error);
@@ -228,120 +333,18 @@ class StoryblokService {
 
   /**
    * Get or create a campaign folder in Storyblok
+   * The fundraiser and team folders are created alongside it as part of campaign setup.
    */
   async getOrCreateCampaignFolder(campaignName) {
     try {
-      // Ensure fundraisers folder exists first and cache the parent ID
-      const fundraisersParentId = await this.getFundraisersParentId();
-      
-      const campaignSlug = this.createSlug(campaignName);
-      const fullSlug = `fundraisers/${campaignSlug}`;
-
       Logger.step(`Looking for campaign: ${campaignName}`);
+      const campaignFolder = await this.getOrCreateFolderPath(this.layout.getFolderPath('campaign', campaignName));
 
-      // Try to find existing folder with exact slug match
-      const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
-        with_slug: fullSlug,
-        story_only: 1
-      });
-
-      if (response.data.stories.length > 0) {
-        const existingFolder = response.data.stories.find(story => 
-          story.full_slug === fullSlug && story.is_folder
-        );
-        
-        if (existingFolder) {
-          Logger.success(`Found: ${campaignName}`);
-          return existingFolder;
-        }
-      }
-
-      // If not found, try broader search to be sure
-      const broadResponse = await this.client.get(`spaces/${this.spaceId}/stories`, {
-        per_page: 100,
-        is_folder: 1
-      });
-      
-      const exactMatch = broadResponse.data.stories.find(story => 
-        story.full_slug === fullSlug && story.is_folder
-      );
-      
-      if (exactMatch) {
-        Logger.success(`Found: ${campaignName}`);
-        return exactMatch;
-      }
-
-      // Create the campaign folder if it truly doesn't exist
-      Logger.warning(`Not found: ${campaignName}`);
-      Logger.step(`Creating campaign: ${campaignName}`);
-      const folderData = {
-        story: {
-          name: campaignName,
-          slug: campaignSlug,
-          parent_id: fundraisersParentId,
-          is_folder: true,
-          content: {
-            component: 'folder'
-          }
-        }
-      };
-
-      try {
-        const createResponse = await this.client.post(`spaces/${this.spaceId}/stories`, folderData);
-        const newCampaignFolder = createResponse.data.story;
-        Logger.success(`Created campaign folder: ${campaignName}`);
-        
-        // Create the Team subfolder immediately as part of campaign setup
-        Logger.step(`→ Creating Team folder for ${campaignName}`);
-        const teamFolderData = {
-          story: {
-            name: 'Team',
-            slug: 'team',
-            parent_id: newCampaignFolder.id,
-            is_folder: true,
-            content: {
-              component: 'folder'
-            }
-          }
-        };
-
-        try {
-          await this.client.post(`spaces/${this.spaceId}/stories`, teamFolderData);
-          Logger.success(`→ Created Team folder for ${campaignName}`);
-          // Small delay to ensure folder is available
-          await new Promise(resolve => setTimeout(resolve, 500));
-        } catch (teamError) {
-          Logger.error(`→ Failed to create Team folder for ${campaignName}:`, teamError.message);
-          throw teamError; // This is critical - we need the Team folder
-        }
-        
-        return newCampaignFolder;
-      } catch (createError) {
-        // If creation failed, it might be because another process created it simultaneously
-        if (createError.response?.status === 422) {
-          Logger.warning(`Campaign creation failed (likely race condition), retrying search for: ${campaignName}`);
-          
-          // Wait a moment and try to find the campaign that was likely created by another process
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-          const retryResponse = await this.client.get(`spaces/${this.spaceId}/stories`, {
-            with_slug: fullSlug,
-            story_only: 1
-          });
-
-          const existingFolder = retryResponse.data.stories.find(story => 
-            story.full_slug === fullSlug && story.is_folder
-          );
-          
-          if (existingFolder) {
-            Logger.success(`Found campaign after retry: ${campaignName}`);
-            return existingFolder;
-          }
-        }
-        
-        throw createError;
-      }
+      await this.getOrCreateFolderPath(this.layout.getFolderPath('fundraisers', campaignName));
+      await this.getOrCreateFolderPath(this.layout.getFolderPath('teams', campaignName));
 
+      Logger.success(`Campaign ready: ${campaignName}`);
+      return campaignFolder;
     } catch (error) {
       Logger.error(`Error handling campaign folder for ${campaignName}`, error);
       throw error;
@@ -349,81 +352,61 @@ class StoryblokService {
   }
 
   /**
-   * Get the parent ID for the fundraisers folder (with caching)
+   * Find or create every folder along a layout path, returning the innermost one
+   * @param {Object} folderPath - From StoryLayout.getFolderPath: { fullSlug, folders: [{ slug, name }] }
    */
-  async getFundraisersParentId() {
-    try {
-      // Return cached result if available
-      if (this._fundraisersParentId) {
-        return this._fundraisersParentId;
-      }
+  async getOrCreateFolderPath(folderPath) {
+    let parent = null;
+    let fullSlug = '';
 
-      Logger.step(`Looking for fundraisers folder`);
-      
-      // Search for all stories with the exact slug 'fundraisers'
-      const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
-        with_slug: 'fundraisers',
-        story_only: 1
-      });
-      
-      // Only log if in verbose mode or if stories found
-      if (process.env.VERBOSE || response.data.stories.length > 0) {
-        Logger.info(`🔍 Found ${response.data.stories.length} stories with slug 'fundraisers'`);
-      }
+    for (const { slug, name } of folderPath.folders) {
+      fullSlug = fullSlug ? `${fullSlug}/${slug}` : slug;
 
-      // Look for the folder with exact slug 'fundraisers'
-      if (response.data.stories.length > 0) {
-        const fundraisersFolder = response.data.stories.find(story => 
-          story.slug === 'fundraisers' && story.is_folder
-        );
-        
-        if (fundraisersFolder) {
-          Logger.success(`Found: fundraisers folder`);
-          this._fundraisersParentId = fundraisersFolder.id; // Cache the result
-          return fundraisersFolder.id;
-        }
+      let folder = await this.findStoryBySlug(fullSlug);
+      if (!folder || !folder.is_folder) {
+        folder = await this.createFolder({ name, slug, fullSlug, parentId: parent ? parent.id : null });
       }
+      parent = folder;
+    }
 
-      // If not found with exact slug, try broader search but filter more carefully
-      const broadResponse = await this.client.get(`spaces/${this.spaceId}/stories`, {
-        per_page: 100,
-        is_folder: 1
-      });
-      
-      // Find the root fundraisers folder (should have no parent in fundraisers path)
-      const exactMatch = broadResponse.data.stories.find(story => 
-        story.slug === 'fundraisers' && 
-        story.is_folder &&
-        story.full_slug === 'fundraisers' // This ensures it's the root folder, not a subfolder
-      );
-      
-      if (exactMatch) {
-        Logger.success(`Found: fundraisers folder`);
-        this._fundraisersParentId = exactMatch.id; // Cache the result
-        return exactMatch.id;
-      }
+    return parent;
+  }
 
-      // Only create if truly doesn't exist
-      Logger.warning(`Not found: fundraisers folder`);
-      Logger.step(`Creating fundraisers folder`);
-      const folderData = {
+  /**
+   * Create a folder, falling back to the existing one if another process created it first
+   */
+  async createFolder({ name, slug, fullSlug, parentId = null }) {
+    Logger.step(`Creating folder: ${fullSlug}`);
+
+    try {
+      const response = await this.client.post(`spaces/${this.spaceId}/stories`, {
         story: {
-          name: 'Fundraisers',
-          slug: 'fundraisers',
+          name,
+          slug,
+          ...(parentId ? { parent_id: parentId } : {}),
           is_folder: true,
           content: {
             component: 'folder'
           }
         }
-      };
+      });
+      Logger.success(`Created folder: ${fullSlug}`);
+      await storyIndex.remember(response.data.story);
+      return response.data.story;
+    } catch (error) {
+      if (error.response?.status === 422) {
+        Logger.warning(`Folder creation failed (likely race condition), retrying search for: ${fullSlug}`);
 
-      const createResponse = await this.client.post(`spaces/${this.spaceId}/stories`, folderData);
-      Logger.success(`Created: fundraisers folder`);
-      this._fundraisersParentId = createResponse.data.story.id; // Cache the result
-      return createResponse.data.story.id;
+        // A 422 means the slug is taken, so the folder another process created is already there
+        const existingFolder = await this.findStory({ with_slug: fullSlug }, story =>
+          story.full_slug === fullSlug && story.is_folder
+        );
 
-    } catch (error) {
-      Logger.error('Error getting/creating fundraisers parent folder:', error);
+        if (existingFolder) {
+          await storyIndex.remember(existingFolder);
+          return existingFolder;
+        }
+      }
       throw error;
     }
   }
@@ -431,36 +414,34 @@ class StoryblokService {
   /**
    * Create or update a fundraiser story in Storyblok
    */
-  async createOrUpdateFundraiser(fundraiserData, campaignFolder, eventStory, teamData = null) {
+  async createOrUpdateFundraiser(fundraiserData, fundraisersFolder, eventStory, teamData = null) {
     try {
       // Use the path directly from Raisely data instead of slugifying the name
       const fundraiserSlug = fundraiserData.path;
-      const fullSlug = `fundraisers/${campaignFolder.slug}/${fundraiserSlug}`;
+      const fullSlug = `${fundraisersFolder.full_slug}/${fundraiserSlug}`;
       
 
 
-      // Check if fundraiser already exists
+      // Check if fundraiser already exists, wherever its path or campaign has put it
       let existingFundraiser = null;
       try {
-        const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
-          with_slug: fullSlug,
-          story_only: 1
-        });
-
-        if (response.data.stories.length > 0) {
-          existingFundraiser = response.data.stories[0];
-        }
+        existingFundraiser = await this.findProfileStory(fundraiserData.raiselyId, fullSlug);
       } catch (error) {
         // Fundraiser doesn't exist
       }
 
+      // A changed path or campaign moves the existing story rather than creating another
+      let location = { slug: fundraiserSlug, parent_id: fundraisersFolder.id };
+      if (existingFundraiser && existingFundraiser.full_slug !== fullSlug) {
+        location = await this.resolveStoryLocation(existingFundraiser, fullSlug, location);
+      }
+
 
-      
       // Find or create team reference if teamData is provided
       let teamReference = null;
       if (teamData) {
         Logger.info(`🔍 Looking for team: ${teamData.name} in campaign: ${fundraiserData.campaign}`);
-        let teamStory = await this.findTeamStory(teamData.name, fundraiserData.campaign);
+        let teamStory = await this.findTeamStory(teamData, fundraiserData.campaign);
         if (!teamStory) {
           Logger.warning(`Team story not found for ${teamData.name}, creating minimal team story...`);
           // Create a minimal team data object for sync
@@ -472,7 +453,7 @@ class StoryblokService {
             targetAmount: 0,
             raisedAmount: 0,
             profileUrl: '',
-            raiselyId: teamData.path || this.createSlug(teamData.name),
+            raiselyId: teamData.raiselyId || teamData.path || this.createSlug(teamData.name),
             status: 'ACTIVE'
           };
           
@@ -491,26 +472,38 @@ class StoryblokService {
         Logger.info(`❌ No team data provided for ${fundraiserData.name}`);
       }
       
+      // Take the fundraiser off any team they have moved away from (or left entirely)
+      if (existingFundraiser) {
+        await this.reconcileTeamMembership(existingFundraiser, teamReference);
+      }
+      
       // Only publish if Raisely status is ACTIVE
       const shouldPublish = fundraiserData.status === 'ACTIVE';
 
+      const mappedFields = await this.resolveAssetFields(fundraiserData.fields, fundraiserData);
+      const groupReferences = await this.resolveGroupReferences(fundraiserData.ancestors, fundraiserData.campaign);
+
       const storyData = {
         story: {
           name: fundraiserData.name,
-          slug: fundraiserSlug,
-          parent_id: campaignFolder.id,
-          content: {
+          ...location,
+          content: this.mergeProfileContent(existingFundraiser?.content, {
+            ...mappedFields, // Extra fields from the field mapping, listed first so pipeline fields win
             component: 'fundraiser',
             name: fundraiserData.name,
             campaign: eventStory ? eventStory.uuid : '',
             team: teamReference ? [teamReference] : [], // Add team reference
+            ...groupReferences, // Every organisation and team above the fundraiser
             description: fundraiserData.description || '',
             target_amount: fundraiserData.targetAmount || 0,
             raised_amount: fundraiserData.raisedAmount || 0,
+            currency: fundraiserData.currency || '',
+            target_display: Currency.format(fundraiserData.targetAmount, fundraiserData.currency),
+            raised_display: Currency.format(fundraiserData.raisedAmount, fundraiserData.currency),
             profile_url: fundraiserData.profileUrl || '',
             raisely_id: fundraiserData.raiselyId || '',
             last_updated: new Date().toISOString()
-          }
+          })
         }
       };
 
@@ -531,6 +524,10 @@ class StoryblokService {
       }
 
       const story = response.data.story;
+      if (existingFundraiser && existingFundraiser.full_slug !== story.full_slug) {
+        await storyIndex.forget(existingFundraiser);
+      }
+      await storyIndex.remember(story);
 
       // Handle publishing/unpublishing based on status
       if (shouldPublish) {
@@ -560,10 +557,12 @@ class StoryblokService {
         Logger.info(`Saved as draft: ${fundraiserData.name}`);
       }
 
+      await this.recordCampaignProfile(story, fundraiserData);
+
       // If this fundraiser is part of a team, add them to the team's member list
       if (teamData && teamReference) {
         Logger.info(`🔗 Adding ${fundraiserData.name} to team ${teamData.name}`);
-        await this.addTeamMember(teamData.name, fundraiserData.campaign, response.data.story.uuid);
+        await this.addTeamMember(teamData, fundraiserData.campaign, response.data.story.uuid, response.data.story);
       } else {
         if (!teamData) Logger.info(`No team data for ${fundraiserData.name}`);
         if (!teamReference) Logger.info(`No team reference found for ${fundraiserData.name}`);
@@ -577,6 +576,19 @@ class StoryblokService {
     }
   }
 
+  /**
+   * Content for saving a profile story: its existing content with the synced fields laid over it
+   * A PUT replaces the whole content, so starting from what is there keeps fields other writers own
+   * (recent donations, the member leaderboard, fields added in Storyblok). The removal stamp and the
+   * team/organisation flags are always set afresh by the sync.
+   * @param {Object|undefined} existingContent - The stored story's content, if it exists
+   * @param {Object} fields - The fields this sync writes
+   */
+  mergeProfileContent(existingContent, fields) {
+    const { removed_at: removedAt, is_team: isTeam, is_organisation: isOrganisation, ...kept } = existingContent || {};
+    return { ...kept, ...fields };
+  }
+
   /**
    * Sync team data to Storyblok
    * @param {Object} teamData - The team data
@@ -587,6 +599,8 @@ class StoryblokService {
       Logger.section(`Syncing Team to Storyblok`);
       Logger.info(`Team: ${teamData.name}, Campaign: ${teamData.campaign}`);
 
+      await this.followCampaignRename(teamData.campaign, teamData.campaignId);
+
       // Get or create campaign folder first
       Logger.step('Getting/creating campaign folder...');
       const campaignFolder = await this.getOrCreateCampaignFolder(teamData.campaign);
@@ -595,39 +609,40 @@ class StoryblokService {
       }
       Logger.success(`Campaign folder ready: ${campaignFolder.name} (ID: ${campaignFolder.id})`);
 
-      // Find the Team folder (should already exist from campaign creation)
-      Logger.step('Finding Team folder...');
-      const teamFolder = await this.findTeamFolder(campaignFolder);
+      // Find the Team folder (created with the campaign), or the Organisation folder
+      const isOrganisation = teamData.kind === 'organisation';
+      Logger.step(`Finding ${isOrganisation ? 'Organisation' : 'Team'} folder...`);
+      const teamFolder = await this.getOrCreateGroupFolder(teamData.campaign, teamData.kind);
       if (!teamFolder) {
-        throw new Error(`Team folder not found for campaign: ${campaignFolder.name}`);
+        throw new Error(`${isOrganisation ? 'Organisation' : 'Team'} folder not found for campaign: ${campaignFolder.name}`);
       }
-      Logger.success(`Team folder ready: ${teamFolder.name} (ID: ${teamFolder.id})`);
+      Logger.success(`${isOrganisation ? 'Organisation' : 'Team'} folder ready: ${teamFolder.name} (ID: ${teamFolder.id})`);
 
       // Check if team already exists
       const teamSlug = teamData.path;
-      const fullSlug = `fundraisers/${campaignFolder.slug}/team/${teamSlug}`;
+      const fullSlug = `${teamFolder.full_slug}/${teamSlug}`;
       
       Logger.step(`Looking for team: ${teamData.name}`);
       
       let existingTeam = null;
       try {
-        const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
-          with_slug: fullSlug,
-          story_only: 1
-        });
-
-        if (response.data.stories.length > 0) {
-          existingTeam = response.data.stories[0];
-        }
+        // Fresh content, so preserved members include anyone added since it was indexed
+        existingTeam = await this.findProfileStory(teamData.raiselyId, fullSlug);
       } catch (error) {
         // Team doesn't exist
       }
 
+      // A changed path, campaign or kind moves the existing story rather than creating another
+      let location = { slug: teamSlug, parent_id: teamFolder.id };
+      if (existingTeam && existingTeam.full_slug !== fullSlug) {
+        location = await this.resolveStoryLocation(existingTeam, fullSlug, location);
+      }
+
       // Find the event story (should already exist from setup phase)
-      let eventStory = await this.findEventStory(teamData.campaign);
+      let eventStory = await this.findEventStory(teamData.campaign, teamData.campaignId);
       if (!eventStory) {
         Logger.warning(`Event story not found for ${teamData.campaign}, creating...`);
-        eventStory = await this.createEventStory(teamData.campaign);
+        eventStory = await this.createEventStory(teamData.campaign, teamData.campaignId);
         
         // Update campaign story to reference the event if we had to create it
         if (eventStory) {
@@ -643,6 +658,9 @@ class StoryblokService {
       // Only publish if Raisely status is ACTIVE
       const shouldPublish = teamData.status === 'ACTIVE';
 
+      const mappedFields = await this.resolveAssetFields(teamData.fields, teamData);
+      const groupReferences = await this.resolveGroupReferences(teamData.ancestors, teamData.campaign);
+
       // Preserve existing team members if updating
       let preservedTeamMembers = [];
       if (existingTeam && existingTeam.content && existingTeam.content.team) {
@@ -653,23 +671,36 @@ class StoryblokService {
       const storyData = {
         story: {
           name: teamData.name,
-          slug: teamSlug,
-          parent_id: teamFolder.id,
-          content: {
+          ...location,
+          content: this.mergeProfileContent(existingTeam?.content, {
+            ...mappedFields, // Extra fields from the field mapping, listed first so pipeline fields win
             component: 'fundraiser',
             name: teamData.name,
             description: teamData.description || '',
             target_amount: teamData.targetAmount || 0,
             raised_amount: teamData.raisedAmount || 0,
+            currency: teamData.currency || '',
+            target_display: Currency.format(teamData.targetAmount, teamData.currency),
+            raised_display: Currency.format(teamData.raisedAmount, teamData.currency),
             profile_url: teamData.profileUrl || '',
             raisely_id: teamData.raiselyId,
             campaign: eventStory ? eventStory.uuid : '',
             team: preservedTeamMembers, // Preserve existing members or use empty array for new teams
-            is_team: true // Mark this as a team profile
-          }
+            is_team: !isOrganisation, // Mark this as a team profile
+            ...(isOrganisation ? { is_organisation: true } : {}),
+            ...groupReferences // Organisations and teams this group sits under
+          })
         }
       };
 
+      // Keep the member leaderboard, and don't let a lagging Raisely total undercut the members' sum
+      if (!isOrganisation) {
+        Object.assign(storyData.story.content, TeamLeaderboard.refresh({
+          ...storyData.story.content,
+          leaderboard: existingTeam?.content?.leaderboard || []
+        }));
+      }
+
       let response;
       let actionType;
 
@@ -684,6 +715,10 @@ class StoryblokService {
       }
 
       const story = response.data.story;
+      if (existingTeam && existingTeam.full_slug !== story.full_slug) {
+        await storyIndex.forget(existingTeam);
+      }
+      await storyIndex.remember(story);
 
       // Handle publishing/unpublishing
       if (shouldPublish) {
@@ -706,6 +741,8 @@ class StoryblokService {
         Logger.info(`Team saved as draft: ${teamData.name}`);
       }
 
+      await this.recordCampaignProfile(story, teamData);
+
       return { story: response.data.story, action: actionType };
 
     } catch (error) {
@@ -714,6 +751,49 @@ class StoryblokService {
     }
   }
 
+  /**
+   * Resolve the organisations and teams above a profile to story references
+   * Groups without a story yet get a minimal one (outermost first), like a missing team does.
+   * @param {Array} ancestors - Group ancestors, nearest first (see ProfileHierarchy.getGroupAncestors)
+   * @param {string} campaignName - The campaign name
+   * @returns {Promise<{groups: string[], organisation: string[]}>} `groups` holds every ancestor
+   *   group nearest first, `organisation` the nearest organisation
+   */
+  async resolveGroupReferences(ancestors = [], campaignName) {
+    const groups = [];
+    let organisation = null;
+
+    for (const [index, group] of ancestors.entries()) {
+      const fullSlug = this.layout.getProfileFullSlug(group.kind, campaignName, group.path);
+      let story = await this.findProfileStory(group.raiselyId, fullSlug, { withContent: false });
+
+      if (!story) {
+        Logger.warning(`${group.kind} story not found for ${group.name}, creating minimal ${group.kind} story...`);
+        const result = await this.syncTeam({
+          name: group.name,
+          path: group.path,
+          campaign: campaignName,
+          kind: group.kind,
+          description: '',
+          targetAmount: 0,
+          raisedAmount: 0,
+          profileUrl: '',
+          raiselyId: group.raiselyId,
+          status: 'ACTIVE',
+          ancestors: ancestors.slice(index + 1)
+        }, 'profile.created');
+        story = result.story;
+      }
+
+      groups.push(story.uuid);
+      if (!organisation && group.kind === 'organisation') {
+        organisation = story.uuid;
+      }
+    }
+
+    return { groups, organisation: organisation ? [organisation] : [] };
+  }
+
   /**
    * Find all individual fundraiser stories that are members of this team
    * @param {Object} teamData - The team data containing raiselyId
@@ -721,19 +801,17 @@ class StoryblokService {
    */
   async findTeamMembers(teamData) {
     try {
-      // Search for fundraiser stories in the campaign folder that have this team referenced
-      const campaignSlug = this.createSlug(teamData.campaign);
-      
+      // Search for fundraiser stories in the campaign's fundraiser folder that have this team referenced
+      const fundraisersSlug = this.layout.getFolderSlug('fundraisers', teamData.campaign);
+      const teamsSlug = this.layout.getFolderSlug('teams', teamData.campaign);
+
       Logger.step(`Looking for team members in campaign: ${teamData.campaign}`);
-      
-      // Get all stories in the campaign folder (not including team subfolder)
-      const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
-        starts_with: `fundraisers/${campaignSlug}/`,
-        excluding_slug_path: `fundraisers/${campaignSlug}/team/`, // Exclude team folder itself
-        per_page: 100
-      });
 
-      const allCampaignStories = response.data.stories;
+      // Get all stories in the fundraiser folder (not including a team folder nested in it)
+      const allCampaignStories = await this.listAllStories({
+        starts_with: `${fundraisersSlug}/`,
+        excluding_slug_path: `${teamsSlug}/`
+      });
       
       // Filter for fundraiser stories that reference this team
       const teamMembers = allCampaignStories.filter(story => {
@@ -769,15 +847,17 @@ class StoryblokService {
   }
 
   /**
-   * Update team story to include a new member reference
-   * @param {string} teamName - The team name
+   * Update team story to include a new member reference and refresh its member leaderboard
+   * @param {Object} teamData - The team: { name, path, raiselyId }
    * @param {string} campaignName - The campaign name
    * @param {string} memberUuid - The UUID of the member story to add
+   * @param {Object} [memberStory] - The member's saved story, to refresh their leaderboard entry
    */
-  async addTeamMember(teamName, campaignName, memberUuid) {
+  async addTeamMember(teamData, campaignName, memberUuid, memberStory = null) {
+    const teamName = teamData.name;
     try {
       Logger.step(`Adding ${memberUuid.substring(0, 8)}... to team: ${teamName}`);
-      const teamStory = await this.findTeamStory(teamName, campaignName);
+      const teamStory = await this.findTeamStory(teamData, campaignName);
       if (!teamStory) {
         Logger.warning(`Team story not found: ${teamName}`);
         return;
@@ -794,9 +874,19 @@ class StoryblokService {
       }
       
       const currentMembers = fullTeamStory.content.team || [];
+      const alreadyMember = currentMembers.includes(memberUuid);
+      const updatedMembers = alreadyMember ? currentMembers : [...currentMembers, memberUuid];
+
+      const leaderboardUpdates = TeamLeaderboard.refresh(
+        { ...fullTeamStory.content, team: updatedMembers },
+        memberStory
+      );
+      const leaderboardChanged = ['leaderboard', 'raised_amount'].some(field =>
+        JSON.stringify(leaderboardUpdates[field]) !== JSON.stringify(fullTeamStory.content[field])
+      );
       
       // Check if member is already in the list
-      if (currentMembers.includes(memberUuid)) {
+      if (alreadyMember && !leaderboardChanged) {
         Logger.info(`Member already in team: ${teamName}`);
         // Still try to publish the team story to ensure it's live
         Logger.step(`Publishing existing team story: ${teamName}`);
@@ -810,21 +900,19 @@ class StoryblokService {
         return;
       }
 
-      // Add the new member
-      const updatedMembers = [...currentMembers, memberUuid];
-
-      // Only update the team field, preserving everything else
+      // Only update the member list and leaderboard, preserving everything else
       const updateData = {
         story: {
           content: {
             ...fullTeamStory.content,
-            team: updatedMembers
+            team: updatedMembers,
+            ...leaderboardUpdates
           }
         }
       };
 
       await this.client.put(`spaces/${this.spaceId}/stories/${teamStory.id}`, updateData);
-      Logger.info(`✓ Team ${teamName} now has ${updatedMembers.length} members`);
+      Logger.info(`✓ Team ${teamName} now has ${updatedMembers.length} members (raised ${leaderboardUpdates.raised_display})`);
 
       // Publish the updated team story so changes are visible live
       Logger.step(`Publishing team story: ${teamName}`);
@@ -844,24 +932,65 @@ class StoryblokService {
   }
 
   /**
-   * Find team story by name in campaign's team folder
+   * Remove a fundraiser from every team it references other than its current one
+   * @param {Object} fundraiserStory - The fundraiser story as currently stored (with content)
+   * @param {string|null} currentTeamUuid - UUID of the team story it now belongs to, if any
+   * @returns {Promise<string[]>} UUIDs of the team stories the member was removed from
+   */
+  async reconcileTeamMembership(fundraiserStory, currentTeamUuid) {
+    const previousTeams = Array.isArray(fundraiserStory?.content?.team)
+      ? fundraiserStory.content.team
+      : [];
+    const staleTeams = previousTeams.filter(teamUuid => teamUuid && teamUuid !== currentTeamUuid);
+
+    const removedFrom = [];
+    for (const teamUuid of staleTeams) {
+      Logger.info(`🔀 ${fundraiserStory.name} left team ${teamUuid.substring(0, 8)}...`);
+      if (await this.removeTeamMember(teamUuid, fundraiserStory.uuid)) {
+        removedFrom.push(teamUuid);
+      }
+    }
+
+    return removedFrom;
+  }
+
+  /**
+   * Check whether a fundraiser's stored team reference differs from its current Raisely team
+   */
+  async hasTeamChanged(fundraiserStory, teamData, campaignName) {
+    const fullStoryResponse = await this.client.get(`spaces/${this.spaceId}/stories/${fundraiserStory.id}`);
+    const storedTeams = fullStoryResponse.data.story.content?.team || [];
+
+    if (!teamData) {
+      return storedTeams.length > 0;
+    }
+
+    const teamStory = await this.findTeamStory(teamData, campaignName);
+    if (!teamStory) {
+      return true;
+    }
+
+    return storedTeams.length !== 1 || storedTeams[0] !== teamStory.uuid;
+  }
+
+  /**
+   * Find a team story by its Raisely id, falling back to its path in the campaign's team folder
+   * @param {Object} teamData - The team: { name, path, raiselyId }
+   * @param {string} campaignName - The campaign name
    */
-  async findTeamStory(teamName, campaignName) {
+  async findTeamStory(teamData, campaignName) {
+    const teamName = teamData.name;
     try {
-      const campaignSlug = this.createSlug(campaignName);
-      const teamSlug = this.createSlug(teamName);
-      const fullSlug = `fundraisers/${campaignSlug}/team/${teamSlug}`;
-      
+      const teamSlug = teamData.path || this.createSlug(teamName);
+      const fullSlug = this.layout.getProfileFullSlug('team', campaignName, teamSlug);
+
       Logger.step(`Looking for team: ${teamName}`);
-      
-      const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
-        with_slug: fullSlug,
-        story_only: 1
-      });
 
-      if (response.data.stories.length > 0) {
+      const teamStory = await this.findProfileStory(teamData.raiselyId, fullSlug, { withContent: false });
+
+      if (teamStory) {
         Logger.success(`Found team: ${teamName}`);
-        return response.data.stories[0];
+        return teamStory;
       } else {
         Logger.warning(`Team not found: ${teamName}`);
         return null;
@@ -884,15 +1013,20 @@ class StoryblokService {
       Logger.section(`Syncing to Storyblok`);
       Logger.info(`🎯 Starting sync for: ${raiselyData.name} (teamData: ${teamData ? teamData.name : 'none'})`);
 
+      await this.followCampaignRename(raiselyData.campaign, raiselyData.campaignId);
+
       // Get or create campaign folder
       const campaignFolder = await this.getOrCreateCampaignFolder(raiselyData.campaign);
       Logger.info(`✅ Got campaign folder: ${campaignFolder.id}`);
+      const fundraisersFolder = await this.getOrCreateFolderPath(
+        this.layout.getFolderPath('fundraisers', raiselyData.campaign)
+      );
       
       // Ensure event story exists and is properly linked to campaign
-      let eventStory = await this.findEventStory(raiselyData.campaign);
+      let eventStory = await this.findEventStory(raiselyData.campaign, raiselyData.campaignId);
       if (!eventStory) {
         Logger.warning(`Event story not found for ${raiselyData.campaign}, creating...`);
-        eventStory = await this.createEventStory(raiselyData.campaign);
+        eventStory = await this.createEventStory(raiselyData.campaign, raiselyData.campaignId);
         
         // Update campaign story to reference the event if we had to create it
         if (eventStory) {
@@ -906,30 +1040,34 @@ class StoryblokService {
       // For profile.created events, check if fundraiser already exists
       if (eventType === 'profile.created') {
         const fundraiserSlug = fundraiserData.path;
-        const fullSlug = `fundraisers/${campaignFolder.slug}/${fundraiserSlug}`;
-        
+        const fullSlug = `${fundraisersFolder.full_slug}/${fundraiserSlug}`;
+
         Logger.step(`Looking for fundraiser: ${fundraiserData.name}`);
         
-        const existingResponse = await this.client.get(`spaces/${this.spaceId}/stories`, {
-          with_slug: fullSlug,
-          story_only: 1
-        });
+        const existingStory = await this.findProfileStory(fundraiserData.raiselyId, fullSlug, { withContent: false });
 
-        if (existingResponse.data.stories.length > 0) {
+        if (existingStory) {
           Logger.success(`Found: ${fundraiserData.name}`);
           
-          const existingStory = existingResponse.data.stories[0];
-          
+          // A changed team needs the full update so the old team loses this member
+          const teamChanged = await this.hasTeamChanged(existingStory, teamData, fundraiserData.campaign);
+
           if (forceUpdate) {
             Logger.warning(`Force updating existing fundraiser: ${fundraiserData.name}`);
             // Fall through to update logic
+          } else if (existingStory.full_slug !== fullSlug) {
+            Logger.warning(`Path or campaign changed for ${fundraiserData.name}, moving story`);
+            // Fall through to update logic
+          } else if (teamChanged) {
+            Logger.warning(`Team changed for ${fundraiserData.name}, updating membership`);
+            // Fall through to update logic
           } else {
             Logger.warning(`Fundraiser already exists, skipping creation`);
             
             // Even if fundraiser exists, still handle team relationships
             if (teamData) {
               Logger.info(`🔗 Adding ${fundraiserData.name} to team ${teamData.name} (existing fundraiser)`);
-              await this.addTeamMember(teamData.name, fundraiserData.campaign, existingStory.uuid);
+              await this.addTeamMember(teamData, fundraiserData.campaign, existingStory.uuid);
             }
             
             return { story: existingStory, action: 'found' };
@@ -940,7 +1078,7 @@ class StoryblokService {
       }
 
       // Create or update fundraiser
-      const result = await this.createOrUpdateFundraiser(fundraiserData, campaignFolder, eventStory, teamData);
+      const result = await this.createOrUpdateFundraiser(fundraiserData, fundraisersFolder, eventStory, teamData);
 
       return result;
 
@@ -949,6 +1087,982 @@ class StoryblokService {
       throw error;
     }
   }
+
+  /**
+   * Page through every story matching the given filters
+   * Follows the `total` header Storyblok sends with each page, so nothing past page one is missed.
+   * @param {Object} params - Management API query parameters (e.g. starts_with)
+   * @yields {Object[]} One page of stories at a time
+   */
+  async *iterateStoryPages(params = {}) {
+    const perPage = 100;
+    let fetched = 0;
+
+    for (let page = 1; ; page++) {
+      const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
+        ...params,
+        per_page: perPage,
+        page
+      });
+
+      const pageStories = response.data.stories || [];
+      fetched += pageStories.length;
+
+      if (pageStories.length > 0) {
+        yield pageStories;
+      }
+
+      const total = parseInt(response.total, 10);
+      const reachedEnd = pageStories.length < perPage || (!Number.isNaN(total) && fetched >= total);
+      if (reachedEnd) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * List every story matching the given filters, following pagination
+   * @param {Object} params - Management API query parameters (e.g. starts_with)
+   * @returns {Promise<Object[]>} All matching stories
+   */
+  async listAllStories(params = {}) {
+    const stories = [];
+    for await (const page of this.iterateStoryPages(params)) {
+      stories.push(...page);
+    }
+    return stories;
+  }
+
+  /**
+   * Find the first story matching a predicate, stopping at the page that contains it
+   * @param {Object} params - Management API query parameters to narrow the listing
+   * @param {Function} predicate - Called with each listed story
+   * @returns {Promise<Object|null>} The first match, or null once every page has been checked
+   */
+  async findStory(params, predicate) {
+    for await (const page of this.iterateStoryPages(params)) {
+      const match = page.find(predicate);
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fetch a story (with content) by its id
+   */
+  async getStory(storyId) {
+    const response = await this.client.get(`spaces/${this.spaceId}/stories/${storyId}`);
+    return response.data.story;
+  }
+
+  /**
+   * Find a single story by its full slug, checking the story index first
+   * Index hits carry identity fields only; fetch the story by id when content is needed.
+   */
+  async findStoryBySlug(fullSlug) {
+    const cachedStory = await storyIndex.getBySlug(fullSlug);
+    if (cachedStory) {
+      return cachedStory;
+    }
+
+    const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
+      with_slug: fullSlug,
+      story_only: 1
+    });
+
+    const story = response.data.stories.length > 0 ? response.data.stories[0] : null;
+    await storyIndex.remember(story);
+    return story;
+  }
+
+  /**
+   * Load every story into the story index so hot-path lookups skip the API
+   * @returns {Promise<number>} Number of stories indexed
+   */
+  async warmStoryIndex() {
+    const stories = await this.listAllStories();
+    await storyIndex.warm(stories);
+    return stories.length;
+  }
+
+  /**
+   * Fetch a story (with content) by its UUID
+   */
+  async getStoryByUuid(uuid) {
+    const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
+      by_uuids: uuid
+    });
+
+    const story = response.data.stories[0];
+    if (!story) {
+      return null;
+    }
+
+    const fullStoryResponse = await this.client.get(`spaces/${this.spaceId}/stories/${story.id}`);
+    return fullStoryResponse.data.story;
+  }
+
+  /**
+   * Remove a member reference from a team story
+   * @param {string} teamStoryUuid - UUID of the team story
+   * @param {string} memberUuid - UUID of the member story to remove
+   * @returns {Promise<boolean>} Whether the member was removed
+   */
+  async removeTeamMember(teamStoryUuid, memberUuid) {
+    try {
+      const teamStory = await this.getStoryByUuid(teamStoryUuid);
+      if (!teamStory) {
+        Logger.warning(`Team story not found: ${teamStoryUuid}`);
+        return false;
+      }
+
+      const currentMembers = teamStory.content?.team || [];
+      if (!currentMembers.includes(memberUuid)) {
+        Logger.info(`Member not listed on team: ${teamStory.name}`);
+        return false;
+      }
+
+      Logger.step(`Removing ${memberUuid.substring(0, 8)}... from team: ${teamStory.name}`);
+      const updates = TeamLeaderboard.removeMember(teamStory.content, memberUuid);
+      const updatedMembers = updates.team;
+
+      await this.client.put(`spaces/${this.spaceId}/stories/${teamStory.id}`, {
+        story: {
+          content: {
+            ...teamStory.content,
+            ...updates
+          }
+        }
+      });
+      Logger.info(`✓ Team ${teamStory.name} now has ${updatedMembers.length} members`);
+
+      if (teamStory.published) {
+        try {
+          await this.client.get(`spaces/${this.spaceId}/stories/${teamStory.id}/publish`);
+        } catch (publishError) {
+          Logger.warning(`Team ${teamStory.name} updated but not published`);
+        }
+      }
+
+      return true;
+    } catch (error) {
+      Logger.error(`Error removing member from team ${teamStoryUuid}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get or create the root archive folder (with caching)
+   */
+  async getOrCreateArchiveFolderId() {
+    if (this._archiveFolderId) {
+      return this._archiveFolderId;
+    }
+
+    const archiveFolder = await this.getOrCreateFolderPath(this.layout.getFolderPath('archive'));
+    this._archiveFolderId = archiveFolder.id;
+    return this._archiveFolderId;
+  }
+
+  /**
+   * A story's slug in the shared archive folder, made unique with its story id
+   * A profile that comes back is moved to its normal slug again (see resolveStoryLocation).
+   */
+  getArchiveSlug(story) {
+    const suffix = `-${story.id}`;
+    return story.slug.endsWith(suffix) ? story.slug : `${story.slug}${suffix}`;
+  }
+
+  /**
+   * Move a story into another folder, keeping its UUID so references to it stay valid
+   * @param {Object} story - The story (with content)
+   * @param {Object} folder - The destination folder
+   * @param {string} slug - The story's slug in its new folder (defaults to its current slug)
+   * @param {string} name - The story's name (defaults to its current name)
+   * @returns {Promise<Object>} The moved story
+   */
+  async moveStory(story, folder, slug = story.slug, name = story.name) {
+    const response = await this.client.put(`spaces/${this.spaceId}/stories/${story.id}`, {
+      story: {
+        name,
+        slug,
+        parent_id: folder.id,
+        content: story.content
+      }
+    });
+
+    // Saving creates a new draft, so put a published story live again at its new slug
+    if (story.published) {
+      try {
+        await this.client.get(`spaces/${this.spaceId}/stories/${story.id}/publish`);
+      } catch (publishError) {
+        Logger.warning(`${story.name} moved but not published`);
+      }
+    }
+
+    await storyIndex.forget(story);
+    await storyIndex.remember(response.data.story);
+    return response.data.story;
+  }
+
+  /**
+   * Unpublish, archive or delete a story
+   * @param {Object} story - The story (with content)
+   * @param {string} policy - unpublish, archive or delete
+   * @param {string} removedAt - ISO timestamp stamped on kept stories
+   * @returns {Promise<string>} The action taken: unpublished, archived or deleted
+   */
+  async applyRemovalPolicy(story, policy, removedAt = new Date().toISOString()) {
+    if (!REMOVAL_POLICIES.includes(policy)) {
+      throw new Error(`Unknown removal policy: ${policy} (expected ${REMOVAL_POLICIES.join(', ')})`);
+    }
+
+    if (policy === 'delete') {
+      Logger.step(`Deleting: ${story.name}`);
+      await this.client.delete(`spaces/${this.spaceId}/stories/${story.id}`);
+      await storyIndex.forget(story);
+      return 'deleted';
+    }
+
+    const update = {
+      story: {
+        content: {
+          ...story.content,
+          removed_at: removedAt
+        }
+      }
+    };
+
+    let action = 'unpublished';
+    if (policy === 'archive') {
+      Logger.step(`Archiving: ${story.name}`);
+      update.story.parent_id = await this.getOrCreateArchiveFolderId();
+      // Every campaign archives into the same folder, so profiles with the same path would collide
+      update.story.slug = this.getArchiveSlug(story);
+      action = 'archived';
+    }
+
+    await this.client.put(`spaces/${this.spaceId}/stories/${story.id}`, update);
+
+    if (story.published) {
+      Logger.step(`Unpublishing: ${story.name}`);
+      await this.client.get(`spaces/${this.spaceId}/stories/${story.id}/unpublish`);
+    }
+
+    // Archived stories have moved, and removed ones should be looked up fresh if they come back
+    await storyIndex.forget(story);
+    return action;
+  }
+
+  /**
+   * Remove the story for a deleted or archived Raisely profile
+   * @param {Object} profileData - Extracted fundraiser or team data
+   * @param {Object} options - { isTeam, policy, eventType } where policy is unpublish, archive or delete
+   * @returns {Promise<{action: string, story: Object|null, removedFromTeams: string[]}>}
+   */
+  async removeProfile(profileData, { isTeam = false, policy = 'unpublish', eventType = 'profile.deleted' } = {}) {
+    if (!REMOVAL_POLICIES.includes(policy)) {
+      throw new Error(`Unknown removal policy: ${policy} (expected ${REMOVAL_POLICIES.join(', ')})`);
+    }
+
+    try {
+      Logger.section(`Removing from Storyblok`);
+
+      const fullSlug = this.layout.getProfileFullSlug(
+        isTeam ? profileData.kind || 'team' : 'individual',
+        profileData.campaign,
+        profileData.path
+      );
+
+      Logger.step(`Looking for ${isTeam ? 'team' : 'fundraiser'}: ${profileData.name}`);
+      const listedStory = await this.findProfileStory(profileData.raiselyId, fullSlug, { withContent: false });
+
+      if (!listedStory) {
+        Logger.warning(`Nothing to remove, story not found: ${fullSlug}`);
+        return { action: 'not_found', story: null, removedFromTeams: [] };
+      }
+
+      const storyResponse = await this.client.get(`spaces/${this.spaceId}/stories/${listedStory.id}`);
+      const story = storyResponse.data.story;
+
+      // Take an individual out of the member list of every team it references
+      const removedFromTeams = isTeam ? [] : await this.reconcileTeamMembership(story, null);
+
+      const removedAt = new Date().toISOString();
+      const action = await this.applyRemovalPolicy(story, policy, removedAt);
+      await this.forgetCampaignProfile(story);
+
+      await this.removalLog.set(profileData.raiselyId || story.uuid, {
+        eventType,
+        action,
+        policy,
+        name: profileData.name,
+        storyId: story.id,
+        storyUuid: story.uuid,
+        fullSlug: story.full_slug,
+        removedFromTeams,
+        removedAt
+      });
+
+      Logger.success(`${action.charAt(0).toUpperCase() + action.slice(1)}: ${profileData.name}`);
+      return { action, story, removedFromTeams };
+
+    } catch (error) {
+      Logger.error(`Error removing ${profileData.name}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a fundraiser or team story by its stored Raisely id
+   * @param {string} raiselyId - The Raisely profile uuid
+   * @param {Object} options - { withContent: false } to settle for the story's identity fields
+   */
+  async findStoryByRaiselyId(raiselyId, { withContent = true } = {}) {
+    const cachedStory = await storyIndex.getByRaiselyId(raiselyId);
+    if (cachedStory && !withContent) {
+      return cachedStory;
+    }
+    if (cachedStory) {
+      try {
+        return await this.getStory(cachedStory.id);
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          throw error;
+        }
+        await storyIndex.forget(cachedStory);
+      }
+    }
+
+    let story = null;
+    for (const prefix of this.layout.getProfileRoots()) {
+      const response = await this.client.get(`spaces/${this.spaceId}/stories`, {
+        starts_with: prefix,
+        filter_query: {
+          raisely_id: { in: raiselyId }
+        }
+      });
+
+      story = response.data.stories.find(item => !item.is_folder);
+      if (story) {
+        break;
+      }
+    }
+
+    if (!story) {
+      return null;
+    }
+
+    const fullStoryResponse = await this.client.get(`spaces/${this.spaceId}/stories/${story.id}`);
+    await storyIndex.remember(fullStoryResponse.data.story);
+    return fullStoryResponse.data.story;
+  }
+
+  /**
+   * Find a fundraiser, team or organisation story by its Raisely id, so renamed and moved
+   * profiles keep their story, falling back to its expected slug for stories stored without one
+   * @param {string} raiselyId - The Raisely profile uuid
+   * @param {string} fullSlug - Where the story would be if it was created today
+   * @param {Object} options - { withContent: false } to settle for the story's identity fields
+   */
+  async findProfileStory(raiselyId, fullSlug, { withContent = true } = {}) {
+    if (raiselyId) {
+      const story = await this.findStoryByRaiselyId(raiselyId, { withContent });
+      if (story) {
+        return story;
+      }
+    }
+
+    const listedStory = await this.findStoryBySlug(fullSlug);
+    if (!listedStory || listedStory.is_folder) {
+      return null;
+    }
+
+    const story = withContent ? await this.getStory(listedStory.id) : listedStory;
+    const storedId = withContent ? story.content?.raisely_id : story.raisely_id;
+
+    // The slug now belongs to a different profile (e.g. a path freed up by a rename)
+    if (raiselyId && storedId && storedId !== raiselyId) {
+      Logger.warning(`${fullSlug} belongs to another profile (${storedId})`);
+      return null;
+    }
+    return story;
+  }
+
+  /**
+   * Where to save a profile story found away from its expected slug: moved there, or left
+   * where it is when another story already holds that slug
+   * @param {Object} story - The existing story
+   * @param {string} fullSlug - Its expected full slug
+   * @param {Object} location - The expected { slug, parent_id }
+   */
+  async resolveStoryLocation(story, fullSlug, location) {
+    if (await this.isSlugAvailable(fullSlug, story.id)) {
+      Logger.step(`Moving ${story.full_slug} → ${fullSlug}`);
+      return location;
+    }
+
+    Logger.warning(`Not moving ${story.full_slug}: ${fullSlug} is taken by another story`);
+    return { slug: story.slug, parent_id: story.parent_id };
+  }
+
+  /**
+   * Merge fields into a story's content, republishing it if it was live
+   */
+  async updateStoryContent(story, contentUpdates) {
+    const response = await this.client.put(`spaces/${this.spaceId}/stories/${story.id}`, {
+      story: {
+        content: {
+          ...story.content,
+          ...contentUpdates
+        }
+      }
+    });
+
+    if (story.published) {
+      try {
+        await this.client.get(`spaces/${this.spaceId}/stories/${story.id}/publish`);
+      } catch (publishError) {
+        Logger.warning(`${story.name} updated but not published`);
+      }
+    }
+
+    return response.data.story;
+  }
+
+  /**
+   * Apply a donation event to the raised totals of the fundraiser, its team and the campaign event
+   * Totals sent by Raisely are used as-is; otherwise the donation amount is added or subtracted once.
+   * @param {DonationData} donationData - The donation data
+   * @param {string} eventType - donation.created, donation.succeeded or donation.refunded
+   * @returns {Promise<{action: string, story: Object|null, delta: number}>}
+   */
+  async applyDonation(donationData, eventType) {
+    try {
+      Logger.section(`Applying Donation`);
+
+      const isRefund = eventType === 'donation.refunded';
+      const direction = isRefund ? 'refund' : 'apply';
+      const ledgerEntry = await this.donationLedger.get(donationData.uuid);
+
+      // A previous attempt that failed partway: finish it, skipping the stories it already updated
+      const resuming = ledgerEntry?.pending === direction;
+
+      // Only count a donation once, and only refund one we counted
+      let delta = 0;
+      if (resuming) {
+        delta = isRefund ? -ledgerEntry.amount : ledgerEntry.amount;
+      } else if (isRefund && ledgerEntry?.applied && !ledgerEntry.pending) {
+        delta = -ledgerEntry.amount;
+      } else if (!isRefund && !ledgerEntry?.applied && !ledgerEntry?.pending) {
+        delta = donationData.amount;
+      }
+
+      const story = await this.findStoryByRaiselyId(donationData.profileUuid);
+      if (!story) {
+        Logger.warning(`No story for profile ${donationData.profileUuid}, donation not applied`);
+        return { action: 'not_found', story: null, delta: 0 };
+      }
+
+      // The delta is in the donation's currency; reported totals are in the profile's
+      const deltaCurrency = (isRefund && ledgerEntry?.currency) || donationData.currency;
+      const totalsCurrency = story.content?.currency || deltaCurrency;
+
+      // Claim the ledger entry before touching any story, then tick off each story as it is saved,
+      // so a retried job never adds the delta to the same story twice
+      let pending = resuming ? { ...ledgerEntry, done: ledgerEntry.done || [] } : null;
+      if (delta !== 0 && !resuming) {
+        pending = {
+          applied: Boolean(ledgerEntry?.applied),
+          pending: direction,
+          done: [],
+          amount: Math.abs(delta),
+          currency: deltaCurrency || '',
+          profileUuid: donationData.profileUuid,
+          updatedAt: new Date().toISOString()
+        };
+
+        let claimed = true;
+        if (ledgerEntry) {
+          await this.donationLedger.set(donationData.uuid, pending);
+        } else {
+          claimed = (await this.donationLedger.setIfAbsent(donationData.uuid, pending)) === null;
+        }
+        if (!claimed) {
+          // Another delivery of this donation got there first and counts it
+          Logger.info(`Donation ${donationData.uuid} is already being applied`);
+          pending = null;
+          delta = 0;
+        }
+      }
+      const isDone = target => Boolean(pending?.done.includes(target));
+      const markDone = async target => {
+        if (pending) {
+          pending.done.push(target);
+          await this.donationLedger.set(donationData.uuid, pending);
+        }
+      };
+
+      // A story's new total in the given currency, or null if the delta can't be converted to it
+      const nextTotal = (content, reported, currency) => {
+        if (reported !== null && reported !== undefined) {
+          return reported;
+        }
+        const convertedDelta = Currency.convert(delta, deltaCurrency, currency);
+        return convertedDelta === null
+          ? null
+          : parseFloat(((parseFloat(content?.raised_amount) || 0) + convertedDelta).toFixed(Currency.getDecimals(currency)));
+      };
+      const totalFields = (raised, currency) => ({
+        raised_amount: raised,
+        raised_display: Currency.format(raised, currency)
+      });
+
+      // Fundraiser (or team, for donations made straight to a team page)
+      let updatedStory = story;
+      if (isDone('profile')) {
+        Logger.info(`${story.name} already updated by an earlier attempt`);
+      } else {
+        const fundraiserRaised = nextTotal(story.content, donationData.profileTotal, totalsCurrency);
+        const fundraiserUpdates = fundraiserRaised === null ? {} : totalFields(fundraiserRaised, totalsCurrency);
+
+        const recentLimit = parseInt(process.env.RECENT_DONATIONS_LIMIT, 10) || 0;
+        if (recentLimit > 0) {
+          fundraiserUpdates.recent_donations = this.buildRecentDonations(
+            story.content?.recent_donations || [],
+            donationData,
+            isRefund,
+            recentLimit
+          );
+        }
+
+        Logger.step(`Updating ${story.name}: raised ${fundraiserUpdates.raised_display || 'unchanged'}`);
+        updatedStory = await this.updateStoryContent(story, fundraiserUpdates);
+        await markDone('profile');
+      }
+
+      // Parent team
+      const teamReference = !story.content?.is_team && Array.isArray(story.content?.team)
+        ? story.content.team[0]
+        : null;
+      let updatedTeam = null;
+      if (teamReference && (delta !== 0 || donationData.parentTotal !== null)) {
+        const teamStory = await this.getStoryByUuid(teamReference);
+        const teamCurrency = teamStory?.content?.currency || totalsCurrency;
+        if (teamStory && isDone('team')) {
+          updatedTeam = teamStory;
+        } else {
+          const raised = teamStory ? nextTotal(teamStory.content, donationData.parentTotal, teamCurrency) : null;
+          if (raised !== null) {
+            const teamUpdates = totalFields(raised, teamCurrency);
+            Object.assign(teamUpdates, TeamLeaderboard.refresh({ ...teamStory.content, ...teamUpdates }, updatedStory));
+            Logger.step(`Updating team ${teamStory.name}: raised ${teamUpdates.raised_amount}`);
+            updatedTeam = await this.updateStoryContent(teamStory, teamUpdates);
+          }
+          await markDone('team');
+        }
+      }
+
+      // Campaign event aggregates, rolled up in CURRENCY_BASE when one is configured
+      const eventReference = story.content?.campaign;
+      if (eventReference && !isDone('campaign')) {
+        await this.updateCampaignStats(eventReference, record => {
+          for (const changed of [updatedStory, updatedTeam].filter(Boolean)) {
+            const listed = record.profiles[changed.uuid]?.listed ?? Boolean(changed.published);
+            record.profiles[changed.uuid] = CampaignStats.toEntry(changed, record, listed);
+          }
+
+          if (donationData.campaignTotal !== null) {
+            const reportedTotal = Currency.convert(donationData.campaignTotal, totalsCurrency, record.currency);
+            if (reportedTotal !== null) {
+              record.reportedTotal = reportedTotal;
+            }
+          } else if (record.reportedTotal !== null) {
+            record.reportedTotal = nextTotal({ raised_amount: record.reportedTotal }, null, record.currency);
+          }
+        });
+        await markDone('campaign');
+      }
+
+      if (pending) {
+        await this.donationLedger.set(donationData.uuid, {
+          applied: !isRefund,
+          amount: pending.amount,
+          currency: pending.currency,
+          profileUuid: donationData.profileUuid,
+          updatedAt: new Date().toISOString()
+        });
+      }
+
+      const action = isRefund ? 'refunded' : 'applied';
+      Logger.success(`Donation ${action}: ${donationData.amount} → ${story.name}`);
+      return { action, story: updatedStory, delta };
+
+    } catch (error) {
+      Logger.error(`Error applying donation ${donationData.uuid}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a synced fundraiser or team in its campaign's aggregates and refresh the event story
+   * Failures are logged rather than thrown; the next sync or a full recompute catches up.
+   * @param {Object} story - The saved story, with content
+   * @param {FundraiserData} profileData - The profile it was synced from
+   */
+  async recordCampaignProfile(story, profileData) {
+    // Organisation totals overlap their teams' and fundraisers', so they stay out of the roll-up
+    const eventReference = story?.content?.campaign;
+    if (!eventReference || story.content.is_organisation) {
+      return;
+    }
+
+    try {
+      await this.updateCampaignStats(eventReference, record => {
+        record.profiles[story.uuid] = CampaignStats.toEntry(story, record, profileData.status === 'ACTIVE');
+
+        if (profileData.campaignGoal) {
+          const campaignGoal = Currency.convert(profileData.campaignGoal, profileData.currency, record.currency);
+          if (campaignGoal !== null) {
+            record.campaignGoal = campaignGoal;
+          }
+        }
+      });
+    } catch (error) {
+      Logger.warning(`Campaign aggregates not updated for ${story.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a removed story out of its campaign's aggregates
+   */
+  async forgetCampaignProfile(story) {
+    const eventReference = story?.content?.campaign;
+    if (!eventReference) {
+      return;
+    }
+
+    try {
+      await this.updateCampaignStats(eventReference, record => {
+        if (!record.profiles[story.uuid]) {
+          return false;
+        }
+        delete record.profiles[story.uuid];
+      });
+    } catch (error) {
+      Logger.warning(`Campaign aggregates not updated for ${story.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recompute a campaign's aggregates from every fundraiser and team story under its folder
+   * Drops the last campaign total Raisely reported, so the raised total is the sum of the
+   * stories until the next donation webhook reports a fresh one.
+   * @param {Object} eventStory - The campaign's event story
+   * @param {Object} options - { dryRun } to compute without saving or writing the event
+   * @returns {Promise<{profiles: number, stats: Object}>}
+   */
+  async recomputeCampaignStats(eventStory, { dryRun = false } = {}) {
+    // The event's name is the campaign name, so the layout gives its profile folders
+    const listedStories = new Map();
+    for (const key of ['fundraisers', 'teams', 'organisations']) {
+      const folderSlug = this.layout.getFolderSlug(key, eventStory.name);
+      for (const story of await this.listAllStories({ starts_with: `${folderSlug}/` })) {
+        listedStories.set(story.id, story);
+      }
+    }
+    const stories = await Promise.all(
+      [...listedStories.values()].filter(story => !story.is_folder).map(story => this.getStory(story.id))
+    );
+    const members = stories.filter(story =>
+      story.content?.campaign === eventStory.uuid && !story.content.is_organisation
+    );
+
+    let stats = null;
+    await this.updateCampaignStats(eventStory.uuid, record => {
+      const campaignGoal = record.campaignGoal;
+      Object.assign(record, CampaignStats.createRecord(), { campaignGoal });
+
+      for (const story of members) {
+        record.profiles[story.uuid] = CampaignStats.toEntry(story, record, Boolean(story.published));
+      }
+
+      stats = CampaignStats.summarize(record, { leaderboardSize: this.getLeaderboardSize() });
+      return !dryRun;
+    }, { force: true });
+
+    return { profiles: members.length, stats };
+  }
+
+  /**
+   * Apply a change to a campaign's aggregate record, then save it and update the event story
+   * Changes to the same campaign run one after another so concurrent syncs can't drop entries.
+   * @param {string} eventUuid - UUID of the campaign's event story
+   * @param {Function} change - Mutates the record; return false to leave everything untouched
+   * @param {Object} options - { force } to write the event story even if the stats look unchanged
+   */
+  async updateCampaignStats(eventUuid, change, { force = false } = {}) {
+    const previous = this._campaignStatsQueues.get(eventUuid) || Promise.resolve();
+
+    const run = previous.catch(() => {}).then(async () => {
+      const record = (await this.campaignStats.get(eventUuid)) || CampaignStats.createRecord();
+      if (await change(record) === false) {
+        return;
+      }
+
+      const stats = CampaignStats.summarize(record, { leaderboardSize: this.getLeaderboardSize() });
+      const fingerprint = JSON.stringify(stats);
+
+      // Most syncs leave the campaign figures as they were; skip the event write for those
+      if (force || record.written !== fingerprint) {
+        const eventStory = await this.getStoryByUuid(eventUuid);
+        if (!eventStory) {
+          Logger.warning(`Event story ${eventUuid} not found, campaign aggregates not written`);
+        } else {
+          Logger.step(`Updating event ${eventStory.name}: raised ${stats.raised_display}, ${stats.fundraiser_count} fundraisers`);
+          await this.updateStoryContent(eventStory, { ...stats, stats_updated_at: new Date().toISOString() });
+          record.written = fingerprint;
+        }
+      }
+
+      await this.campaignStats.set(eventUuid, record);
+    });
+
+    this._campaignStatsQueues.set(eventUuid, run);
+    try {
+      await run;
+    } finally {
+      if (this._campaignStatsQueues.get(eventUuid) === run) {
+        this._campaignStatsQueues.delete(eventUuid);
+      }
+    }
+  }
+
+  getLeaderboardSize() {
+    return parseInt(process.env.CAMPAIGN_LEADERBOARD_SIZE, 10) || CampaignStats.DEFAULT_LEADERBOARD_SIZE;
+  }
+
+  /**
+   * Build the recent donations blok list, newest first
+   */
+  buildRecentDonations(currentDonations, donationData, isRefund, limit) {
+    const others = currentDonations.filter(item => item.donation_id !== donationData.uuid);
+
+    if (isRefund) {
+      return others;
+    }
+
+    const entry = {
+      component: 'donation',
+      _uid: donationData.uuid,
+      donation_id: donationData.uuid,
+      donor_name: donationData.donorName,
+      amount: donationData.amount,
+      currency: donationData.currency || '',
+      message: donationData.message || '',
+      anonymous: donationData.anonymous,
+      donated_at: donationData.createdAt || new Date().toISOString()
+    };
+
+    return [entry, ...others]
+      .sort((a, b) => new Date(b.donated_at) - new Date(a.donated_at))
+      .slice(0, limit);
+  }
+
+  /**
+   * Replace mapped asset fields that point at external images with uploaded Storyblok assets
+   * Uploads are skipped when ASSET_UPLOADS=false, and a failed upload keeps the external URL.
+   * @param {Object} fields - Mapped content fields (see FieldMapper)
+   * @param {Object} profileData - The fundraiser or team data the fields belong to
+   * @returns {Promise<Object>} The fields with asset values swapped for Storyblok assets
+   */
+  async resolveAssetFields(fields = {}, profileData) {
+    if (process.env.ASSET_UPLOADS === 'false') {
+      return fields;
+    }
+
+    const resolved = { ...fields };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value?.fieldtype !== 'asset' || !value.filename || this.isStoryblokAsset(value.filename)) {
+        continue;
+      }
+
+      try {
+        const asset = await this.syncAsset(value.filename, {
+          owner: `${profileData.raiselyId}:${field}`,
+          campaignName: profileData.campaign
+        });
+        resolved[field] = {
+          ...value,
+          id: asset.assetId,
+          filename: asset.filename,
+          name: value.name || profileData.name
+        };
+      } catch (error) {
+        Logger.warning(`Asset upload failed for ${profileData.name} (${field}), keeping source URL`, error.message);
+      }
+    }
+
+    return resolved;
+  }
+
+  isStoryblokAsset(url) {
+    return /^(https?:)?\/\/a(-us)?\.storyblok\.com\//.test(url);
+  }
+
+  /**
+   * Make sure an owner (a story field) holds the asset for a source URL
+   * Images are uploaded once per source URL; when an owner's image changes, the old
+   * asset is deleted as soon as no other story field uses it.
+   * @returns {Promise<{assetId: number, filename: string}>}
+   */
+  async syncAsset(sourceUrl, { owner, campaignName }) {
+    const hash = crypto.createHash('sha256').update(sourceUrl).digest('hex');
+    const previousHash = await this.assetStore.get(`owner:${owner}`);
+
+    let record = await this.assetStore.get(`source:${hash}`);
+    if (!record) {
+      const folderId = await this.getOrCreateAssetFolder(campaignName);
+      record = { ...await this.uploadAsset(sourceUrl, folderId), sourceUrl, owners: [] };
+    }
+
+    if (!record.owners.includes(owner)) {
+      record.owners.push(owner);
+    }
+    await this.assetStore.set(`source:${hash}`, record);
+
+    if (previousHash && previousHash !== hash) {
+      await this.releaseAsset(previousHash, owner);
+    }
+    await this.assetStore.set(`owner:${owner}`, hash);
+
+    return record;
+  }
+
+  /**
+   * Drop an owner's claim on an asset, deleting the asset once nothing uses it
+   */
+  async releaseAsset(hash, owner) {
+    const record = await this.assetStore.get(`source:${hash}`);
+    if (!record) {
+      return;
+    }
+
+    record.owners = record.owners.filter(existing => existing !== owner);
+    if (record.owners.length > 0) {
+      await this.assetStore.set(`source:${hash}`, record);
+      return;
+    }
+
+    try {
+      Logger.step(`Deleting replaced asset ${record.assetId}`);
+      await this.client.delete(`spaces/${this.spaceId}/assets/${record.assetId}`);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+    await this.assetStore.delete(`source:${hash}`);
+  }
+
+  /**
+   * Download an image and upload it through Storyblok's signed upload flow
+   * @returns {Promise<{assetId: number, filename: string}>}
+   */
+  async uploadAsset(sourceUrl, folderId) {
+    Logger.step(`Uploading asset: ${sourceUrl}`);
+
+    const download = await axios.get(sourceUrl, { responseType: 'arraybuffer', timeout: 30000 });
+    const contentType = download.headers['content-type'] || 'application/octet-stream';
+    const filename = this.getAssetFilename(sourceUrl, contentType);
+
+    // 1. Ask Storyblok for a signed upload
+    const signResponse = await this.client.post(`spaces/${this.spaceId}/assets`, {
+      filename,
+      asset_folder_id: folderId || null
+    });
+    const signed = signResponse.data;
+
+    // 2. Send the file straight to storage with the signed fields
+    const form = new FormData();
+    Object.entries(signed.fields).forEach(([key, value]) => form.append(key, value));
+    form.append('file', new Blob([download.data], { type: contentType }), filename);
+    await axios.post(signed.post_url, form, { timeout: 60000 });
+
+    // 3. Tell Storyblok the upload is complete
+    await this.client.get(`spaces/${this.spaceId}/assets/${signed.id}/finish_upload`);
+
+    const filenameUrl = signed.pretty_url.startsWith('//') ? `https:${signed.pretty_url}` : signed.pretty_url;
+    Logger.success(`Uploaded asset: ${filename}`);
+    return { assetId: signed.id, filename: filenameUrl };
+  }
+
+  /**
+   * Build an upload filename from the source URL, adding an extension when it has none
+   */
+  getAssetFilename(sourceUrl, contentType) {
+    const basename = path.basename(new URL(sourceUrl).pathname) || 'image';
+    if (path.extname(basename)) {
+      return basename;
+    }
+
+    const extension = contentType.split('/')[1]?.split(';')[0] || 'jpg';
+    return `${basename}.${extension === 'jpeg' ? 'jpg' : extension}`;
+  }
+
+  /**
+   * Get or create the asset folder for a campaign, under ASSET_FOLDER_NAME (with caching)
+   */
+  async getOrCreateAssetFolder(campaignName) {
+    const rootName = process.env.ASSET_FOLDER_NAME || 'Fundraisers';
+    const cacheKey = campaignName || '';
+    if (this._assetFolderIds.has(cacheKey)) {
+      return this._assetFolderIds.get(cacheKey);
+    }
+
+    const response = await this.client.get(`spaces/${this.spaceId}/asset_folders`);
+    const folders = response.data.asset_folders || [];
+
+    const findOrCreate = async (name, parentId) => {
+      const existing = folders.find(folder => folder.name === name && (folder.parent_id || null) === (parentId || null));
+      if (existing) {
+        return existing.id;
+      }
+
+      Logger.step(`Creating asset folder: ${name}`);
+      const createResponse = await this.client.post(`spaces/${this.spaceId}/asset_folders`, {
+        asset_folder: { name, parent_id: parentId || null }
+      });
+      folders.push(createResponse.data.asset_folder);
+      return createResponse.data.asset_folder.id;
+    };
+
+    const rootId = await findOrCreate(rootName, null);
+    const folderId = campaignName ? await findOrCreate(campaignName, rootId) : rootId;
+
+    this._assetFolderIds.set(cacheKey, folderId);
+    return folderId;
+  }
+
+  /**
+   * All component definitions in the space
+   */
+  async listComponents() {
+    const response = await this.client.get(`spaces/${this.spaceId}/components`);
+    return response.data.components || [];
+  }
+
+  /**
+   * Create a component, or replace an existing one's definition when it has an id
+   */
+  async saveComponent(component) {
+    const response = component.id
+      ? await this.client.put(`spaces/${this.spaceId}/components/${component.id}`, { component })
+      : await this.client.post(`spaces/${this.spaceId}/components`, { component });
+    return response.data.component;
+  }
 }
 
-module.exports = new StoryblokService();
\ No newline at end of file
+module.exports = new StoryblokService();
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Type definitions for donation data
+ */
+
+const Logger = require('../utils/logger');
+
+/**
+ * @typedef {Object} DonationData
+ * @property {string} uuid - The Raisely donation UUID
+ * @property {string} profileUuid - UUID of the profile the donation was made to
+ * @property {number} amount - The donation amount in the main currency unit
+ * @property {string} currency - The donation currency code
+ * @property {string} donorName - Display name (already 'Anonymous' when the donor asked to hide it)
+ * @property {boolean} anonymous - Whether the donor asked to stay anonymous
+ * @property {string} message - The donor's message
+ * @property {string} status - The Raisely donation status
+ * @property {string} createdAt - When the donation was made
+ * @property {number|null} profileTotal - The profile's new total (in the profile's currency) if Raisely sent it
+ * @property {number|null} parentTotal - The parent team's new total if Raisely sent it
+ * @property {number|null} campaignTotal - The campaign's new total if Raisely sent it
+ */
+
+/**
+ * Validates that donation data has all required fields
+ * @param {any} data - The data to validate
+ * @returns {DonationData|null} - The validated data or null if invalid
+ */
+function validateDonationData(data) {
+  const requiredFields = ['uuid', 'profileUuid'];
+  
+  for (const field of requiredFields) {
+    if (!data[field]) {
+      Logger.error(`Missing required field: ${field}`);
+      return null;
+    }
+  }
+  
+  if (typeof data.amount !== 'number' || isNaN(data.amount)) {
+    Logger.error(`Invalid donation amount: ${data.amount}`);
+    return null;
+  }
+  
+  return data;
+}
+
+module.exports = {
+  validateDonationData
+};
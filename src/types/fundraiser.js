@@ -2,17 +2,25 @@
  * @fileoverview Type definitions for fundraiser data
  */
 
+const Logger = require('../utils/logger');
+
 /**
  * @typedef {Object} FundraiserData
  * @property {string} name - The fundraiser name
  * @property {string} campaign - The campaign name
+ * @property {string} [campaignId] - The Raisely campaign UUID, used to follow campaign renames
  * @property {string} description - The fundraiser description
  * @property {number} targetAmount - The fundraising target
  * @property {number} raisedAmount - The amount raised so far
+ * @property {string} currency - ISO currency code of the amounts (e.g. GBP, BND)
+ * @property {number|null} [campaignGoal] - The campaign's goal, when the payload includes the campaign profile
  * @property {string} profileUrl - The Raisely profile URL
  * @property {string} raiselyId - The Raisely UUID
  * @property {string} path - The Raisely path/slug (CRITICAL!)
  * @property {string} status - The fundraiser status (ACTIVE, DRAFT, etc.)
+ * @property {string} [kind] - For group profiles: 'team' or 'organisation'
+ * @property {Array<{name: string, path: string, kind: string, raiselyId: string}>} [ancestors] - Teams and organisations above the profile, nearest first
+ * @property {Object} [fields] - Extra Storyblok content fields built by the field mapping
  */
 
 /**
@@ -25,7 +33,7 @@ function validateFundraiserData(data) {
   
   for (const field of requiredFields) {
     if (!data[field]) {
-      console.error(`❌ Missing required field: ${field}`);
+      Logger.error(`Missing required field: ${field}`);
       return null;
     }
   }
@@ -34,7 +42,7 @@ function validateFundraiserData(data) {
   const importantFields = ['targetAmount', 'status'];
   for (const field of importantFields) {
     if (data[field] === undefined || data[field] === null) {
-      console.warn(`⚠️  Missing optional field: ${field}`);
+      Logger.warning(`Missing optional field: ${field}`);
     }
   }
   
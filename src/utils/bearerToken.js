@@ -0,0 +1,28 @@
+const WebhookSignature = require('./webhookSignature');
+
+/**
+ * Bearer token checks for the operational endpoints (queue, readiness details, metrics)
+ */
+class BearerToken {
+  /**
+   * Check a request's Authorization header against `Bearer <token>`, in constant time
+   */
+  static matches(req, token) {
+    return WebhookSignature.safeCompare(req.get('authorization') || '', `Bearer ${token}`);
+  }
+
+  /**
+   * Check the queue token: QUEUE_DRAIN_TOKEN, or CRON_SECRET as sent by Vercel Cron
+   * With neither set, only development requests are let through.
+   */
+  static isQueueAuthorized(req) {
+    const token = process.env.QUEUE_DRAIN_TOKEN || process.env.CRON_SECRET;
+    if (!token) {
+      return process.env.NODE_ENV === 'development';
+    }
+
+    return this.matches(req, token);
+  }
+}
+
+module.exports = BearerToken;
@@ -0,0 +1,99 @@
+const Currency = require('./currency');
+
+/**
+ * Campaign aggregates for event stories, built from a per-campaign record of its profiles
+ *
+ * The record holds one entry per fundraiser or team story (amounts already converted to the
+ * campaign currency) plus the campaign goal and the latest campaign total Raisely reported.
+ * Team totals in Raisely include their members' totals, so only the part of a team's total
+ * that its members don't account for is added on top of the individual fundraisers.
+ */
+class CampaignStats {
+  static DEFAULT_LEADERBOARD_SIZE = 10;
+
+  /**
+   * An empty record for a campaign
+   */
+  static createRecord(currency = Currency.getBaseCurrency()) {
+    return {
+      currency: currency || null,
+      campaignGoal: null,
+      reportedTotal: null,
+      profiles: {}
+    };
+  }
+
+  /**
+   * Summarise a fundraiser or team story for the record
+   * @param {Object} story - The story, with content
+   * @param {Object} record - The campaign record (its currency is fixed on first use)
+   * @param {boolean} listed - Whether the profile is live and belongs on the leaderboard
+   */
+  static toEntry(story, record, listed) {
+    const content = story.content || {};
+    const currency = content.currency || null;
+    if (!record.currency) {
+      record.currency = currency;
+    }
+
+    const toCampaignCurrency = amount => Currency.convert(parseFloat(amount) || 0, currency, record.currency);
+
+    return {
+      name: story.name,
+      isTeam: content.is_team === true,
+      team: !content.is_team && Array.isArray(content.team) ? content.team[0] || null : null,
+      raised: toCampaignCurrency(content.raised_amount),
+      target: toCampaignCurrency(content.target_amount),
+      donors: parseInt(content.unique_donors, 10) || 0,
+      listed
+    };
+  }
+
+  /**
+   * Build the event story fields from a campaign record
+   * @param {Object} record - The campaign record
+   * @param {Object} options - { leaderboardSize }
+   * @returns {Object} Content fields for the event story
+   */
+  static summarize(record, { leaderboardSize = this.DEFAULT_LEADERBOARD_SIZE } = {}) {
+    const entries = Object.entries(record.profiles).map(([uuid, entry]) => ({ uuid, ...entry }));
+    const individuals = entries.filter(entry => !entry.isTeam);
+    const teams = entries.filter(entry => entry.isTeam);
+    const sum = (items, key) => items.reduce((total, item) => total + (item[key] || 0), 0);
+
+    // Money and donors given straight to a team page, beyond what its members raised
+    const teamExtra = key => teams.reduce((total, team) => {
+      const members = individuals.filter(entry => entry.team === team.uuid);
+      return total + Math.max(0, (team[key] || 0) - sum(members, key));
+    }, 0);
+
+    const decimals = Currency.getDecimals(record.currency);
+    const round = amount => parseFloat(amount.toFixed(decimals));
+
+    const raised = record.reportedTotal !== null && record.reportedTotal !== undefined
+      ? record.reportedTotal
+      : round(sum(individuals, 'raised') + teamExtra('raised'));
+    const goal = record.campaignGoal || round(sum(individuals, 'target'));
+
+    const leaderboard = items => items
+      .filter(entry => entry.listed)
+      .sort((a, b) => (b.raised || 0) - (a.raised || 0))
+      .slice(0, leaderboardSize)
+      .map(entry => entry.uuid);
+
+    return {
+      raised_amount: raised,
+      raised_display: Currency.format(raised, record.currency),
+      goal_amount: goal,
+      goal_display: Currency.format(goal, record.currency),
+      currency: record.currency || '',
+      fundraiser_count: individuals.filter(entry => entry.listed).length,
+      team_count: teams.filter(entry => entry.listed).length,
+      donor_count: sum(individuals, 'donors') + teamExtra('donors'),
+      top_fundraisers: leaderboard(individuals),
+      top_teams: leaderboard(teams)
+    };
+  }
+}
+
+module.exports = CampaignStats;
@@ -0,0 +1,155 @@
+const path = require('path');
+const FieldMapper = require('./fieldMapper');
+
+/**
+ * The Storyblok components the sync writes, and how a space's live definitions differ from them
+ *
+ * Definitions come from src/config/componentSchema.json, keyed by component name, with a Storyblok
+ * `schema` per component. The fundraiser component also gets a field for every field-mapping entry,
+ * typed from its transform. Story references hold story uuids, as the sync writes them: `option`
+ * for one story and `options` for a list, restricted to the content types they point at.
+ */
+class ComponentSchema {
+  static DEFAULT_SCHEMA_PATH = path.join(__dirname, '../config/componentSchema.json');
+
+  // Field-mapping transforms and the Storyblok field type their values fit
+  static TRANSFORM_FIELDS = {
+    asset: { type: 'asset', filetypes: ['images'] },
+    number: { type: 'number' },
+    centsToUnits: { type: 'number' },
+    boolean: { type: 'boolean' },
+    date: { type: 'datetime' }
+  };
+
+  // Field types that hold the same value, so a space may use either
+  static COMPATIBLE_TYPES = [
+    ['text', 'textarea', 'markdown']
+  ];
+
+  // Field settings that only affect the editor and are never compared
+  static EDITOR_KEYS = ['display_name', 'description', 'pos'];
+
+  /**
+   * Expected component definitions, keyed by component name
+   */
+  static expected() {
+    const components = JSON.parse(JSON.stringify(require(this.DEFAULT_SCHEMA_PATH)));
+    const mapping = FieldMapper.getMapping();
+
+    for (const section of ['individual', 'team']) {
+      for (const [field, rule] of Object.entries(mapping[section] || {})) {
+        if (!components.fundraiser.schema[field]) {
+          components.fundraiser.schema[field] = { ...(this.TRANSFORM_FIELDS[rule.transform] || { type: 'text' }) };
+        }
+      }
+    }
+
+    for (const [name, component] of Object.entries(components)) {
+      Object.values(component.schema).forEach((field, index) => {
+        field.pos = index;
+      });
+      component.name = name;
+    }
+
+    return components;
+  }
+
+  static typesMatch(expected, actual) {
+    return expected === actual ||
+      this.COMPATIBLE_TYPES.some(group => group.includes(expected) && group.includes(actual));
+  }
+
+  // Compare setting values, ignoring array order and number/string differences (e.g. max_options)
+  static sameValue(expected, actual) {
+    const normalise = value => (Array.isArray(value) ? [...value].map(String).sort() : String(value ?? ''));
+    return JSON.stringify(normalise(expected)) === JSON.stringify(normalise(actual));
+  }
+
+  /**
+   * Mismatches between one expected field and its live definition
+   * @returns {string[]} Human-readable problems (empty when the field is fine)
+   */
+  static diffField(expected, actual) {
+    if (!actual) {
+      return ['missing'];
+    }
+    if (!this.typesMatch(expected.type, actual.type)) {
+      return [`type is ${actual.type}, expected ${expected.type}`];
+    }
+
+    return Object.entries(expected)
+      .filter(([key]) => key !== 'type' && !this.EDITOR_KEYS.includes(key))
+      .filter(([key, value]) => !this.sameValue(value, actual[key]))
+      .map(([key, value]) => `${key} is ${JSON.stringify(actual[key] ?? null)}, expected ${JSON.stringify(value)}`);
+  }
+
+  /**
+   * Compare live component definitions with the expected ones
+   * Fields the space has beyond the expected ones are left alone and not reported.
+   * @param {Object} expected - From expected()
+   * @param {Array} liveComponents - Components from the management API
+   * @returns {Array<{component: string, field: string|null, problem: string}>}
+   */
+  static diff(expected, liveComponents) {
+    const live = new Map(liveComponents.map(component => [component.name, component]));
+    const mismatches = [];
+
+    for (const [name, component] of Object.entries(expected)) {
+      const actual = live.get(name);
+      if (!actual) {
+        mismatches.push({ component: name, field: null, problem: 'missing' });
+        continue;
+      }
+
+      for (const key of ['is_root', 'is_nestable']) {
+        if (Boolean(actual[key]) !== component[key]) {
+          mismatches.push({ component: name, field: null, problem: `${key} is ${Boolean(actual[key])}, expected ${component[key]}` });
+        }
+      }
+
+      for (const [field, definition] of Object.entries(component.schema)) {
+        for (const problem of this.diffField(definition, actual.schema?.[field])) {
+          mismatches.push({ component: name, field, problem });
+        }
+      }
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * The definition to save for a component: the live one with missing fields added and mismatched
+   * ones corrected, keeping fields and editor settings the space added itself
+   * @param {Object} expected - One expected component
+   * @param {Object|null} actual - The live component, if it exists
+   */
+  static merge(expected, actual = null) {
+    const { name, display_name: displayName, is_root: isRoot, is_nestable: isNestable } = expected;
+
+    if (!actual) {
+      return { name, display_name: displayName, is_root: isRoot, is_nestable: isNestable, schema: expected.schema };
+    }
+
+    const schema = { ...(actual.schema || {}) };
+    const nextPos = Math.max(-1, ...Object.values(schema).map(field => Number(field.pos) || 0)) + 1;
+    let added = 0;
+
+    for (const [field, definition] of Object.entries(expected.schema)) {
+      const current = schema[field];
+      if (!current) {
+        schema[field] = { ...definition, pos: nextPos + added++ };
+      } else if (this.diffField(definition, current).length > 0) {
+        const { pos, display_name: label, description, ...settings } = definition;
+        schema[field] = {
+          ...current,
+          ...settings,
+          ...(this.typesMatch(definition.type, current.type) ? { type: current.type } : {})
+        };
+      }
+    }
+
+    return { ...actual, is_root: isRoot, is_nestable: isNestable, schema };
+  }
+}
+
+module.exports = ComponentSchema;
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+/**
+ * Currency helpers: minor-unit conversion, display formatting and base-currency roll-ups
+ *
+ * Raisely reports amounts in the currency's smallest unit (pence, cents), except for
+ * zero-decimal currencies such as JPY and KRW where the amount is already in whole units.
+ * Conversion rates come from CURRENCY_RATES (inline JSON) or CURRENCY_RATES_PATH (a JSON
+ * file), both shaped `{ "BND": 0.57, "USD": 0.79 }` = value of one unit in CURRENCY_BASE.
+ */
+class Currency {
+  static DEFAULT_LOCALE = 'en-GB';
+
+  static _rates = null;
+
+  /**
+   * Number of decimal places the currency uses (2 for GBP, 0 for JPY, 3 for KWD)
+   */
+  static getDecimals(currency) {
+    if (!currency) {
+      return 2;
+    }
+
+    try {
+      return new Intl.NumberFormat('en', { style: 'currency', currency })
+        .resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      return 2;
+    }
+  }
+
+  /**
+   * Convert an amount in minor units to main units (e.g. 500 pence → 5.00, 500 yen → 500)
+   */
+  static fromMinorUnits(amount, currency) {
+    if (!amount || isNaN(amount)) return 0;
+
+    const decimals = this.getDecimals(currency);
+    return parseFloat((amount / Math.pow(10, decimals)).toFixed(decimals));
+  }
+
+  /**
+   * Locale-formatted amount, e.g. "£1,250.00" or "BND 50.00"
+   */
+  static format(amount, currency, locale = process.env.CURRENCY_LOCALE || this.DEFAULT_LOCALE) {
+    const value = Number(amount) || 0;
+    if (!currency) {
+      return new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value);
+    }
+
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+    } catch (error) {
+      return `${currency} ${value.toFixed(2)}`;
+    }
+  }
+
+  static getBaseCurrency() {
+    return (process.env.CURRENCY_BASE || '').toUpperCase() || null;
+  }
+
+  /**
+   * Load (and cache) the rate table
+   */
+  static getRates() {
+    if (!this._rates) {
+      let rates = {};
+      if (process.env.CURRENCY_RATES) {
+        rates = JSON.parse(process.env.CURRENCY_RATES);
+      } else if (process.env.CURRENCY_RATES_PATH) {
+        rates = JSON.parse(fs.readFileSync(path.resolve(process.env.CURRENCY_RATES_PATH), 'utf8'));
+      }
+
+      this._rates = Object.fromEntries(
+        Object.entries(rates).map(([code, rate]) => [code.toUpperCase(), Number(rate)])
+      );
+    }
+    return this._rates;
+  }
+
+  /**
+   * Convert an amount between currencies using the rate table
+   * Returns the amount unchanged when either currency is unknown or they match,
+   * and null when the rate table cannot convert it.
+   */
+  static convert(amount, from, to) {
+    const source = (from || '').toUpperCase();
+    const target = (to || '').toUpperCase();
+    if (amount === null || amount === undefined || !source || !target || source === target) {
+      return amount;
+    }
+
+    const base = this.getBaseCurrency();
+    const rates = this.getRates();
+    const rateOf = code => (code === base ? 1 : rates[code]);
+
+    if (!rateOf(source) || !rateOf(target)) {
+      Logger.warning(`No rate to convert ${source} → ${target} (set CURRENCY_BASE and CURRENCY_RATES)`);
+      return null;
+    }
+
+    return parseFloat((amount * rateOf(source) / rateOf(target)).toFixed(this.getDecimals(target)));
+  }
+}
+
+module.exports = Currency;
@@ -0,0 +1,140 @@
+const path = require('path');
+const Logger = require('./logger');
+const Currency = require('./currency');
+const componentSchema = require('../config/componentSchema.json');
+
+/**
+ * Declarative mapping from Raisely profile fields to extra Storyblok content fields
+ *
+ * A mapping file (JSON, or a JS module that can also export custom `transforms`) has an
+ * `individual` and a `team` section keyed by Storyblok field name:
+ *
+ *   { "individual": { "race_distance": { "from": "public.raceDistance", "transform": "string" } } }
+ *
+ * `from` is a dot path into the profile, or a list of paths tried in order. `transform`
+ * names one of the built-in transforms below (or a custom one), and `default` is used
+ * when no path has a value. The mapping is loaded from FIELD_MAPPING_PATH, falling
+ * back to src/config/fieldMapping.json.
+ */
+class FieldMapper {
+  static DEFAULT_MAPPING_PATH = path.join(__dirname, '../config/fieldMapping.json');
+
+  // Fields the sync pipeline writes (every fundraiser component field); mappings cannot overwrite them
+  static RESERVED_FIELDS = ['component', ...Object.keys(componentSchema.fundraiser.schema)];
+
+  static TRANSFORMS = {
+    string: value => String(value),
+    number: value => {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    },
+    boolean: value => value === true || value === 'true' || value === 1,
+    // Uses the profile's currency, so zero-decimal amounts (JPY, KRW) are not divided by 100
+    centsToUnits: (value, profile) => {
+      const number = Number(value);
+      const currency = profile?.currency || profile?.campaign?.currency || '';
+      return Number.isFinite(number) ? Currency.fromMinorUnits(Math.round(number), currency) : null;
+    },
+    // Storyblok date/time fields store "YYYY-MM-DD HH:mm" in UTC
+    date: value => {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 16).replace('T', ' ');
+    },
+    isoDate: value => {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    },
+    // Asset fields point at the image where Raisely hosts it
+    asset: value => ({
+      fieldtype: 'asset',
+      filename: String(value),
+      alt: '',
+      name: ''
+    })
+  };
+
+  static _mapping = null;
+
+  /**
+   * Load (and cache) the mapping file
+   */
+  static getMapping() {
+    if (!this._mapping) {
+      const mappingPath = process.env.FIELD_MAPPING_PATH
+        ? path.resolve(process.env.FIELD_MAPPING_PATH)
+        : this.DEFAULT_MAPPING_PATH;
+
+      this._mapping = this.validateMapping(require(mappingPath), mappingPath);
+    }
+    return this._mapping;
+  }
+
+  /**
+   * Check a mapping up front so a typo fails loudly at startup rather than per profile
+   */
+  static validateMapping(mapping, source) {
+    const transforms = { ...this.TRANSFORMS, ...(mapping.transforms || {}) };
+
+    for (const section of ['individual', 'team']) {
+      for (const [field, rule] of Object.entries(mapping[section] || {})) {
+        if (this.RESERVED_FIELDS.includes(field)) {
+          throw new Error(`Field mapping ${source}: ${section}.${field} is managed by the sync and cannot be mapped`);
+        }
+        if (!rule || !rule.from) {
+          throw new Error(`Field mapping ${source}: ${section}.${field} needs a "from" path`);
+        }
+        if (rule.transform && typeof transforms[rule.transform] !== 'function') {
+          throw new Error(`Field mapping ${source}: unknown transform "${rule.transform}" for ${section}.${field}`);
+        }
+      }
+    }
+
+    return { individual: {}, team: {}, ...mapping, transforms };
+  }
+
+  /**
+   * Read a dot path (e.g. `public.raceDistance`) from an object
+   */
+  static getPath(source, dotPath) {
+    return dotPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+  }
+
+  /**
+   * Build the mapped Storyblok fields for a profile
+   * @param {Object} profile - The Raisely profile
+   * @param {string} section - 'individual' or 'team'
+   * @returns {Object} Storyblok field name -> value (fields without a value are left out)
+   */
+  static mapProfile(profile, section = 'individual') {
+    const mapping = this.getMapping();
+    const fields = {};
+
+    for (const [field, rule] of Object.entries(mapping[section] || {})) {
+      const paths = Array.isArray(rule.from) ? rule.from : [rule.from];
+      let value = paths
+        .map(dotPath => this.getPath(profile, dotPath))
+        .find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+
+      if (value !== undefined && rule.transform) {
+        try {
+          value = mapping.transforms[rule.transform](value, profile);
+        } catch (error) {
+          Logger.warning(`Field mapping ${field} failed: ${error.message}`);
+          value = undefined;
+        }
+      }
+
+      if (value === undefined || value === null) {
+        value = rule.default;
+      }
+
+      if (value !== undefined && value !== null) {
+        fields[field] = value;
+      }
+    }
+
+    return fields;
+  }
+}
+
+module.exports = FieldMapper;
@@ -0,0 +1,74 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+/**
+ * Per-request / per-job context for log lines
+ *
+ * Fields set here (correlationId, eventUuid, profileUuid, campaign, jobId, ...) follow the work
+ * through every await, so each Logger call made while syncing one webhook or one profile - including
+ * those deep inside StoryblokService and the Storyblok client - carries the same correlation id,
+ * even when several syncs run in parallel.
+ */
+class LogContext {
+  static storage = new AsyncLocalStorage();
+
+  /**
+   * Run a function with its own context, inheriting the surrounding one's fields
+   * A correlation id is generated if neither the fields nor the surrounding context have one.
+   */
+  static run(fields, fn) {
+    const parent = this.storage.getStore() || {};
+    const context = { ...parent, ...this.clean(fields) };
+    if (!context.correlationId) {
+      context.correlationId = crypto.randomUUID();
+    }
+    return this.storage.run(context, fn);
+  }
+
+  /**
+   * Add fields to the current context (no-op outside one)
+   */
+  static set(fields) {
+    const context = this.storage.getStore();
+    if (context) {
+      Object.assign(context, this.clean(fields));
+    }
+  }
+
+  /**
+   * Run a function outside any context (e.g. background work started from within a request)
+   */
+  static exit(fn) {
+    return this.storage.exit(fn);
+  }
+
+  static get() {
+    return this.storage.getStore() || null;
+  }
+
+  static getCorrelationId() {
+    return this.storage.getStore()?.correlationId || null;
+  }
+
+  /**
+   * Express middleware giving each request a context, reusing the caller's X-Request-Id when sent
+   * Register it after the body parsers: their stream callbacks would lose the context.
+   */
+  static middleware() {
+    return (req, res, next) => {
+      const incoming = req.get('x-request-id') || req.get('x-correlation-id');
+      const correlationId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+      res.set('X-Request-Id', correlationId);
+      this.run({ correlationId }, next);
+    };
+  }
+
+  // Drop empty values so they don't overwrite inherited ones
+  static clean(fields = {}) {
+    return Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  }
+}
+
+module.exports = LogContext;
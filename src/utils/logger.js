@@ -1,8 +1,82 @@
 const chalk = require('chalk');
-
+const LogContext = require('./logContext');
+
+/**
+ * Console logging in one of two formats, chosen by LOG_FORMAT:
+ * - pretty (default): short colourised lines for local development
+ * - json: one JSON object per line with level, timestamp, message, the current LogContext
+ *   (correlation id, event uuid, profile uuid, campaign, job id) and any fields passed in
+ *
+ * Every method takes an optional second argument: an Error (its status and API response are
+ * kept in JSON output), a string detail, or an object of extra fields such as { storyId, durationMs }.
+ * info/step/test lines are debug output and only appear in verbose mode, in either format.
+ */
 class Logger {
   static verboseMode = process.env.VERBOSE === 'true' || process.env.NODE_ENV === 'development';
 
+  static format = (process.env.LOG_FORMAT || 'pretty').toLowerCase() === 'json' ? 'json' : 'pretty';
+
+  /**
+   * Write one JSON log line
+   */
+  static emit(level, kind, message, details = null) {
+    if (level === 'debug' && !this.verboseMode) {
+      return;
+    }
+
+    // Details go first so a detail named message, level or timestamp cannot replace the real one
+    const line = {
+      ...this.describeDetails(details, level),
+      timestamp: new Date().toISOString(),
+      level,
+      kind,
+      message: String(message),
+      ...(LogContext.get() || {})
+    };
+
+    console.log(JSON.stringify(line));
+  }
+
+  /**
+   * Turn a method's details argument into JSON log fields
+   */
+  static describeDetails(details, level = 'info') {
+    if (details === null || details === undefined) {
+      return {};
+    }
+    // Errors are sometimes logged as just their API response body
+    if (level === 'error' && typeof details === 'object' && !details.message) {
+      return { error: details };
+    }
+    if (details instanceof Error || (typeof details === 'object' && details.response && details.message)) {
+      return {
+        error: {
+          message: details.message,
+          ...(details.response?.status ? { status: details.response.status } : {}),
+          ...(details.response?.data !== undefined ? { response: details.response.data } : {}),
+          ...(details.stack ? { stack: details.stack } : {})
+        }
+      };
+    }
+    if (typeof details === 'object') {
+      return details;
+    }
+    return { detail: String(details) };
+  }
+
+  /**
+   * A string detail (or an error's message) for pretty output, if there is one
+   */
+  static detailText(details) {
+    if (details === null || details === undefined) {
+      return null;
+    }
+    if (typeof details === 'object' && !details.message) {
+      return null;
+    }
+    return details.message || String(details);
+  }
+
   static getTimestamp() {
     return new Date().toLocaleTimeString('en-US', { 
       hour12: false, 
@@ -13,31 +87,50 @@ class Logger {
   }
 
   // Always show important results
-  static success(message) {
+  static success(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('info', 'success', message, details);
+    }
     console.log(`${chalk.green('✓')} ${chalk.green(message)}`);
   }
 
   // Show detailed info only in verbose mode
-  static info(message) {
+  static info(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('debug', 'info', message, details);
+    }
     if (this.verboseMode) {
       console.log(`  ${chalk.dim(message)}`);
     }
   }
 
   // Show processing steps (controlled verbosity)
-  static step(message) {
+  static step(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('debug', 'step', message, details);
+    }
     if (this.verboseMode) {
       console.log(`  → ${message}`);
     }
   }
 
   // Always show warnings
-  static warning(message) {
+  static warning(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('warn', 'warning', message, details);
+    }
     console.log(`${chalk.yellow('⚠')} ${chalk.yellow(message)}`);
+    const detail = this.detailText(details);
+    if (detail && this.verboseMode) {
+      console.log(`     ${chalk.yellow(detail)}`);
+    }
   }
 
   // Always show errors
   static error(message, error = null) {
+    if (this.format === 'json') {
+      return this.emit('error', 'error', message, error);
+    }
     console.log(`${chalk.red('✗')} ${chalk.red(message)}`);
     if (error && this.verboseMode) {
       console.log(`     ${chalk.red(error.message || error)}`);
@@ -45,22 +138,34 @@ class Logger {
   }
 
   // Always show webhook activity
-  static webhook(message, eventType = null) {
+  static webhook(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('info', 'webhook', message, details);
+    }
     console.log(`${chalk.blue('📨')} ${message}`);
   }
 
   // Always show results
-  static result(message) {
+  static result(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('info', 'result', message, details);
+    }
     console.log(`${chalk.green('✓')} ${message}`);
   }
 
   // Always show server messages
-  static server(message) {
+  static server(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('info', 'server', message, details);
+    }
     console.log(`🚀 ${message}`);
   }
 
   // Show test messages only in verbose mode
-  static test(message) {
+  static test(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('debug', 'test', message, details);
+    }
     if (this.verboseMode) {
       console.log(`🧪 ${message}`);
     }
@@ -68,24 +173,33 @@ class Logger {
 
   // Controlled spacing
   static space() {
-    if (this.verboseMode) {
+    if (this.verboseMode && this.format === 'pretty') {
       console.log('');
     }
   }
 
   // Always show sections
   static section(title) {
+    if (this.format === 'json') {
+      return this.emit('info', 'section', title);
+    }
     console.log('');
     console.log(chalk.bold.blue(`━━━ ${title} ━━━`));
   }
 
   // New method for compact progress updates
-  static progress(message) {
+  static progress(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('info', 'progress', message, details);
+    }
     console.log(`${chalk.cyan('►')} ${message}`);
   }
 
   // New method for compact operation summaries
-  static summary(message) {
+  static summary(message, details = null) {
+    if (this.format === 'json') {
+      return this.emit('info', 'summary', message, details);
+    }
     console.log(`${chalk.magenta('📊')} ${message}`);
   }
 }
@@ -0,0 +1,134 @@
+/**
+ * Raisely profile hierarchy: campaign → organisations → teams → individuals
+ *
+ * Profiles carry their ancestors as a nested `parent` chain. The campaign profile is a GROUP
+ * with `isCampaignProfile: true`, organisations have type ORGANISATION, and any other GROUP is
+ * a team. Organisations and teams can nest to any depth, so everything here walks the whole
+ * chain rather than assuming a fixed campaign → team → individual shape.
+ */
+class ProfileHierarchy {
+  // Longest parent chain we follow, in case a payload ever loops back on itself
+  static MAX_DEPTH = 50;
+
+  /**
+   * What kind of profile this is: campaign, organisation, team or individual
+   */
+  static getKind(profile) {
+    if (!profile) {
+      return null;
+    }
+    if (profile.isCampaignProfile === true) {
+      return 'campaign';
+    }
+    if (profile.type === 'ORGANISATION') {
+      return 'organisation';
+    }
+    if (profile.type === 'GROUP') {
+      return 'team';
+    }
+    return 'individual';
+  }
+
+  /**
+   * Teams and organisations are both groups that get their own story
+   */
+  static isGroup(profile) {
+    const kind = this.getKind(profile);
+    return kind === 'team' || kind === 'organisation';
+  }
+
+  /**
+   * A profile's ancestors, nearest first
+   * Stops at the first profile seen before (by uuid or identity), so a chain that loops back
+   * on itself - a team listed as its own parent, say - yields each ancestor once.
+   */
+  static getAncestors(profile) {
+    const ancestors = [];
+    const seen = new Set(profile ? [profile, profile.uuid || profile.id].filter(Boolean) : []);
+    let current = profile?.parent;
+
+    while (current && ancestors.length < this.MAX_DEPTH) {
+      const id = current.uuid || current.id;
+      if (seen.has(current) || (id && seen.has(id))) {
+        break;
+      }
+      seen.add(current);
+      if (id) {
+        seen.add(id);
+      }
+
+      ancestors.push(current);
+      current = current.parent;
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * The nearest ancestor matching a predicate, or one of a given kind
+   * @param {Object} profile - The Raisely profile
+   * @param {Function|string} match - Predicate called with each ancestor, or a kind name
+   */
+  static findAncestor(profile, match) {
+    const predicate = typeof match === 'function' ? match : ancestor => this.getKind(ancestor) === match;
+    return this.getAncestors(profile).find(predicate) || null;
+  }
+
+  /**
+   * Work out which campaign a profile belongs to
+   * Prefers an explicit campaign on the payload, then the campaign profile in the parent chain,
+   * then the top of the chain, then the first segment of a nested path.
+   */
+  static getCampaignName(profile) {
+    if (profile.campaign) {
+      return profile.campaign.name || profile.campaign.title || profile.campaign;
+    }
+
+    if (profile.campaignName) {
+      return profile.campaignName;
+    }
+
+    const ancestors = this.getAncestors(profile);
+    if (ancestors.length > 0) {
+      const campaign = ancestors.find(ancestor => this.getKind(ancestor) === 'campaign');
+      return (campaign || ancestors[ancestors.length - 1]).name || 'Default Campaign';
+    }
+
+    const pathParts = (profile.path || '').split('/');
+    return pathParts.length > 1 ? pathParts[0] : 'Default Campaign';
+  }
+
+  /**
+   * The Raisely uuid of a profile's campaign, which stays the same when the campaign is renamed
+   * Taken from an explicit campaign on the payload, else the campaign profile in the parent chain.
+   */
+  static getCampaignId(profile) {
+    if (profile.campaignUuid) {
+      return profile.campaignUuid;
+    }
+
+    if (profile.campaign && typeof profile.campaign === 'object' && (profile.campaign.uuid || profile.campaign.id)) {
+      return profile.campaign.uuid || profile.campaign.id;
+    }
+
+    const campaign = this.findAncestor(profile, 'campaign');
+    return campaign ? campaign.uuid || campaign.id || '' : '';
+  }
+
+  /**
+   * The teams and organisations above a profile, nearest first, in the shape the sync uses
+   * @returns {Array<{name: string, path: string, kind: string, raiselyId: string}>}
+   */
+  static getGroupAncestors(profile) {
+    return this.getAncestors(profile)
+      .filter(ancestor => this.isGroup(ancestor))
+      .map(ancestor => ({
+        name: ancestor.name,
+        path: ancestor.path,
+        kind: this.getKind(ancestor),
+        raiselyId: ancestor.uuid || ancestor.id || ''
+      }));
+  }
+}
+
+module.exports = ProfileHierarchy;
@@ -0,0 +1,237 @@
+const path = require('path');
+
+/**
+ * Where synced stories live in Storyblok: folder paths, the event slug and slug rules
+ *
+ * A layout file (JSON) has templated `paths` for each kind of folder, with `{campaign}` standing
+ * for the slugified campaign name and any other `{name}` taken from `variables` (overridden per
+ * campaign under `campaigns`, keyed by campaign name):
+ *
+ *   { "paths": { "fundraisers": "campaigns/{year}/{campaign}/people" },
+ *     "variables": { "year": "2025" }, "folderNames": { "people": "Personen" } }
+ *
+ * `folderNames` gives the display name for a folder created from a fixed path segment, which is
+ * how folders get localised names; folders named after the campaign use the campaign name.
+ * `slugRules` control how names become slugs. Anything a layout leaves out comes from
+ * src/config/storyLayout.json. The layout is loaded from STORY_LAYOUT_PATH, falling back to
+ * that default, and ARCHIVE_FOLDER_SLUG still overrides the archive path.
+ */
+class StoryLayout {
+  static DEFAULT_LAYOUT_PATH = path.join(__dirname, '../config/storyLayout.json');
+
+  static PATH_KEYS = ['campaign', 'fundraisers', 'teams', 'organisations', 'events', 'archive'];
+
+  // Folders that hold one campaign's stories; each needs {campaign} so campaigns don't collide
+  static CAMPAIGN_PATH_KEYS = ['campaign', 'fundraisers', 'teams', 'organisations'];
+
+  static _current = null;
+
+  /**
+   * The layout this process syncs with (loaded once)
+   */
+  static current() {
+    if (!this._current) {
+      this._current = this.load(process.env.STORY_LAYOUT_PATH);
+    }
+    return this._current;
+  }
+
+  /**
+   * Load a layout file, or the default layout when no path is given
+   */
+  static load(layoutPath) {
+    const source = layoutPath ? path.resolve(layoutPath) : this.DEFAULT_LAYOUT_PATH;
+    return new StoryLayout(require(source), source);
+  }
+
+  constructor(config = {}, source = 'layout') {
+    const defaults = require(StoryLayout.DEFAULT_LAYOUT_PATH);
+
+    this.source = source;
+    this.paths = { ...defaults.paths, ...(config.paths || {}) };
+    this.eventSlug = config.eventSlug || defaults.eventSlug;
+    this.slugRules = { ...defaults.slugRules, ...(config.slugRules || {}) };
+    this.folderNames = { ...defaults.folderNames, ...(config.folderNames || {}) };
+    this.variables = { ...(config.variables || {}) };
+    this.campaigns = { ...(config.campaigns || {}) };
+
+    if (process.env.ARCHIVE_FOLDER_SLUG) {
+      this.paths.archive = process.env.ARCHIVE_FOLDER_SLUG;
+    }
+
+    this.validate();
+  }
+
+  /**
+   * Check the layout up front so a bad path fails at startup rather than mid-sync
+   */
+  validate() {
+    for (const key of StoryLayout.PATH_KEYS) {
+      const template = this.paths[key];
+      if (typeof template !== 'string' || !template || template.startsWith('/') || template.endsWith('/')) {
+        throw new Error(`Story layout ${this.source}: paths.${key} must be a folder path like "fundraisers/{campaign}"`);
+      }
+    }
+
+    for (const key of StoryLayout.CAMPAIGN_PATH_KEYS) {
+      if (!this.paths[key].includes('{campaign}')) {
+        throw new Error(`Story layout ${this.source}: paths.${key} must include {campaign}`);
+      }
+    }
+
+    if (!`${this.paths.events}/${this.eventSlug}`.includes('{campaign}')) {
+      throw new Error(`Story layout ${this.source}: paths.events or eventSlug must include {campaign}`);
+    }
+
+    if (/[{}]/.test(this.paths.archive)) {
+      throw new Error(`Story layout ${this.source}: paths.archive is shared by all campaigns and cannot use variables`);
+    }
+
+    const profilePaths = ['fundraisers', 'teams', 'organisations'].map(key => this.paths[key]);
+    if (new Set(profilePaths).size !== profilePaths.length) {
+      throw new Error(`Story layout ${this.source}: fundraisers, teams and organisations need separate folders`);
+    }
+  }
+
+  /**
+   * Turn a name into a slug following the layout's slug rules
+   */
+  slugify(text) {
+    const { lowercase, separator, transliterate, maxLength } = this.slugRules;
+    let slug = String(text);
+
+    if (transliterate) {
+      slug = slug.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    }
+    if (lowercase) {
+      slug = slug.toLowerCase();
+    }
+
+    const escaped = separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    slug = slug
+      .replace(new RegExp(`[^a-zA-Z0-9\\s${escaped}-]`, 'g'), '') // Remove special characters
+      .replace(/\s+/g, separator) // Replace spaces with the separator
+      .replace(new RegExp(`(${escaped})+`, 'g'), separator); // Collapse repeated separators
+
+    if (separator !== '-') {
+      slug = slug.replace(/-+/g, '-');
+    }
+
+    if (maxLength > 0 && slug.length > maxLength) {
+      slug = slug.slice(0, maxLength).replace(new RegExp(`(${escaped})+$`), '');
+    }
+
+    return slug;
+  }
+
+  /**
+   * Template variables for a campaign: layout variables, the campaign's own, and {campaign}
+   */
+  getVariables(campaignName) {
+    return {
+      ...this.variables,
+      ...(this.campaigns[campaignName] || {}),
+      campaign: this.slugify(campaignName)
+    };
+  }
+
+  /**
+   * Fill a template's {variables}, slugifying each value
+   */
+  fill(template, campaignName) {
+    const variables = this.getVariables(campaignName);
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null || value === '') {
+        throw new Error(`Story layout ${this.source}: no value for {${name}} in "${template}" (campaign: ${campaignName})`);
+      }
+      return name === 'campaign' ? value : this.slugify(value);
+    });
+  }
+
+  /**
+   * Resolve a folder path for a campaign, with the slug and display name of every folder on it
+   * @param {string} key - One of PATH_KEYS
+   * @param {string} campaignName - The campaign name (ignored for the archive)
+   * @returns {{fullSlug: string, folders: Array<{slug: string, name: string}>}}
+   */
+  getFolderPath(key, campaignName) {
+    const template = this.paths[key];
+    if (!template) {
+      throw new Error(`Story layout ${this.source}: unknown folder "${key}"`);
+    }
+
+    const folders = template.split('/').map(segment => {
+      const slug = this.fill(segment, campaignName);
+      if (segment === '{campaign}') {
+        return { slug, name: campaignName };
+      }
+      return { slug, name: this.folderNames[slug] || this.folderNames[segment] || this.toFolderName(slug) };
+    });
+
+    return {
+      fullSlug: folders.map(folder => folder.slug).join('/'),
+      folders
+    };
+  }
+
+  getFolderSlug(key, campaignName) {
+    return this.getFolderPath(key, campaignName).fullSlug;
+  }
+
+  toFolderName(slug) {
+    return slug.charAt(0).toUpperCase() + slug.slice(1).replace(/[-_]+/g, ' ');
+  }
+
+  /**
+   * Slug of a campaign's event story within the events folder
+   */
+  getEventSlug(campaignName) {
+    return this.fill(this.eventSlug, campaignName);
+  }
+
+  getEventFullSlug(campaignName) {
+    return `${this.getFolderSlug('events', campaignName)}/${this.getEventSlug(campaignName)}`;
+  }
+
+  /**
+   * Which folder a profile of the given kind lives in
+   */
+  getProfileFolderKey(kind) {
+    if (kind === 'organisation') {
+      return 'organisations';
+    }
+    return kind === 'team' ? 'teams' : 'fundraisers';
+  }
+
+  /**
+   * Full slug of a fundraiser, team or organisation story
+   */
+  getProfileFullSlug(kind, campaignName, profilePath) {
+    return `${this.getFolderSlug(this.getProfileFolderKey(kind), campaignName)}/${profilePath}`;
+  }
+
+  /**
+   * The fixed part of a folder path before its first variable, for starts_with searches
+   * across every campaign (e.g. "fundraisers/" for "fundraisers/{campaign}")
+   */
+  getStaticPrefix(key) {
+    const template = this.paths[key];
+    const variableAt = template.indexOf('{');
+    if (variableAt === -1) {
+      return `${template}/`;
+    }
+    return template.slice(0, template.lastIndexOf('/', variableAt) + 1);
+  }
+
+  /**
+   * starts_with prefixes that between them cover every profile story
+   */
+  getProfileRoots() {
+    const prefixes = [...new Set(['fundraisers', 'teams', 'organisations'].map(key => this.getStaticPrefix(key)))];
+    return prefixes.filter(prefix => !prefixes.some(other => other !== prefix && prefix.startsWith(other)));
+  }
+}
+
+module.exports = StoryLayout;
@@ -0,0 +1,99 @@
+const Currency = require('./currency');
+
+/**
+ * Member leaderboard kept on team stories as a list of `team_member` bloks, highest raised first
+ *
+ * Each entry references the member's fundraiser story and carries the member's raised amount
+ * (in the team's currency) and progress towards their own goal, so a team page can render
+ * the ranking without resolving every member. Entries are refreshed one member at a time as
+ * members sync, and dropped once the member is no longer in the team's `team` list.
+ */
+class TeamLeaderboard {
+  /**
+   * Build the leaderboard entry for a member
+   * @param {Object} memberStory - The member's fundraiser story, with content
+   * @param {string} teamCurrency - Currency the team's amounts are kept in
+   */
+  static toEntry(memberStory, teamCurrency) {
+    const content = memberStory.content || {};
+    const raised = parseFloat(content.raised_amount) || 0;
+    const target = parseFloat(content.target_amount) || 0;
+    const currency = teamCurrency || content.currency || '';
+    const teamRaised = Currency.convert(raised, content.currency, currency);
+
+    return {
+      component: 'team_member',
+      _uid: memberStory.uuid,
+      fundraiser: memberStory.uuid,
+      name: memberStory.name,
+      raised_amount: teamRaised === null ? raised : teamRaised,
+      raised_display: teamRaised === null
+        ? Currency.format(raised, content.currency)
+        : Currency.format(teamRaised, currency),
+      goal_percent: target > 0 ? Math.round((raised / target) * 100) : 0
+    };
+  }
+
+  /**
+   * Recompute a team's leaderboard and total, optionally with one member's fresh figures
+   * The team total is the larger of the total Raisely reported and the sum of its members,
+   * since Raisely's team total can lag behind its members' totals.
+   * @param {Object} teamContent - The team story content (its `team` list decides membership)
+   * @param {Object|null} memberStory - A member whose entry should be added or refreshed
+   * @returns {Object} Content updates: leaderboard, raised_amount and raised_display
+   */
+  static refresh(teamContent, memberStory = null) {
+    const members = Array.isArray(teamContent.team) ? teamContent.team : [];
+    const currency = teamContent.currency || '';
+
+    const entries = (teamContent.leaderboard || [])
+      .filter(entry => members.includes(entry.fundraiser))
+      .filter(entry => !memberStory || entry.fundraiser !== memberStory.uuid);
+
+    if (memberStory && members.includes(memberStory.uuid)) {
+      entries.push(this.toEntry(memberStory, currency));
+    }
+
+    const leaderboard = entries
+      .sort((a, b) => (b.raised_amount || 0) - (a.raised_amount || 0) || a.name.localeCompare(b.name))
+      .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+    const membersRaised = parseFloat(leaderboard
+      .reduce((total, entry) => total + (entry.raised_amount || 0), 0)
+      .toFixed(Currency.getDecimals(currency)));
+    const raised = Math.max(parseFloat(teamContent.raised_amount) || 0, membersRaised);
+
+    return {
+      leaderboard,
+      raised_amount: raised,
+      raised_display: Currency.format(raised, currency)
+    };
+  }
+
+  /**
+   * Take a member off a team, dropping their leaderboard entry and their money from the total
+   * The departed member's last leaderboard amount is taken off the team total, which never goes below
+   * what the remaining members raised (refresh() alone would keep the old total, since it only ever
+   * raises it). The team's next sync replaces the total with Raisely's figure.
+   * @param {Object} teamContent - The team story content
+   * @param {string} memberUuid - The departing member's story uuid
+   * @returns {Object} Content updates: team, leaderboard, raised_amount and raised_display
+   */
+  static removeMember(teamContent, memberUuid) {
+    const members = (Array.isArray(teamContent.team) ? teamContent.team : []).filter(uuid => uuid !== memberUuid);
+    const currency = teamContent.currency || '';
+    const departed = (teamContent.leaderboard || []).find(entry => entry.fundraiser === memberUuid);
+
+    const previous = parseFloat(teamContent.raised_amount) || 0;
+    const withoutMember = parseFloat(
+      Math.max(0, previous - (departed?.raised_amount || 0)).toFixed(Currency.getDecimals(currency))
+    );
+
+    return {
+      team: members,
+      ...this.refresh({ ...teamContent, team: members, raised_amount: withoutMember })
+    };
+  }
+}
+
+module.exports = TeamLeaderboard;
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC signature helpers for incoming Raisely webhooks
+ *
+ * Signature header format: `t=<unix seconds>,v1=<hex hmac>[,v1=<hex hmac>...]`
+ * The signed payload is `<t>.<raw request body>` using HMAC-SHA256.
+ */
+class WebhookSignature {
+  static DEFAULT_HEADER = 'x-raisely-signature';
+  static DEFAULT_TOLERANCE_SECONDS = 300;
+
+  /**
+   * Read verification settings from the environment
+   */
+  static getConfig() {
+    const secrets = (process.env.RAISELY_WEBHOOK_SIGNING_SECRETS || '')
+      .split(',')
+      .map(secret => secret.trim())
+      .filter(Boolean);
+
+    const tolerance = parseInt(process.env.RAISELY_WEBHOOK_TOLERANCE_SECONDS, 10);
+
+    return {
+      secrets,
+      header: (process.env.RAISELY_WEBHOOK_SIGNATURE_HEADER || this.DEFAULT_HEADER).toLowerCase(),
+      toleranceSeconds: isNaN(tolerance) ? this.DEFAULT_TOLERANCE_SECONDS : tolerance,
+      bodySecret: process.env.RAISELY_WEBHOOK_SECRET || null,
+      allowBodySecret: process.env.RAISELY_WEBHOOK_ALLOW_BODY_SECRET === 'true'
+    };
+  }
+
+  /**
+   * Compute the hex HMAC for a payload
+   */
+  static computeSignature(rawBody, timestamp, secret) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+  }
+
+  /**
+   * Build a complete signature header value (used by test scripts)
+   */
+  static sign(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${this.computeSignature(rawBody, timestamp, secret)}`;
+  }
+
+  /**
+   * Parse `t=...,v1=...` into its timestamp and candidate signatures
+   */
+  static parseHeader(header) {
+    if (!header || typeof header !== 'string') {
+      return null;
+    }
+
+    let timestamp = null;
+    const signatures = [];
+
+    header.split(',').forEach(part => {
+      const [key, value] = part.split('=').map(item => item && item.trim());
+      if (key === 't') {
+        timestamp = parseInt(value, 10);
+      } else if (key === 'v1' && value) {
+        signatures.push(value);
+      }
+    });
+
+    if (!timestamp || isNaN(timestamp) || signatures.length === 0) {
+      return null;
+    }
+
+    return { timestamp, signatures };
+  }
+
+  /**
+   * Constant-time string comparison
+   */
+  static safeCompare(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') {
+      return false;
+    }
+
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+
+    if (bufferA.length !== bufferB.length) {
+      // Still burn a comparison so timing doesn't leak the length check
+      crypto.timingSafeEqual(bufferA, bufferA);
+      return false;
+    }
+
+    return crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  /**
+   * Verify a signature header against the raw body and every active secret
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  static verify(rawBody, header, secrets, toleranceSeconds = this.DEFAULT_TOLERANCE_SECONDS, now = Date.now()) {
+    const parsed = this.parseHeader(header);
+    if (!parsed) {
+      return { valid: false, reason: 'Malformed signature header' };
+    }
+
+    const age = Math.abs(Math.floor(now / 1000) - parsed.timestamp);
+    if (toleranceSeconds > 0 && age > toleranceSeconds) {
+      return { valid: false, reason: `Signature timestamp outside ${toleranceSeconds}s window` };
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : (rawBody || '');
+
+    const matched = secrets.some(secret => {
+      const expected = this.computeSignature(body, parsed.timestamp, secret);
+      return parsed.signatures.some(signature => this.safeCompare(signature, expected));
+    });
+
+    return matched ? { valid: true } : { valid: false, reason: 'Signature mismatch' };
+  }
+}
+
+module.exports = WebhookSignature;
@@ -0,0 +1,111 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CampaignStats = require('../src/utils/campaignStats');
+const Currency = require('../src/utils/currency');
+
+function story(name, content) {
+  return { name, content: { currency: 'GBP', ...content } };
+}
+
+// A record holding the given stories, keyed by uuid, all listed unless noted
+function recordOf(stories, currency = 'GBP') {
+  const record = CampaignStats.createRecord(currency);
+  for (const [uuid, { story: profileStory, listed = true }] of Object.entries(stories)) {
+    record.profiles[uuid] = CampaignStats.toEntry(profileStory, record, listed);
+  }
+  return record;
+}
+
+afterEach(() => {
+  delete process.env.CURRENCY_BASE;
+  delete process.env.CURRENCY_RATES;
+  Currency._rates = null;
+});
+
+test('an entry summarises a fundraiser or team story', () => {
+  const record = CampaignStats.createRecord(null);
+
+  const fundraiser = CampaignStats.toEntry(
+    story('Ada', { raised_amount: '120.50', target_amount: 500, unique_donors: '4', team: ['team-1'] }),
+    record,
+    true
+  );
+  assert.deepEqual(fundraiser, { name: 'Ada', isTeam: false, team: 'team-1', raised: 120.5, target: 500, donors: 4, listed: true });
+  assert.equal(record.currency, 'GBP', 'the first story fixes the record currency');
+
+  const team = CampaignStats.toEntry(story('Runners', { is_team: true, team: ['a', 'b'], raised_amount: 300 }), record, false);
+  assert.equal(team.isTeam, true);
+  assert.equal(team.team, null);
+  assert.equal(team.target, 0);
+  assert.equal(team.listed, false);
+});
+
+test('entries are converted to the campaign currency', () => {
+  process.env.CURRENCY_BASE = 'GBP';
+  process.env.CURRENCY_RATES = JSON.stringify({ USD: 0.8 });
+  const record = CampaignStats.createRecord('GBP');
+
+  const entry = CampaignStats.toEntry(story('Sam', { currency: 'USD', raised_amount: 100, target_amount: 250 }), record, true);
+  assert.equal(entry.raised, 80);
+  assert.equal(entry.target, 200);
+});
+
+test('team totals only add what their members do not account for', () => {
+  const record = recordOf({
+    ada: { story: story('Ada', { raised_amount: 100, target_amount: 200, unique_donors: 2, team: ['runners'] }) },
+    bo: { story: story('Bo', { raised_amount: 50, target_amount: 200, unique_donors: 1, team: ['runners'] }) },
+    cy: { story: story('Cy', { raised_amount: 25.25, target_amount: 100, unique_donors: 1, team: ['walkers'] }) },
+    runners: { story: story('Runners', { is_team: true, raised_amount: 180, unique_donors: 5 }) },
+    // Members raised more than the team reports, so nothing extra is added
+    walkers: { story: story('Walkers', { is_team: true, raised_amount: 10, unique_donors: 0 }) }
+  });
+
+  const stats = CampaignStats.summarize(record);
+  assert.equal(stats.raised_amount, 205.25);
+  assert.equal(stats.raised_display, '£205.25');
+  assert.equal(stats.goal_amount, 500);
+  assert.equal(stats.goal_display, '£500.00');
+  assert.equal(stats.currency, 'GBP');
+  assert.equal(stats.donor_count, 6);
+  assert.equal(stats.fundraiser_count, 3);
+  assert.equal(stats.team_count, 2);
+});
+
+test('the reported total and campaign goal win over the sums', () => {
+  const record = recordOf({ ada: { story: story('Ada', { raised_amount: 100, target_amount: 200 }) } });
+  record.reportedTotal = 999;
+  record.campaignGoal = 5000;
+
+  const stats = CampaignStats.summarize(record);
+  assert.equal(stats.raised_amount, 999);
+  assert.equal(stats.goal_amount, 5000);
+
+  record.reportedTotal = 0;
+  assert.equal(CampaignStats.summarize(record).raised_amount, 0, 'a reported total of zero still counts');
+});
+
+test('leaderboards list live profiles, highest first, up to the size', () => {
+  const record = recordOf({
+    low: { story: story('Low', { raised_amount: 10 }) },
+    high: { story: story('High', { raised_amount: 300 }) },
+    mid: { story: story('Mid', { raised_amount: 120 }) },
+    hidden: { story: story('Hidden', { raised_amount: 1000 }), listed: false },
+    teamA: { story: story('Team A', { is_team: true, raised_amount: 50 }) },
+    teamB: { story: story('Team B', { is_team: true, raised_amount: 70 }) }
+  });
+
+  const stats = CampaignStats.summarize(record, { leaderboardSize: 2 });
+  assert.deepEqual(stats.top_fundraisers, ['high', 'mid']);
+  assert.deepEqual(stats.top_teams, ['teamB', 'teamA']);
+  assert.equal(stats.fundraiser_count, 3, 'unlisted profiles are not counted');
+  assert.equal(stats.raised_amount, 1550, 'but their money is');
+});
+
+test('an empty record summarises to zero', () => {
+  const stats = CampaignStats.summarize(CampaignStats.createRecord('JPY'));
+  assert.equal(stats.raised_amount, 0);
+  assert.equal(stats.goal_amount, 0);
+  assert.equal(stats.donor_count, 0);
+  assert.deepEqual(stats.top_fundraisers, []);
+  assert.deepEqual(stats.top_teams, []);
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ComponentSchema = require('../src/utils/componentSchema');
+
+// The live components a space would return if it matched the expected definitions exactly
+function liveFrom(expected) {
+  return Object.values(JSON.parse(JSON.stringify(expected)));
+}
+
+function liveComponent(live, name) {
+  return live.find(component => component.name === name);
+}
+
+test('mapped fields are added to the fundraiser component, typed from their transform', () => {
+  const { fundraiser } = ComponentSchema.expected();
+
+  assert.deepEqual(fundraiser.schema.photo, { type: 'asset', filetypes: ['images'], pos: fundraiser.schema.photo.pos });
+  assert.equal(fundraiser.schema.exercise_total.type, 'number');
+  assert.equal(fundraiser.schema.joined_at.type, 'datetime');
+  assert.equal(fundraiser.schema.race_distance.type, 'text', 'transforms without a field type map to text');
+  assert.equal(fundraiser.schema.member_count.type, 'number', 'team mappings land on the same component');
+
+  const positions = Object.values(fundraiser.schema).map(field => field.pos);
+  assert.deepEqual(positions, positions.map((pos, index) => index));
+});
+
+test('a space that matches has no differences', () => {
+  const expected = ComponentSchema.expected();
+  assert.deepEqual(ComponentSchema.diff(expected, liveFrom(expected)), []);
+});
+
+test('missing components and flags are reported', () => {
+  const expected = ComponentSchema.expected();
+  const live = liveFrom(expected).filter(component => component.name !== 'donation');
+  liveComponent(live, 'team_member').is_nestable = false;
+
+  assert.deepEqual(ComponentSchema.diff(expected, live), [
+    { component: 'team_member', field: null, problem: 'is_nestable is false, expected true' },
+    { component: 'donation', field: null, problem: 'missing' }
+  ]);
+});
+
+test('missing fields, wrong types and wrong settings are reported per field', () => {
+  const expected = ComponentSchema.expected();
+  const live = liveFrom(expected);
+  const { schema } = liveComponent(live, 'fundraiser');
+  delete schema.raisely_id;
+  schema.target_amount = { type: 'text' };
+  schema.team.filter_content_type = ['event'];
+
+  assert.deepEqual(ComponentSchema.diff(expected, live), [
+    { component: 'fundraiser', field: 'team', problem: 'filter_content_type is ["event"], expected ["fundraiser"]' },
+    { component: 'fundraiser', field: 'target_amount', problem: 'type is text, expected number' },
+    { component: 'fundraiser', field: 'raisely_id', problem: 'missing' }
+  ]);
+});
+
+test('editor settings, compatible types, value formats and extra fields are not differences', () => {
+  const expected = {
+    fundraiser: {
+      name: 'fundraiser',
+      is_root: true,
+      is_nestable: false,
+      schema: {
+        description: { type: 'textarea', display_name: 'About', pos: 0 },
+        groups: { type: 'options', source: 'internal_stories', filter_content_type: ['fundraiser', 'event'], max_options: 5, pos: 1 }
+      }
+    }
+  };
+  const live = [{
+    name: 'fundraiser',
+    is_root: true,
+    schema: {
+      description: { type: 'markdown', display_name: 'Bio', description: 'Shown on the page', pos: 7 },
+      groups: { type: 'options', source: 'internal_stories', filter_content_type: ['event', 'fundraiser'], max_options: '5', pos: 2 },
+      tagline: { type: 'text', pos: 3 }
+    }
+  }];
+
+  assert.deepEqual(ComponentSchema.diff(expected, live), []);
+});
+
+test('merging a new component uses the expected definition', () => {
+  const expected = ComponentSchema.expected().donation;
+  assert.deepEqual(ComponentSchema.merge(expected), {
+    name: 'donation',
+    display_name: expected.display_name,
+    is_root: false,
+    is_nestable: true,
+    schema: expected.schema
+  });
+});
+
+test('merging fixes the differences and keeps what the space added', () => {
+  const expected = {
+    name: 'fundraiser',
+    is_root: true,
+    is_nestable: false,
+    schema: {
+      name: { type: 'text', pos: 0 },
+      description: { type: 'textarea', pos: 1 },
+      team: { type: 'options', source: 'internal_stories', filter_content_type: ['fundraiser'], display_name: 'Team', pos: 2 },
+      raisely_id: { type: 'text', pos: 3 }
+    }
+  };
+  const live = {
+    id: 42,
+    name: 'fundraiser',
+    is_root: true,
+    schema: {
+      name: { type: 'text', pos: 0 },
+      description: { type: 'markdown', pos: 1, display_name: 'Bio' },
+      team: { type: 'option', display_name: 'Squad', pos: 2 },
+      tagline: { type: 'text', pos: 5 }
+    }
+  };
+
+  const merged = ComponentSchema.merge(expected, live);
+
+  assert.equal(merged.id, 42);
+  assert.equal(merged.is_nestable, false);
+  assert.deepEqual(merged.schema.description, { type: 'markdown', pos: 1, display_name: 'Bio' }, 'a compatible type is left alone');
+  assert.deepEqual(merged.schema.team, {
+    type: 'options',
+    source: 'internal_stories',
+    filter_content_type: ['fundraiser'],
+    display_name: 'Squad',
+    pos: 2
+  });
+  assert.deepEqual(merged.schema.raisely_id, { type: 'text', pos: 6 }, 'new fields go after the existing ones');
+  assert.deepEqual(merged.schema.tagline, { type: 'text', pos: 5 });
+  assert.deepEqual(ComponentSchema.diff({ fundraiser: expected }, [merged]), []);
+});
@@ -0,0 +1,72 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Currency = require('../src/utils/currency');
+
+// Set the base currency and rate table for one test; the table is cached, so drop it too
+function useRates(base, rates) {
+  process.env.CURRENCY_BASE = base;
+  process.env.CURRENCY_RATES = JSON.stringify(rates);
+  Currency._rates = null;
+}
+
+afterEach(() => {
+  delete process.env.CURRENCY_BASE;
+  delete process.env.CURRENCY_RATES;
+  Currency._rates = null;
+});
+
+test('minor units follow the currency\'s decimal places', () => {
+  assert.equal(Currency.getDecimals('GBP'), 2);
+  assert.equal(Currency.getDecimals('JPY'), 0);
+  assert.equal(Currency.getDecimals('KRW'), 0);
+  assert.equal(Currency.getDecimals('KWD'), 3);
+  assert.equal(Currency.getDecimals(''), 2);
+  assert.equal(Currency.getDecimals('not a currency'), 2);
+
+  assert.equal(Currency.fromMinorUnits(12345, 'GBP'), 123.45);
+  assert.equal(Currency.fromMinorUnits(12345, 'JPY'), 12345);
+  assert.equal(Currency.fromMinorUnits(12345, 'KWD'), 12.345);
+  assert.equal(Currency.fromMinorUnits(12345), 123.45);
+  assert.equal(Currency.fromMinorUnits(0, 'GBP'), 0);
+  assert.equal(Currency.fromMinorUnits(null, 'GBP'), 0);
+  assert.equal(Currency.fromMinorUnits('abc', 'GBP'), 0);
+});
+
+test('amounts are formatted for the locale and currency', () => {
+  assert.equal(Currency.format(1250, 'GBP'), '£1,250.00');
+  assert.equal(Currency.format('1250', 'GBP'), '£1,250.00');
+  assert.match(Currency.format(50, 'BND'), /^BND\s50\.00$/);
+  assert.match(Currency.format(500, 'JPY'), /500$/);
+  assert.doesNotMatch(Currency.format(500, 'JPY'), /\./);
+  assert.match(Currency.format(1250, 'EUR', 'de-DE'), /^1\.250,00\s€$/);
+});
+
+test('formatting without a usable currency still gives two decimals', () => {
+  assert.equal(Currency.format(7), '7.00');
+  assert.equal(Currency.format(undefined, 'GBP'), '£0.00');
+  assert.equal(Currency.format(7, 'XYZ1'), 'XYZ1 7.00');
+});
+
+test('conversion goes through the base currency', () => {
+  useRates('GBP', { bnd: 0.57, USD: 0.79 });
+
+  assert.equal(Currency.convert(100, 'BND', 'GBP'), 57);
+  assert.equal(Currency.convert(100, 'GBP', 'USD'), 126.58);
+  assert.equal(Currency.convert(100, 'BND', 'USD'), 72.15);
+});
+
+test('conversion leaves matching or unknown currencies alone', () => {
+  useRates('GBP', { USD: 0.79 });
+
+  assert.equal(Currency.convert(100, 'usd', 'USD'), 100);
+  assert.equal(Currency.convert(100, '', 'USD'), 100);
+  assert.equal(Currency.convert(100, 'USD', undefined), 100);
+  assert.equal(Currency.convert(null, 'USD', 'GBP'), null);
+});
+
+test('conversion without a rate returns null', () => {
+  useRates('GBP', { USD: 0.79 });
+
+  assert.equal(Currency.convert(100, 'BND', 'GBP'), null);
+  assert.equal(Currency.convert(100, 'USD', 'BND'), null);
+});
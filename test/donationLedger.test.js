@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer } = require('../scripts/mock-storyblok-server');
+
+let server;
+let mock;
+let storyblokService;
+// Story ids whose next update the mock server rejects, to stop a donation partway
+const failNextUpdate = new Set();
+
+function donation(uuid, profileUuid, amount) {
+  return {
+    uuid,
+    profileUuid,
+    amount,
+    currency: 'AUD',
+    donorName: 'Donor',
+    anonymous: false,
+    message: '',
+    status: 'OK',
+    createdAt: new Date().toISOString(),
+    profileTotal: null,
+    parentTotal: null,
+    campaignTotal: null
+  };
+}
+
+// The stored content of the seeded story with the given raisely_id
+function contentOf(raiselyId) {
+  return Array.from(mock.stories.values()).find(story => story.content?.raisely_id === raiselyId).content;
+}
+
+before(async () => {
+  mock = createMockServer({ fundraisers: 3 });
+  const express = require('express');
+  const app = express();
+  app.put('/v1/spaces/:spaceId/stories/:id', (req, res, next) => {
+    const id = parseInt(req.params.id, 10);
+    if (failNextUpdate.delete(id)) {
+      return res.status(422).json({ error: 'Rejected by test' });
+    }
+    next();
+  });
+  app.use(mock.app);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+
+  Object.assign(process.env, {
+    STORYBLOK_ACCESS_TOKEN: 'test-token',
+    STORYBLOK_SPACE_ID: '1',
+    STORYBLOK_API_URL: `http://localhost:${server.address().port}/v1`,
+    STORYBLOK_REQUESTS_PER_SECOND: '1000',
+    STORY_INDEX_BACKEND: 'memory',
+    STORE_BACKEND: 'memory',
+    QUEUE_BACKEND: 'memory',
+    ASSET_UPLOADS: 'false',
+    // Node 20's test runner can fail to read this file's pretty (emoji) log lines back from the child
+    LOG_FORMAT: 'json'
+  });
+
+  storyblokService = require('../src/services/storyblokService');
+});
+
+after(() => {
+  server.close();
+});
+
+test('a donation delivered twice is only counted once', async () => {
+  const first = await storyblokService.applyDonation(donation('donation-1', 'seed-1', 25), 'donation.succeeded');
+  assert.equal(first.delta, 25);
+
+  const second = await storyblokService.applyDonation(donation('donation-1', 'seed-1', 25), 'donation.succeeded');
+  assert.equal(second.delta, 0);
+
+  // donation.created after donation.succeeded is the same donation too
+  const third = await storyblokService.applyDonation(donation('donation-1', 'seed-1', 25), 'donation.created');
+  assert.equal(third.delta, 0);
+
+  assert.equal(contentOf('seed-1').raised_amount, 25);
+});
+
+test('a refund takes the counted amount off exactly once', async () => {
+  await storyblokService.applyDonation(donation('donation-2', 'seed-1', 10), 'donation.succeeded');
+  assert.equal(contentOf('seed-1').raised_amount, 35);
+
+  // Refunds reverse what was counted, whatever amount the refund event carries
+  const refund = await storyblokService.applyDonation(donation('donation-2', 'seed-1', 999), 'donation.refunded');
+  assert.equal(refund.delta, -10);
+  assert.equal(contentOf('seed-1').raised_amount, 25);
+
+  const again = await storyblokService.applyDonation(donation('donation-2', 'seed-1', 10), 'donation.refunded');
+  assert.equal(again.delta, 0);
+  assert.equal(contentOf('seed-1').raised_amount, 25);
+
+  // A refund for a donation that was never counted changes nothing
+  const unknown = await storyblokService.applyDonation(donation('donation-unknown', 'seed-1', 5), 'donation.refunded');
+  assert.equal(unknown.delta, 0);
+  assert.equal(contentOf('seed-1').raised_amount, 25);
+});
+
+test('a donation that failed partway resumes without counting twice', async () => {
+  const response = await storyblokService.client.post('spaces/1/stories', {
+    story: { name: 'Ledger Team', slug: 'ledger-team', content: { component: 'team', raisely_id: 'ledger-team', raised_amount: 100 } }
+  });
+  const team = response.data.story;
+  contentOf('seed-2').team = [team.uuid];
+
+  failNextUpdate.add(team.id);
+  await assert.rejects(storyblokService.applyDonation(donation('donation-3', 'seed-2', 40), 'donation.succeeded'));
+
+  // The fundraiser was updated and ticked off before the team update failed
+  assert.equal(contentOf('seed-2').raised_amount, 40);
+  assert.equal(contentOf('ledger-team').raised_amount, 100);
+  const claimed = await storyblokService.donationLedger.get('donation-3');
+  assert.equal(claimed.pending, 'apply');
+  assert.deepEqual(claimed.done, ['profile']);
+
+  const resumed = await storyblokService.applyDonation(donation('donation-3', 'seed-2', 40), 'donation.succeeded');
+  assert.equal(resumed.delta, 40);
+  assert.equal(contentOf('seed-2').raised_amount, 40);
+  assert.equal(contentOf('ledger-team').raised_amount, 140);
+
+  const settled = await storyblokService.donationLedger.get('donation-3');
+  assert.equal(settled.applied, true);
+  assert.equal(settled.pending, undefined);
+
+  const redelivered = await storyblokService.applyDonation(donation('donation-3', 'seed-2', 40), 'donation.succeeded');
+  assert.equal(redelivered.delta, 0);
+  assert.equal(contentOf('ledger-team').raised_amount, 140);
+});
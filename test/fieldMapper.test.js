@@ -0,0 +1,106 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FieldMapper = require('../src/utils/fieldMapper');
+
+// Use a mapping for the next mapProfile calls, as if it had been loaded from FIELD_MAPPING_PATH
+function useMapping(mapping) {
+  FieldMapper._mapping = FieldMapper.validateMapping(mapping, 'test');
+}
+
+afterEach(() => {
+  FieldMapper._mapping = null;
+});
+
+test('fields the sync writes cannot be mapped', () => {
+  for (const field of ['component', 'name', 'raised_amount', 'team', 'leaderboard', 'removed_at']) {
+    assert.throws(
+      () => FieldMapper.validateMapping({ individual: { [field]: { from: 'x' } } }, 'test'),
+      new RegExp(`individual\\.${field} is managed by the sync`)
+    );
+  }
+  assert.throws(
+    () => FieldMapper.validateMapping({ team: { currency: { from: 'x' } } }, 'test'),
+    /team\.currency is managed by the sync/
+  );
+});
+
+test('a mapping without a from path or with an unknown transform is rejected', () => {
+  assert.throws(() => FieldMapper.validateMapping({ individual: { distance: {} } }, 'test'), /needs a "from" path/);
+  assert.throws(
+    () => FieldMapper.validateMapping({ individual: { distance: { from: 'x', transform: 'miles' } } }, 'test'),
+    /unknown transform "miles"/
+  );
+});
+
+test('the bundled mapping is valid', () => {
+  const mapping = FieldMapper.getMapping();
+  assert.ok(Object.keys(mapping.individual).length > 0);
+  assert.ok(Object.keys(mapping.team).length > 0);
+});
+
+test('from paths are tried in order and the first with a value wins', () => {
+  useMapping({
+    individual: {
+      distance: { from: ['public.distance', 'public.raceDistance', 'distance'], transform: 'string' }
+    }
+  });
+
+  assert.deepEqual(FieldMapper.mapProfile({ public: { distance: 5, raceDistance: 10 }, distance: 21 }), { distance: '5' });
+  assert.deepEqual(FieldMapper.mapProfile({ public: { distance: '', raceDistance: 10 }, distance: 21 }), { distance: '10' });
+  assert.deepEqual(FieldMapper.mapProfile({ public: { distance: null }, distance: 21 }), { distance: '21' });
+});
+
+test('the default is used when no path has a value or the transform yields nothing', () => {
+  useMapping({
+    individual: {
+      laps: { from: 'laps', transform: 'number', default: 0 },
+      nickname: { from: 'public.nickname' }
+    }
+  });
+
+  assert.deepEqual(FieldMapper.mapProfile({}), { laps: 0 });
+  assert.deepEqual(FieldMapper.mapProfile({ laps: 'lots' }), { laps: 0 });
+  assert.deepEqual(FieldMapper.mapProfile({ laps: '12', public: { nickname: 'Speedy' } }), { laps: 12, nickname: 'Speedy' });
+});
+
+test('a transform that throws falls back to the default and the rest still map', () => {
+  useMapping({
+    transforms: {
+      upper: value => value.toUpperCase()
+    },
+    individual: {
+      shout: { from: 'shout', transform: 'upper', default: 'quiet' },
+      city: { from: 'public.city', transform: 'upper' }
+    }
+  });
+
+  assert.deepEqual(FieldMapper.mapProfile({ shout: 42, public: { city: 'perth' } }), { shout: 'quiet', city: 'PERTH' });
+});
+
+test('individual and team sections map separately', () => {
+  useMapping({
+    individual: { distance: { from: 'distance' } },
+    team: { members: { from: 'memberCount', transform: 'number' } }
+  });
+
+  const profile = { distance: '10k', memberCount: '4' };
+  assert.deepEqual(FieldMapper.mapProfile(profile, 'individual'), { distance: '10k' });
+  assert.deepEqual(FieldMapper.mapProfile(profile, 'team'), { members: 4 });
+});
+
+test('built-in transforms', () => {
+  const { TRANSFORMS } = FieldMapper;
+
+  assert.equal(TRANSFORMS.centsToUnits(12345, { currency: 'AUD' }), 123.45);
+  assert.equal(TRANSFORMS.centsToUnits(12345, { campaign: { currency: 'JPY' } }), 12345);
+  assert.equal(TRANSFORMS.boolean('true'), true);
+  assert.equal(TRANSFORMS.boolean('yes'), false);
+  assert.equal(TRANSFORMS.date('2024-03-05T09:30:45Z'), '2024-03-05 09:30');
+  assert.equal(TRANSFORMS.date('not a date'), null);
+  assert.deepEqual(TRANSFORMS.asset('https://img.example/a.png'), {
+    fieldtype: 'asset',
+    filename: 'https://img.example/a.png',
+    alt: '',
+    name: ''
+  });
+});
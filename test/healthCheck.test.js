@@ -0,0 +1,157 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer } = require('../scripts/mock-storyblok-server');
+
+let server;
+let mock;
+let HealthCheck;
+let storyblokClient;
+let env;
+
+const createFolder = async (name, slug) => {
+  const response = await storyblokClient.post('spaces/1/stories', { story: { name, slug, is_folder: true } });
+  return response.data.story;
+};
+
+before(async () => {
+  // Seeding a fundraiser creates the fundraisers root folder, but not events
+  mock = createMockServer({ fundraisers: 1 });
+  await new Promise(resolve => {
+    server = mock.app.listen(0, resolve);
+  });
+
+  Object.assign(process.env, {
+    STORYBLOK_ACCESS_TOKEN: 'test-token',
+    STORYBLOK_SPACE_ID: '1',
+    STORYBLOK_API_URL: `http://localhost:${server.address().port}/v1`,
+    STORYBLOK_REQUESTS_PER_SECOND: '1000',
+    STORY_INDEX_BACKEND: 'memory',
+    STORE_BACKEND: 'memory',
+    QUEUE_BACKEND: 'memory',
+    DELIVERY_LOG_BACKEND: 'memory',
+    RAISELY_WEBHOOK_SECRET: 'secret',
+    LOG_FORMAT: 'json'
+  });
+  env = { ...process.env };
+
+  storyblokClient = require('../src/services/storyblokClient');
+  // The module exports a shared instance; build fresh ones from its class
+  HealthCheck = require('../src/services/healthCheck').constructor;
+});
+
+after(() => {
+  server.close();
+});
+
+// Put back the variables a test changed or removed
+afterEach(() => {
+  for (const key of Object.keys(process.env)) {
+    if (!(key in env)) {
+      delete process.env[key];
+    }
+  }
+  Object.assign(process.env, env);
+});
+
+test('a complete configuration is valid', () => {
+  assert.deepEqual(new HealthCheck().validateConfig(), { status: 'ok', errors: [], warnings: [] });
+});
+
+test('configuration problems are reported together', () => {
+  delete process.env.STORYBLOK_ACCESS_TOKEN;
+  process.env.STORYBLOK_SPACE_ID = 'my-space';
+  process.env.STORYBLOK_API_URL = 'mapi.storyblok.com';
+  process.env.QUEUE_BACKEND = 'redis';
+  process.env.STORE_BACKEND = 'upstash';
+  delete process.env.RAISELY_WEBHOOK_SECRET;
+
+  const config = new HealthCheck().validateConfig();
+  assert.equal(config.status, 'fail');
+  assert.deepEqual(config.errors, [
+    'STORYBLOK_ACCESS_TOKEN is not set',
+    'STORYBLOK_SPACE_ID must be the numeric space id, got "my-space"',
+    'STORYBLOK_API_URL is not a URL: "mapi.storyblok.com"',
+    'QUEUE_BACKEND must be one of file, memory, upstash, got "redis"',
+    'STORE_BACKEND=upstash needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN'
+  ]);
+  assert.equal(config.warnings.length, 1);
+  assert.match(config.warnings[0], /webhooks are not authenticated/);
+});
+
+test('checks that depend on an invalid configuration are skipped', async () => {
+  delete process.env.STORYBLOK_SPACE_ID;
+
+  const result = await new HealthCheck({ cacheSeconds: 0 }).check();
+  assert.equal(result.status, 'not_ready');
+  assert.equal(result.checks.config.status, 'fail');
+  assert.deepEqual(result.checks.storyblok, { status: 'skipped', message: 'Configuration is invalid' });
+  assert.equal(result.checks.folders.status, 'skipped');
+  assert.equal(result.checks.components.status, 'skipped');
+});
+
+test('a missing root folder or component makes the service not ready', async () => {
+  const definitions = mock.components;
+  const [eventId] = [...definitions.entries()].find(([, component]) => component.name === 'event');
+  const eventComponent = definitions.get(eventId);
+  definitions.delete(eventId);
+
+  const result = await new HealthCheck({ cacheSeconds: 0 }).check();
+  definitions.set(eventId, eventComponent);
+
+  assert.equal(result.status, 'not_ready');
+  assert.equal(result.checks.storyblok.status, 'ok');
+  assert.deepEqual(result.checks.storyblok.space, { id: 1, name: 'Mock space' });
+  assert.equal(result.checks.folders.status, 'fail');
+  assert.equal(result.checks.folders.roots.fundraisers.status, 'ok');
+  assert.deepEqual(result.checks.folders.roots.events, { status: 'fail', slug: 'events', message: 'Folder "events" not found' });
+  assert.equal(result.checks.components.status, 'fail');
+  assert.deepEqual(result.checks.components.missing, ['event']);
+  assert.equal(result.checks.components.message, 'Missing components: event');
+});
+
+test('a story where a root folder should be is reported', async () => {
+  const response = await storyblokClient.post('spaces/1/stories', { story: { name: 'Events', slug: 'events', content: { component: 'event' } } });
+
+  const result = await new HealthCheck({ cacheSeconds: 0 }).check();
+  mock.stories.delete(response.data.story.id);
+
+  assert.deepEqual(result.checks.folders.roots.events, { status: 'fail', slug: 'events', message: '"events" is a story, not a folder' });
+});
+
+test('the service is ready once the folders and components exist', async () => {
+  await createFolder('Events', 'events');
+
+  const result = await new HealthCheck({ cacheSeconds: 0 }).check();
+  assert.equal(result.status, 'ready');
+  for (const check of ['config', 'storyblok', 'folders', 'components']) {
+    assert.equal(result.checks[check].status, 'ok', check);
+  }
+  assert.equal(typeof result.checks.storyblok.durationMs, 'number');
+});
+
+test('results are cached between probes', async () => {
+  const healthCheck = new HealthCheck({ cacheSeconds: 60 });
+
+  const first = await healthCheck.check();
+  const second = await healthCheck.check();
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.equal(second.timestamp, first.timestamp);
+});
+
+test('slow checks time out and Storyblok errors are explained', async () => {
+  const healthCheck = new HealthCheck({ timeoutMs: 20 });
+
+  const slow = await healthCheck.timed(() => new Promise(() => {}));
+  assert.equal(slow.status, 'fail');
+  assert.equal(slow.message, 'Timed out after 20ms');
+
+  const rejected = await healthCheck.timed(async () => {
+    throw Object.assign(new Error('Request failed'), { response: { status: 401 } });
+  });
+  assert.equal(rejected.httpStatus, 401);
+  assert.match(rejected.message, /rejected STORYBLOK_ACCESS_TOKEN/);
+
+  assert.equal(healthCheck.describeError({ message: 'x', response: { status: 404 } }), 'Storyblok space 1 not found');
+  assert.equal(healthCheck.describeError(new Error('socket hang up')), 'socket hang up');
+});
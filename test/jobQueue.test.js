@@ -0,0 +1,122 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let JobQueue;
+let QueueWorker;
+let MemoryBackend;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+before(() => {
+  process.env.QUEUE_BACKEND = 'memory';
+  process.env.STORE_BACKEND = 'memory';
+
+  // The modules export shared instances; build fresh ones from their classes for each test
+  JobQueue = require('../src/services/jobQueue').constructor;
+  QueueWorker = require('../src/services/queueWorker').constructor;
+  MemoryBackend = require('../src/services/queueBackends').MemoryBackend;
+});
+
+test('backoff grows exponentially with jitter and stops at the cap', () => {
+  const queue = new JobQueue(new MemoryBackend(), { backoffBaseMs: 1000, backoffMaxMs: 10000 });
+
+  for (let attempt = 1; attempt <= 8; attempt++) {
+    const ceiling = Math.min(10000, 1000 * Math.pow(2, attempt - 1));
+    for (let i = 0; i < 20; i++) {
+      const delay = queue.getBackoffDelay(attempt);
+      assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms outside ${ceiling / 2}-${ceiling}ms`);
+    }
+  }
+});
+
+test('a failed job is retried once its backoff has passed', async () => {
+  const queue = new JobQueue(new MemoryBackend(), { maxAttempts: 3, backoffBaseMs: 40, backoffMaxMs: 40 });
+  const job = await queue.enqueue('test', { n: 1 });
+
+  const claimed = await queue.claimNext();
+  assert.equal(claimed.id, job.id);
+  assert.equal(await queue.claimNext(), null, 'a claimed job is leased to one worker');
+
+  const { deadLettered, job: failed } = await queue.fail(claimed, new Error('Storyblok down'));
+  assert.equal(deadLettered, false);
+  assert.equal(failed.attempts, 1);
+  assert.equal(failed.status, 'pending');
+  assert.equal(failed.lastError.message, 'Storyblok down');
+  assert.ok(failed.runAt > Date.now());
+
+  assert.equal(await queue.claimNext(), null, 'not due until the backoff has passed');
+  await wait(50);
+  const retried = await queue.claimNext();
+  assert.equal(retried?.id, job.id);
+  assert.equal(retried.attempts, 1);
+
+  await queue.complete(retried);
+  assert.equal(await queue.depth(), 0);
+});
+
+test('a job that runs out of attempts is dead-lettered and can be requeued', async () => {
+  const queue = new JobQueue(new MemoryBackend(), { maxAttempts: 2, backoffBaseMs: 1, backoffMaxMs: 1 });
+  const job = await queue.enqueue('test', { n: 2 });
+
+  await queue.fail(await queue.claimNext(), new Error('first'));
+  await wait(5);
+  const outcome = await queue.fail(await queue.claimNext(), Object.assign(new Error('second'), { response: { status: 503 } }));
+
+  assert.equal(outcome.deadLettered, true);
+  assert.equal(outcome.job.status, 'dead');
+  assert.equal(outcome.job.lastError.status, 503);
+  assert.equal(await queue.depth(), 0);
+  assert.deepEqual((await queue.listDeadLetters()).map(dead => dead.id), [job.id]);
+
+  const requeued = await queue.requeueDeadLetter(job.id);
+  assert.equal(requeued.attempts, 0);
+  assert.equal(requeued.status, 'pending');
+  assert.equal(await queue.depth(), 1);
+  assert.deepEqual(await queue.listDeadLetters(), []);
+  assert.equal(await queue.requeueDeadLetter('unknown'), null);
+});
+
+test('the worker runs handlers, retries failures and calls the dead-letter hook', async () => {
+  const queue = new JobQueue(new MemoryBackend(), { maxAttempts: 2, backoffBaseMs: 40, backoffMaxMs: 40 });
+  const worker = new QueueWorker(queue);
+  const deadLettered = [];
+  let calls = 0;
+
+  worker.register('flaky', async () => {
+    calls++;
+    if (calls === 1) {
+      throw new Error('flaky');
+    }
+  });
+  worker.register('broken', async () => {
+    throw new Error('broken');
+  }, {
+    onDeadLetter: async (payload, job) => deadLettered.push({ payload, attempts: job.attempts })
+  });
+
+  await queue.enqueue('flaky', {});
+  await queue.enqueue('broken', { id: 'b' });
+  await queue.enqueue('unregistered', {});
+
+  const first = await worker.drain();
+  assert.deepEqual(first, { processed: 3, succeeded: 0, retried: 3, deadLettered: 0 });
+
+  await wait(50);
+  const second = await worker.drain();
+  assert.deepEqual(second, { processed: 3, succeeded: 1, retried: 0, deadLettered: 2 });
+  assert.deepEqual(deadLettered, [{ payload: { id: 'b' }, attempts: 2 }]);
+  assert.equal(await queue.depth(), 0);
+});
+
+test('a drain stops at its job limit', async () => {
+  const queue = new JobQueue(new MemoryBackend());
+  const worker = new QueueWorker(queue);
+  worker.register('test', async () => {});
+
+  for (let i = 0; i < 3; i++) {
+    await queue.enqueue('test', { i });
+  }
+
+  assert.equal((await worker.drain({ maxJobs: 2 })).processed, 2);
+  assert.equal(await queue.depth(), 1);
+});
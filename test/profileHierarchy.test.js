@@ -0,0 +1,104 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const ProfileHierarchy = require('../src/utils/profileHierarchy');
+
+let RaiselyService;
+
+const campaign = () => ({ uuid: 'camp', name: 'City Run', type: 'GROUP', isCampaignProfile: true });
+const organisation = parent => ({ uuid: 'org', name: 'Acme', path: 'acme', type: 'ORGANISATION', parent });
+const team = parent => ({ uuid: 'team', name: 'Runners', path: 'runners', type: 'GROUP', parent });
+
+before(() => {
+  process.env.LOG_FORMAT = 'json';
+
+  // The module exports a shared instance; build fresh ones from its class
+  RaiselyService = require('../src/services/raiselyService').constructor;
+});
+
+test('profiles are classified by type and campaign flag', () => {
+  assert.equal(ProfileHierarchy.getKind(campaign()), 'campaign');
+  assert.equal(ProfileHierarchy.getKind(organisation()), 'organisation');
+  assert.equal(ProfileHierarchy.getKind(team()), 'team');
+  assert.equal(ProfileHierarchy.getKind({ type: 'INDIVIDUAL' }), 'individual');
+  assert.equal(ProfileHierarchy.getKind(null), null);
+
+  assert.equal(ProfileHierarchy.isGroup(team()), true);
+  assert.equal(ProfileHierarchy.isGroup(organisation()), true);
+  assert.equal(ProfileHierarchy.isGroup(campaign()), false);
+});
+
+test('ancestors are listed nearest first through nested groups', () => {
+  const individual = { uuid: 'ada', name: 'Ada', parent: team(organisation(campaign())) };
+
+  assert.deepEqual(ProfileHierarchy.getAncestors(individual).map(a => a.uuid), ['team', 'org', 'camp']);
+  assert.equal(ProfileHierarchy.findAncestor(individual, 'organisation').uuid, 'org');
+  assert.equal(ProfileHierarchy.findAncestor(individual, ancestor => ProfileHierarchy.isGroup(ancestor)).uuid, 'team');
+  assert.equal(ProfileHierarchy.findAncestor({ uuid: 'solo' }, 'team'), null);
+
+  assert.deepEqual(ProfileHierarchy.getGroupAncestors(individual), [
+    { name: 'Runners', path: 'runners', kind: 'team', raiselyId: 'team' },
+    { name: 'Acme', path: 'acme', kind: 'organisation', raiselyId: 'org' }
+  ]);
+});
+
+test('a chain that loops back on itself yields each ancestor once', () => {
+  const a = { uuid: 'a', type: 'GROUP' };
+  const b = { uuid: 'b', type: 'GROUP', parent: a };
+  a.parent = b;
+  assert.deepEqual(ProfileHierarchy.getAncestors(a).map(x => x.uuid), ['b']);
+
+  const self = { uuid: 'self', type: 'GROUP' };
+  self.parent = self;
+  assert.deepEqual(ProfileHierarchy.getAncestors(self), []);
+
+  // Separate copies of the same profile are caught by uuid
+  const individual = { uuid: 'ada', parent: { uuid: 't1', parent: { uuid: 't2', parent: { uuid: 't1', parent: { uuid: 't2' } } } } };
+  assert.deepEqual(ProfileHierarchy.getAncestors(individual).map(x => x.uuid), ['t1', 't2']);
+
+  const looped = { uuid: 'ada', parent: { uuid: 't1', parent: { uuid: 'ada' } } };
+  assert.deepEqual(ProfileHierarchy.getAncestors(looped).map(x => x.uuid), ['t1']);
+});
+
+test('very long chains stop at the depth cap', () => {
+  let profile = { name: 'root' };
+  for (let i = 0; i < ProfileHierarchy.MAX_DEPTH + 10; i++) {
+    profile = { name: `level-${i}`, parent: profile };
+  }
+  assert.equal(ProfileHierarchy.getAncestors(profile).length, ProfileHierarchy.MAX_DEPTH);
+});
+
+test('the campaign comes from the payload, then the chain, then the path', () => {
+  const individual = { uuid: 'ada', parent: team(organisation(campaign())) };
+
+  assert.equal(ProfileHierarchy.getCampaignName({ ...individual, campaign: { name: 'Explicit', uuid: 'c-1' } }), 'Explicit');
+  assert.equal(ProfileHierarchy.getCampaignName({ campaign: 'Plain' }), 'Plain');
+  assert.equal(ProfileHierarchy.getCampaignName({ campaignName: 'Named' }), 'Named');
+  assert.equal(ProfileHierarchy.getCampaignName(individual), 'City Run');
+  assert.equal(ProfileHierarchy.getCampaignName({ parent: { name: 'Top Team', type: 'GROUP' } }), 'Top Team');
+  assert.equal(ProfileHierarchy.getCampaignName({ path: 'spring-walk/ada' }), 'spring-walk');
+  assert.equal(ProfileHierarchy.getCampaignName({ path: 'ada' }), 'Default Campaign');
+
+  assert.equal(ProfileHierarchy.getCampaignId({ campaignUuid: 'c-0' }), 'c-0');
+  assert.equal(ProfileHierarchy.getCampaignId({ ...individual, campaign: { uuid: 'c-1' } }), 'c-1');
+  assert.equal(ProfileHierarchy.getCampaignId(individual), 'camp');
+  assert.equal(ProfileHierarchy.getCampaignId({ campaign: 'Plain' }), '');
+});
+
+test('parent chains rebuilt from the bulk API stop where they would loop', () => {
+  const raiselyService = new RaiselyService();
+  const groups = [
+    { uuid: 'camp', name: 'City Run', type: 'GROUP', isCampaignProfile: true },
+    { uuid: 'org', name: 'Acme', type: 'ORGANISATION', parentUuid: 'camp' },
+    { uuid: 'team', name: 'Runners', type: 'GROUP', parentUuid: 'org' },
+    { uuid: 'a', name: 'Loop A', type: 'GROUP', parentUuid: 'b' },
+    { uuid: 'b', name: 'Loop B', type: 'GROUP', parentUuid: 'a' }
+  ];
+  groups.forEach(group => raiselyService._groupsByUuid.set(group.uuid, group));
+
+  const member = raiselyService.attachParent({ uuid: 'ada', type: 'INDIVIDUAL', parentUuid: 'team' });
+  assert.deepEqual(ProfileHierarchy.getAncestors(member).map(a => a.uuid), ['team', 'org', 'camp']);
+
+  const looped = raiselyService.attachParent({ uuid: 'bo', type: 'INDIVIDUAL', parentUuid: 'a' });
+  assert.deepEqual(ProfileHierarchy.getAncestors(looped).map(a => a.uuid), ['a', 'b']);
+  assert.equal(groups[4].parent, undefined, 'the link that would close the loop is left off');
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer } = require('../scripts/mock-storyblok-server');
+
+let server;
+let mock;
+let storyblokService;
+
+// The seeded story with the given raisely_id, as the mock server stores it
+function storyOf(raiselyId) {
+  return Array.from(mock.stories.values()).find(story => story.content?.raisely_id === raiselyId) || null;
+}
+
+function profile(i) {
+  return { name: `Fundraiser ${i}`, campaign: 'Seed Campaign', path: `fundraiser-${i}`, raiselyId: `seed-${i}` };
+}
+
+async function createTeam(name, members) {
+  const response = await storyblokService.client.post('spaces/1/stories', {
+    story: {
+      name,
+      slug: storyblokService.createSlug(name),
+      content: { component: 'fundraiser', is_team: true, raisely_id: storyblokService.createSlug(name), team: members }
+    }
+  });
+  return response.data.story;
+}
+
+before(async () => {
+  mock = createMockServer({ fundraisers: 6 });
+  await new Promise(resolve => {
+    server = mock.app.listen(0, resolve);
+  });
+
+  Object.assign(process.env, {
+    STORYBLOK_ACCESS_TOKEN: 'test-token',
+    STORYBLOK_SPACE_ID: '1',
+    STORYBLOK_API_URL: `http://localhost:${server.address().port}/v1`,
+    STORYBLOK_REQUESTS_PER_SECOND: '1000',
+    STORY_INDEX_BACKEND: 'memory',
+    STORE_BACKEND: 'memory',
+    QUEUE_BACKEND: 'memory',
+    ASSET_UPLOADS: 'false',
+    LOG_FORMAT: 'json'
+  });
+
+  storyblokService = require('../src/services/storyblokService');
+});
+
+after(() => {
+  server.close();
+});
+
+test('unpublish keeps the story, stamps removed_at and records the removal', async () => {
+  storyOf('seed-1').published = true;
+
+  const result = await storyblokService.removeProfile(profile(1), { policy: 'unpublish' });
+  assert.equal(result.action, 'unpublished');
+
+  const story = storyOf('seed-1');
+  assert.equal(story.published, false);
+  assert.ok(story.content.removed_at);
+  assert.equal(story.parent_id, result.story.parent_id);
+
+  const logged = await storyblokService.removalLog.get('seed-1');
+  assert.equal(logged.action, 'unpublished');
+  assert.equal(logged.storyId, story.id);
+});
+
+test('archive moves the story into the archive folder under a unique slug', async () => {
+  const result = await storyblokService.removeProfile(profile(2), { policy: 'archive', eventType: 'profile.archived' });
+  assert.equal(result.action, 'archived');
+
+  const story = storyOf('seed-2');
+  const folder = mock.stories.get(story.parent_id);
+  assert.equal(folder.slug, 'archive');
+  assert.equal(story.slug, `fundraiser-2-${story.id}`);
+  assert.ok(story.content.removed_at);
+  assert.equal((await storyblokService.removalLog.get('seed-2')).eventType, 'profile.archived');
+});
+
+test('delete removes the story', async () => {
+  const id = storyOf('seed-3').id;
+
+  const result = await storyblokService.removeProfile(profile(3), { policy: 'delete' });
+  assert.equal(result.action, 'deleted');
+  assert.equal(mock.stories.has(id), false);
+});
+
+test('a removed individual is taken off every team it references', async () => {
+  const member = storyOf('seed-4');
+  const other = storyOf('seed-5');
+  const teamA = await createTeam('Removal Team A', [member.uuid, other.uuid]);
+  const teamB = await createTeam('Removal Team B', [member.uuid]);
+  member.content.team = [teamA.uuid, teamB.uuid];
+
+  const result = await storyblokService.removeProfile(profile(4), { policy: 'unpublish' });
+  assert.deepEqual(result.removedFromTeams.sort(), [teamA.uuid, teamB.uuid].sort());
+  assert.deepEqual(mock.stories.get(teamA.id).content.team, [other.uuid]);
+  assert.deepEqual(mock.stories.get(teamB.id).content.team, []);
+});
+
+test('removing an unknown profile or with an unknown policy does nothing', async () => {
+  const missing = await storyblokService.removeProfile(
+    { name: 'Nobody', campaign: 'Seed Campaign', path: 'nobody', raiselyId: 'nobody' },
+    { policy: 'delete' }
+  );
+  assert.deepEqual(missing, { action: 'not_found', story: null, removedFromTeams: [] });
+
+  await assert.rejects(storyblokService.removeProfile(profile(6), { policy: 'shred' }), /Unknown removal policy/);
+  assert.ok(storyOf('seed-6'));
+});
@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer } = require('../scripts/mock-storyblok-server');
+
+// More than a few pages at the API's 100-per-page cap, with filler folders listed ahead of the campaign
+const FOLDERS = 150;
+const FUNDRAISERS = 350;
+
+let server;
+let requests = [];
+let storyblokService;
+let storyIndex;
+
+// Story listing requests made while running fn
+async function countListings(fn) {
+  requests = [];
+  const result = await fn();
+  return { result, listings: requests.filter(url => /\/stories(\?|$)/.test(url)).length };
+}
+
+before(async () => {
+  const mock = createMockServer({ folders: FOLDERS, fundraisers: FUNDRAISERS });
+  const express = require('express');
+  const app = express();
+  app.use((req, res, next) => {
+    requests.push(req.path);
+    next();
+  });
+  app.use(mock.app);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+
+  Object.assign(process.env, {
+    STORYBLOK_ACCESS_TOKEN: 'test-token',
+    STORYBLOK_SPACE_ID: '1',
+    STORYBLOK_API_URL: `http://localhost:${server.address().port}/v1`,
+    STORYBLOK_REQUESTS_PER_SECOND: '1000',
+    STORY_INDEX_BACKEND: 'memory',
+    STORE_BACKEND: 'memory',
+    QUEUE_BACKEND: 'memory',
+    ASSET_UPLOADS: 'false'
+  });
+
+  storyblokService = require('../src/services/storyblokService');
+  storyIndex = require('../src/services/storyIndex');
+});
+
+after(() => {
+  server.close();
+});
+
+test('listAllStories follows pagination past the first page', async () => {
+  const { result, listings } = await countListings(() =>
+    storyblokService.listAllStories({ starts_with: 'fundraisers/seed-campaign/' })
+  );
+
+  const fundraisers = result.filter(story => !story.is_folder);
+  assert.equal(fundraisers.length, FUNDRAISERS);
+  assert.equal(new Set(result.map(story => story.id)).size, result.length);
+  assert.equal(listings, Math.ceil(result.length / 100));
+});
+
+test('findStory stops at the page holding the match', async () => {
+  const { result, listings } = await countListings(() =>
+    storyblokService.findStory({}, story => story.full_slug === 'fundraisers')
+  );
+
+  assert.equal(result?.is_folder, true);
+  // The root folder comes straight after the filler folders, so it is on page two of six
+  assert.equal(listings, 2);
+});
+
+test('findStoryBySlug finds a story deep in a large folder, then serves it from the index', async () => {
+  const slug = `fundraisers/seed-campaign/fundraiser-${FUNDRAISERS - 1}`;
+
+  const first = await countListings(() => storyblokService.findStoryBySlug(slug));
+  assert.equal(first.result?.full_slug, slug);
+  assert.equal(first.listings, 1);
+
+  const second = await countListings(() => storyblokService.findStoryBySlug(slug));
+  assert.equal(second.result?.id, first.result.id);
+  assert.equal(second.listings, 0);
+});
+
+test('findStoryByRaiselyId finds a story by its stored id, then looks it up through the index', async () => {
+  const story = await storyblokService.findStoryByRaiselyId('seed-275');
+  assert.equal(story?.content?.raisely_id, 'seed-275');
+  assert.equal(story.full_slug, 'fundraisers/seed-campaign/fundraiser-275');
+
+  const { result, listings } = await countListings(() =>
+    storyblokService.findStoryByRaiselyId('seed-275', { withContent: false })
+  );
+  assert.equal(result?.id, story.id);
+  assert.equal(listings, 0);
+});
+
+test('findStoryByRaiselyId returns null for an unknown profile', async () => {
+  assert.equal(await storyblokService.findStoryByRaiselyId('not-a-profile'), null);
+});
+
+test('a warmed index answers slug lookups for every story without listing requests', async () => {
+  const indexed = await storyblokService.warmStoryIndex();
+  assert.equal(indexed, FOLDERS + 3 + FUNDRAISERS);
+
+  const { result, listings } = await countListings(() => Promise.all(
+    [1, 100, 101, 200, FUNDRAISERS].map(i => storyblokService.findStoryBySlug(`fundraisers/seed-campaign/fundraiser-${i}`))
+  ));
+  assert.ok(result.every(Boolean));
+  assert.equal(listings, 0);
+});
+
+test('the index drops a forgotten story and finds it again through the API', async () => {
+  const slug = 'fundraisers/seed-campaign/fundraiser-42';
+  const story = await storyIndex.getBySlug(slug);
+  assert.ok(story);
+
+  await storyIndex.forget(story);
+  assert.equal(await storyIndex.getBySlug(slug), null);
+
+  const { result, listings } = await countListings(() => storyblokService.findStoryBySlug(slug));
+  assert.equal(result?.id, story.id);
+  assert.equal(listings, 1);
+});
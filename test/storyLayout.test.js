@@ -0,0 +1,92 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const StoryLayout = require('../src/utils/storyLayout');
+
+const NESTED = {
+  paths: {
+    campaign: 'campaigns/{year}/{campaign}',
+    fundraisers: 'campaigns/{year}/{campaign}/people',
+    teams: 'campaigns/{year}/{campaign}/teams',
+    organisations: 'campaigns/{year}/{campaign}/orgs',
+    events: 'events/{year}',
+    archive: 'old'
+  },
+  variables: { year: '2025' },
+  campaigns: { 'Winter Walk': { year: '2024' } },
+  folderNames: { people: 'Personen' }
+};
+
+afterEach(() => {
+  delete process.env.ARCHIVE_FOLDER_SLUG;
+});
+
+test('the default layout keeps stories under fundraisers/{campaign}', () => {
+  const layout = new StoryLayout();
+
+  assert.equal(layout.getFolderSlug('fundraisers', 'City Run 2025'), 'fundraisers/city-run-2025');
+  assert.equal(layout.getProfileFullSlug('team', 'City Run 2025', 'runners'), 'fundraisers/city-run-2025/team/runners');
+  assert.equal(layout.getProfileFullSlug('organisation', 'City Run 2025', 'acme'), 'fundraisers/city-run-2025/organisation/acme');
+  assert.equal(layout.getProfileFullSlug('individual', 'City Run 2025', 'ada'), 'fundraisers/city-run-2025/ada');
+  assert.equal(layout.getEventFullSlug('City Run 2025'), 'events/city-run-2025');
+  assert.equal(layout.getFolderSlug('archive'), 'archive');
+  assert.deepEqual(layout.getProfileRoots(), ['fundraisers/']);
+});
+
+test('folders carry display names: the campaign name, a configured name or the slug', () => {
+  const layout = new StoryLayout(NESTED);
+
+  assert.deepEqual(layout.getFolderPath('fundraisers', 'City Run'), {
+    fullSlug: 'campaigns/2025/city-run/people',
+    folders: [
+      { slug: 'campaigns', name: 'Campaigns' },
+      { slug: '2025', name: '2025' },
+      { slug: 'city-run', name: 'City Run' },
+      { slug: 'people', name: 'Personen' }
+    ]
+  });
+  assert.throws(() => layout.getFolderPath('donations', 'City Run'), /unknown folder "donations"/);
+});
+
+test('campaign variables override the layout\'s', () => {
+  const layout = new StoryLayout(NESTED);
+
+  assert.equal(layout.getFolderSlug('teams', 'Winter Walk'), 'campaigns/2024/winter-walk/teams');
+  assert.equal(layout.getEventFullSlug('Winter Walk'), 'events/2024/winter-walk');
+  assert.equal(layout.getEventFullSlug('City Run'), 'events/2025/city-run');
+  assert.deepEqual(layout.getProfileRoots(), ['campaigns/']);
+  assert.equal(layout.getStaticPrefix('events'), 'events/');
+  assert.equal(layout.getStaticPrefix('archive'), 'old/');
+});
+
+test('a variable with no value fails with the template it was in', () => {
+  const layout = new StoryLayout({ ...NESTED, variables: {} });
+  assert.throws(() => layout.getFolderSlug('fundraisers', 'City Run'), /no value for \{year\} in "\{year\}" \(campaign: City Run\)/);
+});
+
+test('bad layouts are rejected up front', () => {
+  const withPaths = paths => () => new StoryLayout({ paths });
+
+  assert.throws(withPaths({ fundraisers: '/fundraisers/{campaign}' }), /paths\.fundraisers must be a folder path/);
+  assert.throws(withPaths({ teams: 'fundraisers/{campaign}/team/' }), /paths\.teams must be a folder path/);
+  assert.throws(withPaths({ teams: 'teams' }), /paths\.teams must include \{campaign\}/);
+  assert.throws(withPaths({ archive: 'archive/{campaign}' }), /paths\.archive is shared by all campaigns/);
+  assert.throws(withPaths({ teams: 'fundraisers/{campaign}' }), /need separate folders/);
+  assert.throws(() => new StoryLayout({ eventSlug: 'event' }), /paths\.events or eventSlug must include \{campaign\}/);
+});
+
+test('ARCHIVE_FOLDER_SLUG overrides the archive path', () => {
+  process.env.ARCHIVE_FOLDER_SLUG = 'removed';
+  assert.equal(new StoryLayout(NESTED).getFolderSlug('archive'), 'removed');
+});
+
+test('slugs follow the slug rules', () => {
+  const defaults = new StoryLayout();
+  assert.equal(defaults.slugify('Team   Über-Fast!!'), 'team-ber-fast');
+  assert.equal(defaults.slugify('A -- B'), 'a-b');
+
+  const custom = new StoryLayout({ slugRules: { separator: '_', transliterate: true, lowercase: false, maxLength: 10 } });
+  assert.equal(custom.slugify('Café Crème Run'), 'Cafe_Creme');
+  assert.equal(custom.slugify('Zoë Walker-Smith'), 'Zoe_Walker');
+  assert.equal(custom.slugify('Ab  --  Cd'), 'Ab_-_Cd');
+  assert.equal(custom.slugify('Trail and Run'), 'Trail_and', 'a cut never ends on the separator');
+});
@@ -0,0 +1,121 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+let server;
+let baseURL;
+let StoryblokManagementClient;
+
+// Statuses the server answers with, in order, then 200 once they run out
+let responses = [];
+let hits = 0;
+
+// A client that records each wait instead of sleeping through it
+function createClient(options = {}) {
+  const client = new StoryblokManagementClient({ baseURL, requestsPerSecond: 1000, backoffBaseMs: 100, backoffMaxMs: 1000, ...options });
+  client.sleeps = [];
+  client.sleep = async ms => {
+    client.sleeps.push(ms);
+  };
+  return client;
+}
+
+before(async () => {
+  process.env.LOG_FORMAT = 'json';
+
+  const app = express();
+  app.get('/v1/spaces/1/stories', (req, res) => {
+    hits++;
+    const next = responses.shift() || { status: 200 };
+    if (next.headers) {
+      res.set(next.headers);
+    }
+    res.status(next.status).json(next.status === 200 ? { stories: [] } : { error: `status ${next.status}` });
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseURL = `http://localhost:${server.address().port}/v1`;
+
+  // The module exports a shared instance; build fresh ones from its class
+  StoryblokManagementClient = require('../src/services/storyblokClient').constructor;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  responses = [];
+  hits = 0;
+});
+
+test('a 429 waits for Retry-After and holds back every request on the token', async () => {
+  const client = createClient();
+  responses = [{ status: 429, headers: { 'Retry-After': '2' } }];
+
+  const start = Date.now();
+  const response = await client.get('spaces/1/stories');
+
+  assert.equal(response.status, 200);
+  assert.equal(hits, 2);
+  assert.equal(client.sleeps[0], 2000);
+  assert.ok(client.nextStartAt >= start + 2000, 'later requests start after the Retry-After window');
+  assert.equal(client.getStats().throttled, 1);
+  assert.equal(client.getStats().retries, 1);
+});
+
+test('a 429 without Retry-After falls back to backoff', async () => {
+  const client = createClient();
+  responses = [{ status: 429 }];
+
+  await client.get('spaces/1/stories');
+
+  assert.ok(client.sleeps[0] >= 50 && client.sleeps[0] <= 100, `${client.sleeps[0]}ms outside 50-100ms`);
+});
+
+test('5xx errors are retried up to maxRetries and then thrown', async () => {
+  const client = createClient({ maxRetries: 2 });
+  responses = [{ status: 502 }, { status: 503 }, { status: 500 }, { status: 500 }];
+
+  await assert.rejects(client.get('spaces/1/stories'), error => error.response.status === 500);
+
+  assert.equal(hits, 3, 'the first try and two retries');
+  assert.equal(client.getStats().retries, 2);
+  assert.equal(client.getStats().failures, 1);
+  assert.ok(client.sleeps[0] >= 50 && client.sleeps[0] <= 100);
+  assert.ok(client.sleeps[1] >= 100 && client.sleeps[1] <= 200);
+});
+
+test('a 5xx that clears before the limit returns the response', async () => {
+  const client = createClient({ maxRetries: 2 });
+  responses = [{ status: 503 }, { status: 503 }];
+
+  const response = await client.get('spaces/1/stories');
+  assert.equal(response.status, 200);
+  assert.equal(hits, 3);
+});
+
+test('other 4xx errors are not retried', async () => {
+  const client = createClient();
+  responses = [{ status: 422 }];
+
+  await assert.rejects(client.get('spaces/1/stories'), error => error.response.status === 422);
+  assert.equal(hits, 1);
+  assert.equal(client.getStats().retries, 0);
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  const client = createClient();
+
+  assert.equal(client.parseRetryAfter('3'), 3000);
+  assert.equal(client.parseRetryAfter('0'), 0);
+  assert.equal(client.parseRetryAfter(''), null);
+  assert.equal(client.parseRetryAfter(undefined), null);
+  assert.equal(client.parseRetryAfter('soon'), null);
+  assert.equal(client.parseRetryAfter(new Date(Date.now() - 5000).toUTCString()), 0);
+
+  const inFiveSeconds = client.parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+  assert.ok(inFiveSeconds > 3000 && inFiveSeconds <= 5000);
+});
@@ -0,0 +1,109 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TeamLeaderboard = require('../src/utils/teamLeaderboard');
+const Currency = require('../src/utils/currency');
+
+function member(uuid, name, raised, target = 100, currency = 'GBP') {
+  return { uuid, name, content: { raised_amount: raised, target_amount: target, currency } };
+}
+
+// A team whose leaderboard already holds the given members
+function teamWith(members, extra = {}) {
+  const content = { currency: 'GBP', raised_amount: 0, team: members.map(m => m.uuid), leaderboard: [], ...extra };
+  for (const m of members) {
+    Object.assign(content, TeamLeaderboard.refresh(content, m));
+  }
+  return content;
+}
+
+afterEach(() => {
+  delete process.env.CURRENCY_BASE;
+  delete process.env.CURRENCY_RATES;
+  Currency._rates = null;
+});
+
+test('an entry carries the member\'s amount and progress', () => {
+  assert.deepEqual(TeamLeaderboard.toEntry(member('ada', 'Ada', '45.5', 50), 'GBP'), {
+    component: 'team_member',
+    _uid: 'ada',
+    fundraiser: 'ada',
+    name: 'Ada',
+    raised_amount: 45.5,
+    raised_display: '£45.50',
+    goal_percent: 91
+  });
+  assert.equal(TeamLeaderboard.toEntry(member('bo', 'Bo', 10, 0), 'GBP').goal_percent, 0);
+});
+
+test('members in another currency are converted, or kept as-is with no rate', () => {
+  process.env.CURRENCY_BASE = 'GBP';
+  process.env.CURRENCY_RATES = JSON.stringify({ USD: 0.8 });
+
+  const converted = TeamLeaderboard.toEntry(member('sam', 'Sam', 100, 200, 'USD'), 'GBP');
+  assert.equal(converted.raised_amount, 80);
+  assert.equal(converted.raised_display, '£80.00');
+  assert.equal(converted.goal_percent, 50, 'progress is against the member\'s own goal');
+
+  const unconverted = TeamLeaderboard.toEntry(member('kim', 'Kim', 100, 200, 'BND'), 'GBP');
+  assert.equal(unconverted.raised_amount, 100);
+  assert.match(unconverted.raised_display, /^BND\s100\.00$/);
+});
+
+test('members are ranked by amount raised, then by name', () => {
+  const content = teamWith([
+    member('cy', 'Cy', 20),
+    member('ada', 'Ada', 50),
+    member('bo', 'Bo', 20)
+  ]);
+
+  assert.deepEqual(content.leaderboard.map(entry => [entry.rank, entry.fundraiser]), [[1, 'ada'], [2, 'bo'], [3, 'cy']]);
+  assert.equal(content.raised_amount, 90);
+  assert.equal(content.raised_display, '£90.00');
+});
+
+test('refreshing a member replaces their entry and re-ranks', () => {
+  const content = teamWith([member('ada', 'Ada', 50), member('bo', 'Bo', 20)]);
+
+  const updated = TeamLeaderboard.refresh(content, member('bo', 'Bo', 75));
+  assert.deepEqual(updated.leaderboard.map(entry => [entry.rank, entry.fundraiser, entry.raised_amount]), [[1, 'bo', 75], [2, 'ada', 50]]);
+  assert.equal(updated.raised_amount, 125);
+});
+
+test('the team total is the larger of Raisely\'s total and its members\' sum', () => {
+  const content = teamWith([member('ada', 'Ada', 50)], { raised_amount: 200 });
+  assert.equal(TeamLeaderboard.refresh(content).raised_amount, 200);
+  assert.equal(TeamLeaderboard.refresh({ ...content, raised_amount: 10 }).raised_amount, 50);
+});
+
+test('only members in the team list are ranked', () => {
+  const content = teamWith([member('ada', 'Ada', 50), member('bo', 'Bo', 20)]);
+
+  const outsider = TeamLeaderboard.refresh(content, member('zed', 'Zed', 500));
+  assert.deepEqual(outsider.leaderboard.map(entry => entry.fundraiser), ['ada', 'bo']);
+
+  const trimmed = TeamLeaderboard.refresh({ ...content, team: ['bo'] });
+  assert.deepEqual(trimmed.leaderboard.map(entry => [entry.rank, entry.fundraiser]), [[1, 'bo']]);
+});
+
+test('removing a member drops their entry and their money from the total', () => {
+  const content = teamWith([member('ada', 'Ada', 50), member('bo', 'Bo', 20)], { raised_amount: 100 });
+
+  const updated = TeamLeaderboard.removeMember(content, 'ada');
+  assert.deepEqual(updated.team, ['bo']);
+  assert.deepEqual(updated.leaderboard.map(entry => [entry.rank, entry.fundraiser]), [[1, 'bo']]);
+  assert.equal(updated.raised_amount, 50);
+  assert.equal(updated.raised_display, '£50.00');
+
+  const last = TeamLeaderboard.removeMember({ ...content, ...updated }, 'bo');
+  assert.deepEqual(last.team, []);
+  assert.deepEqual(last.leaderboard, []);
+  assert.equal(last.raised_amount, 30, 'money given straight to the team stays');
+});
+
+test('removing someone who is not a member leaves the total alone', () => {
+  const content = teamWith([member('ada', 'Ada', 50)], { raised_amount: 80 });
+
+  const updated = TeamLeaderboard.removeMember(content, 'zed');
+  assert.deepEqual(updated.team, ['ada']);
+  assert.equal(updated.raised_amount, 80);
+});
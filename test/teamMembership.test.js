@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer } = require('../scripts/mock-storyblok-server');
+
+let server;
+let mock;
+let storyblokService;
+
+const CAMPAIGN = 'Move Campaign';
+
+function team(name) {
+  return { name, path: storyblokService.createSlug(name), raiselyId: `raisely-${storyblokService.createSlug(name)}` };
+}
+
+function teamData(name) {
+  return {
+    ...team(name),
+    campaign: CAMPAIGN,
+    description: '',
+    targetAmount: 1000,
+    raisedAmount: 0,
+    currency: 'GBP',
+    profileUrl: '',
+    status: 'ACTIVE',
+    kind: 'team',
+    ancestors: []
+  };
+}
+
+function fundraiser(teamName) {
+  return {
+    name: 'Mover',
+    campaign: CAMPAIGN,
+    description: '',
+    targetAmount: 500,
+    raisedAmount: 120,
+    currency: 'GBP',
+    profileUrl: '',
+    raiselyId: 'raisely-mover',
+    path: 'mover',
+    status: 'ACTIVE',
+    ancestors: teamName ? [{ ...team(teamName), kind: 'team' }] : []
+  };
+}
+
+function storyOf(raiselyId) {
+  return Array.from(mock.stories.values()).find(story => story.content?.raisely_id === raiselyId) || null;
+}
+
+before(async () => {
+  mock = createMockServer();
+  await new Promise(resolve => {
+    server = mock.app.listen(0, resolve);
+  });
+
+  Object.assign(process.env, {
+    STORYBLOK_ACCESS_TOKEN: 'test-token',
+    STORYBLOK_SPACE_ID: '1',
+    STORYBLOK_API_URL: `http://localhost:${server.address().port}/v1`,
+    STORYBLOK_REQUESTS_PER_SECOND: '1000',
+    STORY_INDEX_BACKEND: 'memory',
+    STORE_BACKEND: 'memory',
+    QUEUE_BACKEND: 'memory',
+    ASSET_UPLOADS: 'false',
+    LOG_FORMAT: 'json'
+  });
+
+  storyblokService = require('../src/services/storyblokService');
+
+  await storyblokService.syncTeam(teamData('Team Alpha'));
+  await storyblokService.syncTeam(teamData('Team Beta'));
+});
+
+after(() => {
+  server.close();
+});
+
+test('a fundraiser joining a team is listed on it', async () => {
+  await storyblokService.syncFundraiser(fundraiser('Team Alpha'), 'profile.created', team('Team Alpha'));
+
+  const mover = storyOf('raisely-mover');
+  const alpha = storyOf('raisely-team-alpha');
+  assert.deepEqual(mover.content.team, [alpha.uuid]);
+  assert.deepEqual(alpha.content.team, [mover.uuid]);
+  assert.equal(alpha.content.leaderboard[0].fundraiser, mover.uuid);
+});
+
+test('moving to another team takes the fundraiser off the old one', async () => {
+  await storyblokService.syncFundraiser(fundraiser('Team Beta'), 'profile.updated', team('Team Beta'));
+
+  const mover = storyOf('raisely-mover');
+  const alpha = storyOf('raisely-team-alpha');
+  const beta = storyOf('raisely-team-beta');
+  assert.deepEqual(mover.content.team, [beta.uuid]);
+  assert.deepEqual(beta.content.team, [mover.uuid]);
+  assert.deepEqual(alpha.content.team, []);
+  assert.deepEqual(alpha.content.leaderboard, []);
+});
+
+test('leaving every team clears the reference and the old team list', async () => {
+  await storyblokService.syncFundraiser(fundraiser(null), 'profile.updated', null);
+
+  const mover = storyOf('raisely-mover');
+  assert.deepEqual(mover.content.team, []);
+  assert.deepEqual(storyOf('raisely-team-beta').content.team, []);
+});
+
+test('reconcileTeamMembership keeps the current team and drops the rest', async () => {
+  const mover = storyOf('raisely-mover');
+  const alpha = storyOf('raisely-team-alpha');
+  const beta = storyOf('raisely-team-beta');
+  alpha.content.team = [mover.uuid];
+  beta.content.team = [mover.uuid];
+
+  const removed = await storyblokService.reconcileTeamMembership(
+    { ...mover, content: { ...mover.content, team: [alpha.uuid, beta.uuid] } },
+    beta.uuid
+  );
+  assert.deepEqual(removed, [alpha.uuid]);
+  assert.deepEqual(alpha.content.team, []);
+  assert.deepEqual(beta.content.team, [mover.uuid]);
+});
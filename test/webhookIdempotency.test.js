@@ -0,0 +1,108 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+let webhookController;
+let jobQueue;
+let idempotencyStore;
+
+// An envelope-style profile.updated delivery, as Raisely sends it
+function delivery(eventUuid, profileUuid, updatedAt) {
+  return {
+    data: {
+      uuid: eventUuid,
+      type: 'profile.updated',
+      createdAt: updatedAt,
+      data: {
+        uuid: profileUuid,
+        name: `Profile ${profileUuid}`,
+        path: profileUuid,
+        type: 'INDIVIDUAL',
+        updatedAt,
+        campaign: { uuid: 'campaign-1', name: 'Test Campaign' }
+      }
+    }
+  };
+}
+
+// Run a delivery through the webhook route and capture the response
+async function send(body) {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+
+  await webhookController.handleRaiselyWebhook({ body, headers: {}, get: () => undefined }, res);
+  return res;
+}
+
+before(() => {
+  Object.assign(process.env, {
+    STORYBLOK_ACCESS_TOKEN: 'test-token',
+    STORYBLOK_SPACE_ID: '1',
+    STORY_INDEX_BACKEND: 'memory',
+    STORE_BACKEND: 'memory',
+    QUEUE_BACKEND: 'memory',
+    DELIVERY_LOG_BACKEND: 'memory'
+  });
+  delete process.env.RAISELY_WEBHOOK_SIGNING_SECRETS;
+  delete process.env.RAISELY_WEBHOOK_SECRET;
+
+  webhookController = require('../src/controllers/webhookController');
+  jobQueue = require('../src/services/jobQueue');
+  idempotencyStore = require('../src/services/idempotencyStore');
+});
+
+test('a redelivered event is answered from the first delivery without queueing again', async () => {
+  const body = delivery('event-1', 'profile-1', '2026-01-01T10:00:00.000Z');
+
+  const first = await send(body);
+  assert.equal(first.statusCode, 202);
+  const depth = await jobQueue.depth();
+
+  const second = await send(body);
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.body.duplicate, true);
+  assert.equal(second.body.status, 'queued');
+  assert.equal(second.body.jobId, first.body.jobId);
+  assert.deepEqual(await jobQueue.depth(), depth);
+});
+
+test('an event older than the applied profile version is dropped', async () => {
+  await idempotencyStore.recordProfileVersion('profile-2', Date.parse('2026-01-02T10:00:00.000Z'));
+  const depth = await jobQueue.depth();
+
+  const stale = await send(delivery('event-2', 'profile-2', '2026-01-01T10:00:00.000Z'));
+  assert.equal(stale.statusCode, 200);
+  assert.equal(stale.body.skipped, true);
+  assert.deepEqual(await jobQueue.depth(), depth);
+  assert.equal((await idempotencyStore.getEvent('event-2')).status, 'completed');
+
+  // The same version, or a newer one, still goes through
+  const current = await send(delivery('event-3', 'profile-2', '2026-01-02T10:00:00.000Z'));
+  assert.equal(current.statusCode, 202);
+});
+
+test('an error after the event is claimed releases it for the retry', async () => {
+  const body = delivery('event-4', 'profile-3', '2026-01-01T10:00:00.000Z');
+  const enqueue = mock.method(jobQueue, 'enqueue', async () => {
+    throw new Error('Queue unavailable');
+  });
+
+  const failed = await send(body);
+  enqueue.mock.restore();
+  assert.equal(failed.statusCode, 500);
+  assert.equal(await idempotencyStore.getEvent('event-4'), null);
+
+  const retried = await send(body);
+  assert.equal(retried.statusCode, 202);
+  assert.equal(retried.body.duplicate, undefined);
+  assert.equal((await idempotencyStore.getEvent('event-4')).jobId, retried.body.jobId);
+});
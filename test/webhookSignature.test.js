@@ -0,0 +1,163 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WebhookSignature = require('../src/utils/webhookSignature');
+
+const SECRET = 'whsec_test';
+const RAW_BODY = JSON.stringify({ data: { type: 'profile.updated', data: { uuid: 'profile-1', name: 'Test' } } });
+const NOW = Date.UTC(2026, 0, 1);
+const TIMESTAMP = Math.floor(NOW / 1000);
+
+let webhookController;
+
+// A request the controller can read the signature header and raw body from
+function createRequest({ headers = {}, body = JSON.parse(RAW_BODY), rawBody = RAW_BODY } = {}) {
+  return {
+    body,
+    rawBody,
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+before(() => {
+  Object.assign(process.env, {
+    STORYBLOK_ACCESS_TOKEN: 'test-token',
+    STORYBLOK_SPACE_ID: '1',
+    STORY_INDEX_BACKEND: 'memory',
+    STORE_BACKEND: 'memory',
+    QUEUE_BACKEND: 'memory',
+    DELIVERY_LOG_BACKEND: 'memory'
+  });
+
+  webhookController = require('../src/controllers/webhookController');
+});
+
+beforeEach(() => {
+  delete process.env.RAISELY_WEBHOOK_SIGNING_SECRETS;
+  delete process.env.RAISELY_WEBHOOK_SECRET;
+  delete process.env.RAISELY_WEBHOOK_ALLOW_BODY_SECRET;
+  delete process.env.RAISELY_WEBHOOK_TOLERANCE_SECONDS;
+});
+
+test('parseHeader reads the timestamp and every v1 signature', () => {
+  assert.deepEqual(WebhookSignature.parseHeader('t=1700000000, v1=abc,v1=def'), {
+    timestamp: 1700000000,
+    signatures: ['abc', 'def']
+  });
+});
+
+test('parseHeader rejects malformed headers', () => {
+  for (const header of [undefined, '', 'garbage', 'v1=abc', 't=1700000000', 't=soon,v1=abc', 't=1700000000,v1=']) {
+    assert.equal(WebhookSignature.parseHeader(header), null, `header ${JSON.stringify(header)}`);
+  }
+});
+
+test('verify accepts a valid signature made with any active secret', () => {
+  const header = WebhookSignature.sign(RAW_BODY, SECRET, TIMESTAMP);
+
+  assert.deepEqual(WebhookSignature.verify(RAW_BODY, header, [SECRET], 300, NOW), { valid: true });
+  assert.deepEqual(WebhookSignature.verify(Buffer.from(RAW_BODY), header, ['old-secret', SECRET], 300, NOW), { valid: true });
+});
+
+test('verify rejects a tampered body', () => {
+  const header = WebhookSignature.sign(RAW_BODY, SECRET, TIMESTAMP);
+  const tampered = RAW_BODY.replace('Test', 'Tampered');
+
+  const result = WebhookSignature.verify(tampered, header, [SECRET], 300, NOW);
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Signature mismatch');
+});
+
+test('verify rejects a timestamp outside the replay window', () => {
+  const header = WebhookSignature.sign(RAW_BODY, SECRET, TIMESTAMP - 301);
+
+  const result = WebhookSignature.verify(RAW_BODY, header, [SECRET], 300, NOW);
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /outside 300s window/);
+
+  // A tolerance of 0 turns the window off
+  assert.equal(WebhookSignature.verify(RAW_BODY, header, [SECRET], 0, NOW).valid, true);
+});
+
+test('verify rejects a malformed header and a signature from an unknown secret', () => {
+  assert.equal(WebhookSignature.verify(RAW_BODY, 'v1=abc', [SECRET], 300, NOW).reason, 'Malformed signature header');
+
+  const header = WebhookSignature.sign(RAW_BODY, 'other-secret', TIMESTAMP);
+  assert.equal(WebhookSignature.verify(RAW_BODY, header, [SECRET], 300, NOW).valid, false);
+  assert.equal(WebhookSignature.verify(RAW_BODY, header, [], 300, NOW).valid, false);
+});
+
+test('safeCompare only matches equal strings', () => {
+  assert.equal(WebhookSignature.safeCompare('abc', 'abc'), true);
+  assert.equal(WebhookSignature.safeCompare('abc', 'abd'), false);
+  assert.equal(WebhookSignature.safeCompare('abc', 'abcd'), false);
+  assert.equal(WebhookSignature.safeCompare('abc', undefined), false);
+  assert.equal(WebhookSignature.safeCompare(null, null), false);
+});
+
+test('the controller accepts a signed request', () => {
+  process.env.RAISELY_WEBHOOK_SIGNING_SECRETS = `old-secret, ${SECRET}`;
+  const header = WebhookSignature.sign(RAW_BODY, SECRET);
+
+  const result = webhookController.validateWebhookRequest(createRequest({ headers: { 'x-raisely-signature': header } }));
+  assert.deepEqual(result, { error: false });
+});
+
+test('the controller rejects a tampered body, a stale timestamp and a malformed header', () => {
+  process.env.RAISELY_WEBHOOK_SIGNING_SECRETS = SECRET;
+  const stale = WebhookSignature.sign(RAW_BODY, SECRET, Math.floor(Date.now() / 1000) - 3600);
+
+  const cases = [
+    createRequest({ headers: { 'x-raisely-signature': WebhookSignature.sign(RAW_BODY, SECRET) }, rawBody: `${RAW_BODY} ` }),
+    createRequest({ headers: { 'x-raisely-signature': stale } }),
+    createRequest({ headers: { 'x-raisely-signature': 'not-a-signature' } })
+  ];
+
+  for (const req of cases) {
+    const result = webhookController.validateWebhookRequest(req);
+    assert.equal(result.error, true);
+    assert.equal(result.status, 403);
+  }
+});
+
+test('the controller requires a signature once signing secrets are configured', () => {
+  process.env.RAISELY_WEBHOOK_SIGNING_SECRETS = SECRET;
+  process.env.RAISELY_WEBHOOK_SECRET = 'body-secret';
+
+  const req = createRequest({ body: { ...JSON.parse(RAW_BODY), secret: 'body-secret' } });
+  const result = webhookController.validateWebhookRequest(req);
+  assert.equal(result.error, true);
+  assert.equal(result.status, 401);
+});
+
+test('the controller falls back to the body secret only when opted in', () => {
+  process.env.RAISELY_WEBHOOK_SIGNING_SECRETS = SECRET;
+  process.env.RAISELY_WEBHOOK_SECRET = 'body-secret';
+  process.env.RAISELY_WEBHOOK_ALLOW_BODY_SECRET = 'true';
+
+  const valid = createRequest({ body: { ...JSON.parse(RAW_BODY), secret: 'body-secret' } });
+  assert.deepEqual(webhookController.validateWebhookRequest(valid), { error: false });
+
+  const wrong = createRequest({ body: { ...JSON.parse(RAW_BODY), secret: 'guess' } });
+  assert.equal(webhookController.validateWebhookRequest(wrong).error, true);
+
+  const missing = createRequest();
+  assert.equal(webhookController.validateWebhookRequest(missing).status, 401);
+});
+
+test('the controller needs the raw body to check a signature', () => {
+  process.env.RAISELY_WEBHOOK_SIGNING_SECRETS = SECRET;
+  const header = WebhookSignature.sign(RAW_BODY, SECRET);
+
+  const result = webhookController.validateWebhookRequest(createRequest({ headers: { 'x-raisely-signature': header }, rawBody: null }));
+  assert.equal(result.status, 400);
+});
+
+test('without signing secrets the controller checks the body secret, if one is configured', () => {
+  assert.deepEqual(webhookController.validateWebhookRequest(createRequest()), { error: false });
+
+  process.env.RAISELY_WEBHOOK_SECRET = 'body-secret';
+  assert.equal(webhookController.validateWebhookRequest(createRequest()).status, 401);
+
+  const valid = createRequest({ body: { ...JSON.parse(RAW_BODY), secret: 'body-secret' } });
+  assert.deepEqual(webhookController.validateWebhookRequest(valid), { error: false });
+});